@@ -2,6 +2,42 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Read a numeric env var, keeping an explicit 0 (parseFloat(x) || default would not)
+ */
+export const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const DEFAULT_KYC_LIMITS = {
+  none: { perTransaction: 500, daily: 500, weekly: 1000, monthly: 1000 },
+  basic: { perTransaction: 2000, daily: 5000, weekly: 10000, monthly: 20000 },
+  full: { perTransaction: 10000, daily: 25000, weekly: 50000, monthly: 100000 }
+};
+
+/**
+ * Merge KYC_LIMITS over the defaults per level, so JSON written before a
+ * window was added (e.g. no `weekly`) keeps the default for it
+ */
+export const parseKycLimits = (json) => {
+  const custom = json ? JSON.parse(json) : {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_KYC_LIMITS).map(([level, defaults]) => {
+      const limits = { ...defaults, ...custom[level] };
+
+      Object.entries(limits).forEach(([field, value]) => {
+        if (!Number.isFinite(value)) {
+          throw new Error(`KYC_LIMITS.${level}.${field} must be a number`);
+        }
+      });
+
+      return [level, limits];
+    })
+  );
+};
+
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 5000,
@@ -19,7 +55,107 @@ const config = {
 
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access token lifetime
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS) || 30
+  },
+
+  // Session cookies (used when clients opt in to cookie mode)
+  cookies: {
+    secure: process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : process.env.NODE_ENV === 'production',
+    sameSite: process.env.COOKIE_SAME_SITE || 'lax', // Use 'none' when the frontend is on another site
+    domain: process.env.COOKIE_DOMAIN
+  },
+
+  // Password strength policy (register, change and reset)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    disallowPersonalInfo: process.env.PASSWORD_DISALLOW_PERSONAL_INFO !== 'false', // No name/email in password
+    checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false' // Offline check against src/data/breached-passwords.txt
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'USDT Payment',
+    stepUpAmountUSD: parseFloat(process.env.TWO_FACTOR_STEP_UP_AMOUNT_USD) || 1000, // Purchases above this need a fresh code
+    requireForHighValue: process.env.TWO_FACTOR_REQUIRE_FOR_HIGH_VALUE === 'true' // Block high-value purchases until 2FA is enabled
+  },
+
+  // Failed-attempt throttling for login, 2FA and email verification
+  bruteForce: {
+    maxAccountAttempts: parseInt(process.env.AUTH_MAX_ACCOUNT_ATTEMPTS) || 5,
+    maxIpAttempts: parseInt(process.env.AUTH_MAX_IP_ATTEMPTS) || 20,
+    delayAfterAttempts: parseInt(process.env.AUTH_DELAY_AFTER_ATTEMPTS) || 3, // Progressive delay kicks in after this many failures
+    baseDelayMs: parseInt(process.env.AUTH_BASE_DELAY_MS) || 1000,
+    maxDelayMs: parseInt(process.env.AUTH_MAX_DELAY_MS) || 60 * 1000,
+    windowMinutes: parseInt(process.env.AUTH_ATTEMPT_WINDOW_MINUTES) || 15,
+    lockoutMinutes: parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 30
+  },
+
+  // KYC levels and the USD purchase limits each one unlocks
+  kyc: {
+    uploadDir: process.env.KYC_UPLOAD_DIR || 'uploads/kyc',
+    maxFileSizeMB: parseInt(process.env.KYC_MAX_FILE_SIZE_MB) || 5,
+    limits: parseKycLimits(process.env.KYC_LIMITS)
+  },
+
+  // Purchase count caps per user over rolling windows (volume caps come from the KYC level)
+  velocity: {
+    maxDailyTransactions: parseInt(process.env.VELOCITY_MAX_DAILY_TRANSACTIONS) || 5,
+    maxWeeklyTransactions: parseInt(process.env.VELOCITY_MAX_WEEKLY_TRANSACTIONS) || 15,
+    maxMonthlyTransactions: parseInt(process.env.VELOCITY_MAX_MONTHLY_TRANSACTIONS) || 40
+  },
+
+  // USDT payout queue workers
+  payoutQueue: {
+    enabled: process.env.PAYOUT_WORKER_ENABLED !== 'false', // Turn off on instances that should only serve the API
+    concurrency: parseInt(process.env.PAYOUT_WORKER_CONCURRENCY) || 1,
+    pollIntervalMs: parseInt(process.env.PAYOUT_WORKER_POLL_INTERVAL_MS) || 5000,
+    lockTimeoutMs: parseInt(process.env.PAYOUT_JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000, // A job locked longer than this is taken over
+    maxAttempts: parseInt(process.env.PAYOUT_JOB_MAX_ATTEMPTS) || 6,
+    baseDelayMs: parseInt(process.env.PAYOUT_RETRY_BASE_DELAY_MS) || 30 * 1000,
+    maxDelayMs: parseInt(process.env.PAYOUT_RETRY_MAX_DELAY_MS) || 30 * 60 * 1000
+  },
+
+  // Follows Binance withdrawals until they're confirmed on-chain
+  withdrawalTracker: {
+    enabled: process.env.WITHDRAWAL_TRACKER_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.WITHDRAWAL_TRACKER_POLL_INTERVAL_MS) || 60 * 1000,
+    batchSize: parseInt(process.env.WITHDRAWAL_TRACKER_BATCH_SIZE) || 50
+  },
+
+  // Hot-wallet (Binance USDT) balance monitoring
+  treasury: {
+    enabled: process.env.TREASURY_MONITOR_ENABLED !== 'false',
+    pollIntervalMs: parseInt(process.env.TREASURY_POLL_INTERVAL_MS) || 5 * 60 * 1000,
+    lowBalanceUSDT: envNumber('TREASURY_LOW_BALANCE_USDT', 1000), // Alert when headroom drops below this
+    pauseBalanceUSDT: envNumber('TREASURY_PAUSE_BALANCE_USDT', 200), // Refuse new payment intents below this (0 = only when a payout can't be covered at all)
+    alertCooldownMinutes: parseInt(process.env.TREASURY_ALERT_COOLDOWN_MINUTES) || 60,
+    staleAfterMs: parseInt(process.env.TREASURY_STALE_AFTER_MS) || 15 * 60 * 1000, // Older snapshots are ignored
+    // Alert when an on-chain hot wallet's gas balance (ETH, BNB, TRX) drops below this
+    lowGas: {
+      ERC20: envNumber('TREASURY_LOW_GAS_ERC20', 0.05),
+      BEP20: envNumber('TREASURY_LOW_GAS_BEP20', 0.05),
+      TRC20: envNumber('TREASURY_LOW_GAS_TRC20', 200)
+    }
+  },
+
+  // Operational alerts (failed payouts, low treasury etc.); logged only when no address is set
+  alerts: {
+    email: process.env.ALERT_EMAIL || null
+  },
+
+  // Saved wallet address book
+  addressBook: {
+    maxAddresses: parseInt(process.env.ADDRESS_BOOK_MAX_ADDRESSES) || 20,
+    cooldownHours: parseFloat(process.env.ADDRESS_BOOK_COOLDOWN_HOURS) || 24, // New addresses can't receive payouts in whitelist mode until this passes
+    confirmationExpiresHours: parseFloat(process.env.ADDRESS_BOOK_CONFIRMATION_EXPIRES_HOURS) || 24,
+    ownershipChallengeMinutes: parseInt(process.env.WALLET_OWNERSHIP_CHALLENGE_MINUTES) || 10,
+    ownershipProofAmountUSD: parseFloat(process.env.WALLET_OWNERSHIP_PROOF_AMOUNT_USD) || 0 // Purchases above this need a signature-verified wallet (0 = off)
   },
 
   admin: {
@@ -43,6 +179,46 @@ const config = {
     defaultNetwork: process.env.BINANCE_DEFAULT_NETWORK || 'TRC20' // TRC20, ERC20, or BEP20
   },
 
+  // Which service pays out each network: 'binance' (exchange withdrawal) or 'onchain' (our own hot wallet)
+  payoutBackends: {
+    TRC20: process.env.PAYOUT_BACKEND_TRC20 || 'binance',
+    ERC20: process.env.PAYOUT_BACKEND_ERC20 || 'binance',
+    BEP20: process.env.PAYOUT_BACKEND_BEP20 || 'binance'
+  },
+
+  // Hot wallets for direct on-chain payouts. Point the RPC/API URLs at a local
+  // dev node (e.g. anvil, chain ID 31337) or a TRON stand-in for testing.
+  onchain: {
+    ERC20: {
+      rpcUrl: process.env.ERC20_RPC_URL,
+      privateKey: process.env.ERC20_HOT_WALLET_PRIVATE_KEY,
+      chainId: parseInt(process.env.ERC20_CHAIN_ID) || 1,
+      tokenAddress: process.env.ERC20_USDT_CONTRACT || '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+      decimals: parseInt(process.env.ERC20_USDT_DECIMALS) || 6,
+      confirmations: parseInt(process.env.ERC20_CONFIRMATIONS) || 12,
+      maxFeePerGasGwei: parseFloat(process.env.ERC20_MAX_FEE_PER_GAS_GWEI) || 100, // Payouts wait while gas is above this
+      replaceAfterMinutes: parseInt(process.env.ERC20_REPLACE_AFTER_MINUTES) || 10 // Re-sign with higher fees if still pending after this
+    },
+    BEP20: {
+      rpcUrl: process.env.BEP20_RPC_URL,
+      privateKey: process.env.BEP20_HOT_WALLET_PRIVATE_KEY,
+      chainId: parseInt(process.env.BEP20_CHAIN_ID) || 56,
+      tokenAddress: process.env.BEP20_USDT_CONTRACT || '0x55d398326f99059fF775485246999027B3197955',
+      decimals: parseInt(process.env.BEP20_USDT_DECIMALS) || 18,
+      confirmations: parseInt(process.env.BEP20_CONFIRMATIONS) || 15,
+      maxFeePerGasGwei: parseFloat(process.env.BEP20_MAX_FEE_PER_GAS_GWEI) || 10,
+      replaceAfterMinutes: parseInt(process.env.BEP20_REPLACE_AFTER_MINUTES) || 5
+    },
+    TRC20: {
+      apiUrl: process.env.TRON_API_URL || 'https://api.trongrid.io',
+      apiKey: process.env.TRON_API_KEY,
+      privateKey: process.env.TRON_HOT_WALLET_PRIVATE_KEY,
+      tokenAddress: process.env.TRC20_USDT_CONTRACT || 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+      decimals: parseInt(process.env.TRC20_USDT_DECIMALS) || 6,
+      feeLimitTrx: parseFloat(process.env.TRON_FEE_LIMIT_TRX) || 50 // Max TRX burned for energy per transfer
+    }
+  },
+
   // CoinDesk API for real-time USDT price data
   coindesk: {
     apiKey: process.env.COINDESK_API_KEY,
@@ -0,0 +1,67 @@
+/**
+ * Role → permission mapping
+ *
+ * Routes check named permissions (see requirePermission in auth.middleware.js)
+ * instead of role names, so a role can be widened or narrowed here without
+ * touching the routes.
+ */
+
+export const PERMISSIONS = {
+  USERS_READ: 'users.read',             // List/search users, view profiles and stats
+  USERS_MANAGE: 'users.manage',         // Verify email, suspend/reactivate, force logout, unlock
+  ROLES_MANAGE: 'roles.manage',         // Change user roles
+  TRANSACTIONS_READ: 'transactions.read', // View any user's transactions
+  TRANSACTIONS_STATS: 'transactions.stats', // Platform-wide statistics and revenue
+  PAYOUTS_MANAGE: 'payouts.manage',     // Trigger, retry or refund payouts
+  PRICING_MANAGE: 'pricing.manage',     // Change rates, tiers and limits
+  KYC_REVIEW: 'kyc.review',             // Review identity submissions and documents
+  AUDIT_READ: 'audit.read'              // Read the audit trail
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+
+  support: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.TRANSACTIONS_READ
+  ],
+
+  finance: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.TRANSACTIONS_STATS,
+    PERMISSIONS.PAYOUTS_MANAGE,
+    PERMISSIONS.PRICING_MANAGE
+  ],
+
+  compliance: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.KYC_REVIEW
+  ],
+
+  admin: ALL_PERMISSIONS,
+
+  superadmin: ALL_PERMISSIONS
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Only a superadmin can grant or take away the superadmin role
+export const PROTECTED_ROLES = ['superadmin'];
+
+/**
+ * Check whether a role grants a permission
+ */
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * List the permissions granted by a role
+ */
+export const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
@@ -0,0 +1,1090 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import AuditLog from '../models/AuditLog.js';
+import KycSubmission from '../models/KycSubmission.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import PayoutJob from '../models/PayoutJob.js';
+import TreasurySnapshot from '../models/TreasurySnapshot.js';
+import BruteForceService from '../services/bruteForceService.js';
+import TokenService from '../services/tokenService.js';
+import AuditService from '../services/auditService.js';
+import PurchaseLimitService, { LIMIT_FIELDS } from '../services/purchaseLimitService.js';
+import WebhookEventService from '../services/webhookEventService.js';
+import PayoutQueueService from '../services/payoutQueueService.js';
+import TreasuryService from '../services/treasuryService.js';
+import PaymentController from './paymentController.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { PROTECTED_ROLES, ROLE_PERMISSIONS, getPermissions } from '../config/permissions.js';
+
+// Event handlers by provider, used when replaying stored webhook events
+const WEBHOOK_HANDLERS = {
+  stripe: PaymentController.dispatchStripeEvent
+};
+
+/**
+ * Why an admin may not manage (verify email, suspend, reactivate, log out, unlock) a user, or null if they may.
+ * Nobody acts on their own account, and only a superadmin can act on a protected
+ * role or on someone holding permissions the admin doesn't have.
+ */
+const manageUserError = (actor, target) => {
+  if (target._id.equals(actor._id)) {
+    return { statusCode: 400, message: 'You cannot do this to your own account' };
+  }
+
+  if (PROTECTED_ROLES.includes(actor.role)) {
+    return null;
+  }
+
+  if (PROTECTED_ROLES.includes(target.role)) {
+    return { statusCode: 403, message: `Only a ${PROTECTED_ROLES.join('/')} can manage a ${target.role} account` };
+  }
+
+  const actorPermissions = getPermissions(actor.role);
+  if (getPermissions(target.role).some(permission => !actorPermissions.includes(permission))) {
+    return { statusCode: 403, message: `A ${target.role} has permissions you don't, so you cannot manage their account` };
+  }
+
+  return null;
+};
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AdminController {
+  /**
+   * List and search users
+   */
+  static async listUsers(req, res, next) {
+    try {
+      const { search, role, status, emailVerified, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        query.$or = [{ email: pattern }, { fullName: pattern }, { walletAddress: pattern }];
+      }
+      if (role) {
+        query.role = role;
+      }
+      if (status) {
+        query.status = status;
+      }
+      if (emailVerified !== undefined) {
+        query.emailVerified = emailVerified === 'true';
+      }
+
+      const users = await User.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await User.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          users: users,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user with transaction statistics
+   */
+  static async getUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const stats = await Transaction.aggregate([
+        { $match: { userId: user._id } },
+        {
+          $group: {
+            _id: null,
+            totalTransactions: { $sum: 1 },
+            totalUSD: { $sum: '$amountUSD' },
+            totalUSDT: { $sum: '$usdtAmount' },
+            completedCount: {
+              $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+            },
+            failedCount: {
+              $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
+            },
+            lastTransactionAt: { $max: '$createdAt' }
+          }
+        }
+      ]);
+
+      const statistics = stats[0] || {
+        totalTransactions: 0,
+        totalUSD: 0,
+        totalUSDT: 0,
+        completedCount: 0,
+        failedCount: 0,
+        lastTransactionAt: null
+      };
+
+      const activeSessions = await TokenService.countActiveSessions(user._id);
+
+      res.json({
+        success: true,
+        data: {
+          user: user,
+          statistics: statistics,
+          activeSessions: activeSessions
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user's transactions
+   */
+  static async getUserTransactions(req, res, next) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const query = { userId: req.params.id };
+      if (status) {
+        query.status = status;
+      }
+
+      const transactions = await Transaction.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await Transaction.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          transactions: transactions,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a user's email as verified
+   */
+  static async verifyUserEmail(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const manageError = manageUserError(req.user, user);
+      if (manageError) {
+        return res.status(manageError.statusCode).json({
+          success: false,
+          message: manageError.message
+        });
+      }
+
+      const wasVerified = user.emailVerified;
+
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      await AuditService.record(req, 'user.verify_email', { type: 'User', id: user._id }, {
+        email: user.email,
+        wasVerified
+      });
+
+      res.json({
+        success: true,
+        message: wasVerified ? 'Email was already verified' : 'Email verified',
+        data: {
+          user: user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a user's role
+   */
+  static async updateUserRole(req, res, next) {
+    try {
+      const { role } = req.body;
+
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const touchesProtectedRole = PROTECTED_ROLES.includes(role) || PROTECTED_ROLES.includes(user.role);
+      if (touchesProtectedRole && !PROTECTED_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `Only a ${PROTECTED_ROLES.join('/')} can grant or remove this role`
+        });
+      }
+
+      const previousRole = user.role;
+      user.role = role;
+      await user.save({ validateBeforeSave: false });
+
+      await AuditService.record(req, 'user.change_role', { type: 'User', id: user._id }, {
+        from: previousRole,
+        to: role
+      });
+
+      res.json({
+        success: true,
+        message: 'Role updated',
+        data: {
+          user: user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Suspend a user and end all of their sessions
+   */
+  static async suspendUser(req, res, next) {
+    try {
+      const { reason } = req.body;
+
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const manageError = manageUserError(req.user, user);
+      if (manageError) {
+        return res.status(manageError.statusCode).json({
+          success: false,
+          message: manageError.message
+        });
+      }
+
+      user.status = 'suspended';
+      user.suspendedAt = new Date();
+      user.suspendedReason = reason;
+      await user.save({ validateBeforeSave: false });
+
+      await TokenService.revokeAllSessions(user._id, 'account_suspended');
+
+      await AuditService.record(req, 'user.suspend', { type: 'User', id: user._id }, { reason });
+
+      res.json({
+        success: true,
+        message: 'User suspended',
+        data: {
+          user: user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reactivate a suspended user
+   */
+  static async reactivateUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const manageError = manageUserError(req.user, user);
+      if (manageError) {
+        return res.status(manageError.statusCode).json({
+          success: false,
+          message: manageError.message
+        });
+      }
+
+      const previousReason = user.suspendedReason;
+
+      user.status = 'active';
+      user.suspendedAt = null;
+      user.suspendedReason = null;
+      await user.save({ validateBeforeSave: false });
+
+      await AuditService.record(req, 'user.reactivate', { type: 'User', id: user._id }, {
+        previousReason
+      });
+
+      res.json({
+        success: true,
+        message: 'User reactivated',
+        data: {
+          user: user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke every session of a user
+   */
+  static async forceLogout(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const manageError = manageUserError(req.user, user);
+      if (manageError) {
+        return res.status(manageError.statusCode).json({
+          success: false,
+          message: manageError.message
+        });
+      }
+
+      const result = await TokenService.revokeAllSessions(user._id, 'admin_force_logout');
+
+      await AuditService.record(req, 'user.force_logout', { type: 'User', id: user._id }, {
+        revokedSessions: result.modifiedCount
+      });
+
+      res.json({
+        success: true,
+        message: 'User logged out from all devices',
+        data: {
+          revokedSessions: result.modifiedCount
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Clear failed-attempt counters and lockouts for a user
+   */
+  static async unlockUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const manageError = manageUserError(req.user, user);
+      if (manageError) {
+        return res.status(manageError.statusCode).json({
+          success: false,
+          message: manageError.message
+        });
+      }
+
+      const cleared = await BruteForceService.unlockAccount(user);
+
+      await AuditService.record(req, 'user.unlock', { type: 'User', id: user._id }, {
+        clearedLocks: cleared
+      });
+
+      logger.info('User unlocked by admin', {
+        userId: user._id,
+        adminId: req.user._id,
+        cleared
+      });
+
+      res.json({
+        success: true,
+        message: 'Account unlocked',
+        data: {
+          clearedLocks: cleared
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user's effective purchase limits and current usage
+   */
+  static async getUserLimits(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const usage = await PurchaseLimitService.getUsage(user);
+
+      res.json({
+        success: true,
+        data: {
+          usage: usage,
+          overrides: user.limitOverrides
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set or clear per-user purchase limit overrides
+   */
+  static async updateUserLimits(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const previous = {};
+      LIMIT_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          previous[field] = user.limitOverrides[field];
+          user.limitOverrides[field] = req.body[field];
+        }
+      });
+
+      if (req.body.note !== undefined) {
+        user.limitOverrides.note = req.body.note || null;
+      }
+      user.limitOverrides.updatedBy = req.user._id;
+      user.limitOverrides.updatedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      await AuditService.record(req, 'user.update_limits', { type: 'User', id: user._id }, {
+        from: previous,
+        to: req.body
+      });
+
+      const usage = await PurchaseLimitService.getUsage(user);
+
+      res.json({
+        success: true,
+        message: 'Purchase limits updated',
+        data: {
+          usage: usage,
+          overrides: user.limitOverrides
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List KYC submissions, oldest pending first by default
+   */
+  static async listKycSubmissions(req, res, next) {
+    try {
+      const { status = 'pending', userId, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (status !== 'all') query.status = status;
+      if (userId) query.userId = userId;
+
+      const submissions = await KycSubmission.find(query)
+        .populate('userId', 'email fullName kycLevel kycStatus')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await KycSubmission.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          submissions: submissions,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a KYC submission
+   */
+  static async getKycSubmission(req, res, next) {
+    try {
+      const submission = await KycSubmission.findById(req.params.id)
+        .populate('userId', 'email fullName kycLevel kycStatus')
+        .populate('reviewedBy', 'email fullName');
+
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          submission: submission
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download a document attached to a KYC submission
+   */
+  static async getKycDocument(req, res, next) {
+    try {
+      const submission = await KycSubmission.findById(req.params.id);
+      const document = submission?.documents.id(req.params.documentId);
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+
+      await AuditService.record(req, 'kyc.view_document', { type: 'KycSubmission', id: submission._id }, {
+        documentId: document._id,
+        documentType: document.type
+      });
+
+      res.type(document.mimeType);
+      res.sendFile(path.resolve(document.storagePath), (error) => {
+        if (error && !res.headersSent) {
+          next(error);
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve a KYC submission and raise the user to the requested level
+   */
+  static async approveKyc(req, res, next) {
+    try {
+      let submission = await KycSubmission.findById(req.params.id);
+
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      if (submission.userId.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot review your own submission'
+        });
+      }
+
+      if (submission.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Submission has already been ${submission.status}`
+        });
+      }
+
+      const user = await User.findById(submission.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Only one reviewer can move a submission out of pending
+      submission = await KycSubmission.findOneAndUpdate(
+        { _id: submission._id, status: 'pending' },
+        { $set: { status: 'approved', reviewedBy: req.user._id, reviewedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!submission) {
+        return res.status(409).json({
+          success: false,
+          message: 'Submission was reviewed by someone else in the meantime'
+        });
+      }
+
+      const previousLevel = user.kycLevel;
+      user.kycLevel = submission.requestedLevel;
+      user.kycStatus = 'approved';
+      await user.save({ validateBeforeSave: false });
+
+      await AuditService.record(req, 'kyc.approve', { type: 'KycSubmission', id: submission._id }, {
+        userId: user._id,
+        from: previousLevel,
+        to: user.kycLevel
+      });
+
+      res.json({
+        success: true,
+        message: 'Submission approved',
+        data: {
+          submission: submission,
+          user: user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject a KYC submission, leaving the user's current level in place
+   */
+  static async rejectKyc(req, res, next) {
+    try {
+      const { reason } = req.body;
+
+      let submission = await KycSubmission.findById(req.params.id);
+
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+
+      if (submission.userId.equals(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot review your own submission'
+        });
+      }
+
+      if (submission.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Submission has already been ${submission.status}`
+        });
+      }
+
+      submission = await KycSubmission.findOneAndUpdate(
+        { _id: submission._id, status: 'pending' },
+        { $set: { status: 'rejected', reviewedBy: req.user._id, reviewedAt: new Date(), rejectionReason: reason } },
+        { new: true }
+      );
+
+      if (!submission) {
+        return res.status(409).json({
+          success: false,
+          message: 'Submission was reviewed by someone else in the meantime'
+        });
+      }
+
+      await User.updateOne({ _id: submission.userId }, { kycStatus: 'rejected' });
+
+      await AuditService.record(req, 'kyc.reject', { type: 'KycSubmission', id: submission._id }, {
+        userId: submission.userId,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Submission rejected',
+        data: {
+          submission: submission
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List stored webhook events
+   */
+  static async listWebhookEvents(req, res, next) {
+    try {
+      const { status, type, provider, page = 1, limit = 50 } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+      if (type) query.type = type;
+      if (provider) query.provider = provider;
+
+      const events = await WebhookEvent.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await WebhookEvent.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          events: events,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a stored webhook event with its payload
+   */
+  static async getWebhookEvent(req, res, next) {
+    try {
+      const event = await WebhookEvent.findById(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          event: event
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a failed webhook event again
+   */
+  static async replayWebhookEvent(req, res, next) {
+    try {
+      const event = await WebhookEvent.findById(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+
+      if (event.status !== 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: `Only failed events can be replayed (this one is '${event.status}')`
+        });
+      }
+
+      const result = await WebhookEventService.process(event, WEBHOOK_HANDLERS[event.provider]);
+
+      await AuditService.record(req, 'webhook.replay', { type: 'WebhookEvent', id: event._id }, {
+        eventId: event.eventId,
+        type: event.type,
+        outcome: result.skipped ? 'skipped' : result.event.status
+      });
+
+      if (result.skipped) {
+        return res.status(409).json({
+          success: false,
+          message: 'Event is already being processed'
+        });
+      }
+
+      res.json({
+        success: result.event.status !== 'failed',
+        message: result.event.status === 'failed' ? 'Replay failed' : 'Event replayed',
+        data: {
+          event: result.event
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List payout jobs
+   */
+  static async listPayoutJobs(req, res, next) {
+    try {
+      const { status, transactionId, page = 1, limit = 50 } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+      if (transactionId) query.transactionId = transactionId;
+
+      const jobs = await PayoutJob.find(query)
+        .populate('transactionId', 'userId amountUSD usdtAmount status walletAddress blockchainNetwork payoutReference')
+        .sort({ updatedAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await PayoutJob.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Requeue a dead-lettered payout job
+   */
+  static async retryPayoutJob(req, res, next) {
+    try {
+      const job = await PayoutQueueService.retry(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout job not found'
+        });
+      }
+
+      await AuditService.record(req, 'payout.retry', { type: 'PayoutJob', id: job._id }, {
+        transactionId: job.transactionId
+      });
+
+      res.json({
+        success: true,
+        message: 'Payout job queued',
+        data: {
+          job: job
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Balance, gas, expected outflows and recent history for each payout source
+   */
+  static async getTreasuryStatus(req, res, next) {
+    try {
+      const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 30);
+      const staleBefore = new Date(Date.now() - config.treasury.staleAfterMs);
+
+      const sources = await Promise.all(TreasuryService.getSources().map(async (source) => {
+        const latest = await TreasurySnapshot.findOne({ source }).sort({ createdAt: -1 });
+        const stale = !latest || latest.createdAt < staleBefore;
+
+        return {
+          source: source,
+          latest: latest,
+          stale: stale,
+          // A stale reading doesn't block payments (see TreasuryService.assertCanCover)
+          acceptingPayments: stale || latest.acceptingPayments
+        };
+      }));
+
+      const history = await TreasurySnapshot.find({
+        createdAt: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+      })
+        .select('source free locked native committedOutflow pendingOutflow headroom status gasStatus createdAt')
+        .sort({ createdAt: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          sources: sources,
+          thresholds: {
+            lowBalanceUSDT: config.treasury.lowBalanceUSDT,
+            pauseBalanceUSDT: config.treasury.pauseBalanceUSDT,
+            lowGas: config.treasury.lowGas
+          },
+          history: history
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Read the balances now instead of waiting for the next scheduled check (e.g. after a top-up)
+   */
+  static async checkTreasury(req, res, next) {
+    try {
+      const snapshots = await TreasuryService.check();
+
+      await AuditService.record(req, 'treasury.check', { type: 'TreasurySnapshot', id: snapshots[0]._id }, {
+        sources: snapshots.map(snapshot => ({
+          source: snapshot.source,
+          status: snapshot.status,
+          gasStatus: snapshot.gasStatus,
+          headroom: snapshot.headroom
+        }))
+      });
+
+      res.json({
+        success: true,
+        message: 'Treasury balances checked',
+        data: {
+          snapshots: snapshots
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List audit log entries
+   */
+  static async getAuditLogs(req, res, next) {
+    try {
+      const { action, actorId, targetId, page = 1, limit = 50 } = req.query;
+
+      const query = {};
+      if (action) query.action = action;
+      if (actorId) query.actorId = actorId;
+      if (targetId) query.targetId = targetId;
+
+      const logs = await AuditLog.find(query)
+        .populate('actorId', 'email fullName role')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await AuditLog.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          logs: logs,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List roles and the permissions each grants
+   */
+  static async getRoles(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          roles: ROLE_PERMISSIONS
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default AdminController;
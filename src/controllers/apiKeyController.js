@@ -0,0 +1,133 @@
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+
+const MAX_ACTIVE_KEYS = 10;
+
+class ApiKeyController {
+  /**
+   * List the user's API keys (never includes the key itself)
+   */
+  static async listKeys(req, res, next) {
+    try {
+      const apiKeys = await ApiKey.find({ userId: req.user._id })
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys: apiKeys
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an API key. The plain key is only returned in this response.
+   * Keys with payments:create skip the payment 2FA step-up, so creating one
+   * needs the password and, when 2FA is on, a current code.
+   */
+  static async createKey(req, res, next) {
+    try {
+      const { name, scopes, expiresAt, password, code } = req.body;
+      const userId = req.user._id;
+
+      if (scopes.includes('payments:create')) {
+        const user = await User.findById(userId)
+          .select('+password +twoFactorSecret +twoFactorLastUsedStep');
+
+        const isPasswordValid = await user.comparePassword(password);
+        if (!isPasswordValid) {
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid password'
+          });
+        }
+
+        if (user.twoFactorEnabled) {
+          if (!code || !user.verifyTwoFactorCode(code)) {
+            return res.status(401).json({
+              success: false,
+              message: 'Two-factor code required to create a key that can make payments',
+              requiresTwoFactor: true
+            });
+          }
+          await user.save({ validateBeforeSave: false });
+        }
+      }
+
+      const activeCount = await ApiKey.countDocuments({
+        userId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      });
+
+      if (activeCount >= MAX_ACTIVE_KEYS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys`
+        });
+      }
+
+      const { apiKey, plainKey } = await ApiKey.generate({
+        userId,
+        name,
+        scopes,
+        expiresAt: expiresAt || null
+      });
+
+      logger.info('API key created', { userId, apiKeyId: apiKey._id, scopes });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now, it will not be shown again.',
+        data: {
+          apiKey: apiKey,
+          key: plainKey
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   */
+  static async revokeKey(req, res, next) {
+    try {
+      const apiKey = await ApiKey.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+      }
+
+      logger.info('API key revoked', { userId: req.user._id, apiKeyId: apiKey._id });
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: {
+          apiKey: apiKey
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default ApiKeyController;
@@ -1,9 +1,28 @@
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
-import config from '../config/environment.js';
 import logger from '../utils/logger.js';
 import emailService from '../services/emailService.js';
+import TokenService from '../services/tokenService.js';
+import BruteForceService from '../services/bruteForceService.js';
+import LoginHistoryService from '../services/loginHistoryService.js';
+import Session from '../models/Session.js';
+import LoginEvent from '../models/LoginEvent.js';
+import config from '../config/environment.js';
+import { buildOtpauthUri } from '../utils/totp.js';
+import { passwordPolicyErrors } from '../middleware/validation.middleware.js';
+import { issueSessionTokens, clearAuthCookies, REFRESH_COOKIE } from '../utils/authCookies.js';
+
+/**
+ * Respond 429 when brute-force protection blocks an attempt
+ */
+const rejectThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: throttle.message,
+    retryAfter: throttle.retryAfterSeconds
+  });
+};
 
 class AuthController {
   /**
@@ -46,10 +65,9 @@ class AuthController {
       //   });
       // }
 
-      // Generate JWT token for auto-login
-      const token = jwt.sign({ id: user._id }, config.jwt.secret, {
-        expiresIn: config.jwt.expiresIn
-      });
+      // Start a session for auto-login
+      const { session, tokens } = await TokenService.createSession(user, req);
+      await LoginHistoryService.recordSuccess(req, user, session, 'registration');
 
       logger.info('User registered successfully (auto-verified)', { userId: user._id, email: user.email });
 
@@ -58,7 +76,7 @@ class AuthController {
         message: 'Registration successful! You can now login.',
         data: {
           user: user.toJSON(),
-          token: token
+          ...issueSessionTokens(req, res, tokens)
         }
       });
     } catch (error) {
@@ -73,23 +91,36 @@ class AuthController {
     try {
       const { email, password } = req.body;
 
+      // Block while delayed or locked out
+      const throttle = await BruteForceService.check('login', email, req.ip);
+      if (!throttle.allowed) {
+        await LoginHistoryService.recordFailure(req, { email, reason: 'throttled' });
+        return rejectThrottled(res, throttle);
+      }
+
       // Find user and include password
       const user = await User.findOne({ email }).select('+password');
 
-      if (!user) {
+      // Check password
+      const isPasswordValid = user ? await user.comparePassword(password) : false;
+
+      if (!isPasswordValid) {
+        await BruteForceService.recordFailure('login', email, req.ip, user);
+        await LoginHistoryService.recordFailure(req, { email, user, reason: 'invalid_credentials' });
+
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Check password
-      const isPasswordValid = await user.comparePassword(password);
+      await BruteForceService.recordSuccess('login', email);
 
-      if (!isPasswordValid) {
-        return res.status(401).json({
+      if (user.isSuspended()) {
+        await LoginHistoryService.recordFailure(req, { email, user, reason: 'suspended' });
+        return res.status(403).json({
           success: false,
-          message: 'Invalid credentials'
+          message: 'Account suspended. Please contact support.'
         });
       }
 
@@ -105,10 +136,23 @@ class AuthController {
       //   });
       // }
 
-      // Generate JWT token
-      const token = jwt.sign({ id: user._id }, config.jwt.secret, {
-        expiresIn: config.jwt.expiresIn
-      });
+      // Enrolled users must complete a second step before getting a session
+      if (user.twoFactorEnabled) {
+        logger.info('Password accepted, awaiting two-factor code', { userId: user._id });
+
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            requiresTwoFactor: true,
+            challengeToken: TokenService.signTwoFactorChallenge(user)
+          }
+        });
+      }
+
+      // Start a new session
+      const { session, tokens } = await TokenService.createSession(user, req);
+      await LoginHistoryService.recordSuccess(req, user, session, 'password');
 
       logger.info('User logged in successfully', { userId: user._id, email: user.email });
 
@@ -117,7 +161,81 @@ class AuthController {
         message: 'Login successful',
         data: {
           user: user.toJSON(),
-          token: token
+          ...issueSessionTokens(req, res, tokens)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Complete login with a TOTP or recovery code
+   */
+  static async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const userId = TokenService.verifyTwoFactorChallenge(challengeToken);
+
+      const throttle = await BruteForceService.check('two-factor', userId, req.ip);
+      if (!throttle.allowed) {
+        return rejectThrottled(res, throttle);
+      }
+
+      const user = await User.findById(userId)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor challenge'
+        });
+      }
+
+      const isValid = code
+        ? user.verifyTwoFactorCode(code)
+        : user.useTwoFactorRecoveryCode(recoveryCode);
+
+      if (!isValid) {
+        await BruteForceService.recordFailure('two-factor', userId, req.ip, user);
+        await LoginHistoryService.recordFailure(req, { email: user.email, user, reason: 'invalid_two_factor' });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      await user.save({ validateBeforeSave: false });
+      await BruteForceService.recordSuccess('two-factor', userId);
+
+      if (user.isSuspended()) {
+        await LoginHistoryService.recordFailure(req, { email: user.email, user, reason: 'suspended' });
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended. Please contact support.'
+        });
+      }
+
+      if (recoveryCode) {
+        logger.warn('Recovery code used for login', {
+          userId: user._id,
+          remainingCodes: user.twoFactorRecoveryCodes.length
+        });
+      }
+
+      const { session, tokens } = await TokenService.createSession(user, req);
+      await LoginHistoryService.recordSuccess(req, user, session, recoveryCode ? 'recovery_code' : 'two_factor');
+
+      logger.info('User logged in successfully (2FA)', { userId: user._id, email: user.email });
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: user.toJSON(),
+          ...issueSessionTokens(req, res, tokens)
         }
       });
     } catch (error) {
@@ -145,10 +263,35 @@ class AuthController {
 
   /**
    * Update profile
+   * Changing the wallet needs the password and, when 2FA is on, a current code.
    */
   static async updateProfile(req, res, next) {
     try {
-      const { fullName, walletAddress } = req.body;
+      const { fullName, walletAddress, password, code } = req.body;
+
+      if (walletAddress !== undefined && (walletAddress || null) !== (req.user.walletAddress || null)) {
+        const current = await User.findById(req.user._id)
+          .select('+password +twoFactorSecret +twoFactorLastUsedStep');
+
+        const isPasswordValid = await current.comparePassword(password);
+        if (!isPasswordValid) {
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid password'
+          });
+        }
+
+        if (current.twoFactorEnabled) {
+          if (!code || !current.verifyTwoFactorCode(code)) {
+            return res.status(401).json({
+              success: false,
+              message: 'Two-factor code required to change your wallet',
+              requiresTwoFactor: true
+            });
+          }
+          await current.save({ validateBeforeSave: false });
+        }
+      }
 
       const user = await User.findByIdAndUpdate(
         req.user._id,
@@ -171,10 +314,219 @@ class AuthController {
   }
 
   /**
-   * Logout user
+   * Exchange a refresh token for a new token pair
+   */
+  static async refreshToken(req, res, next) {
+    try {
+      // Cookie-mode clients send the refresh token as a cookie
+      const fromCookie = !req.body.refreshToken && Boolean(req.cookies?.[REFRESH_COOKIE]);
+      const refreshToken = req.body.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      const { user, tokens } = await TokenService.rotateRefreshToken(refreshToken);
+
+      res.json({
+        success: true,
+        data: {
+          user: user.toJSON(),
+          ...issueSessionTokens(req, res, tokens, fromCookie)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change password (requires the current password)
+   * Every existing session is ended; this device gets a fresh one.
+   */
+  static async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user._id).select('+password');
+
+      const isPasswordValid = await user.comparePassword(currentPassword);
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      // Pre-save hook hashes the password and sets passwordChangedAt,
+      // which invalidates every access token issued before now
+      user.password = newPassword;
+      await user.save();
+
+      await TokenService.revokeAllSessions(user._id, 'password_changed');
+      const { tokens } = await TokenService.createSession(user, req);
+
+      emailService.sendPasswordChangedEmail(user.email, user.fullName, {
+        ipAddress: req.ip,
+        time: new Date()
+      }).catch(error => {
+        logger.error('Failed to send password changed email', { userId: user._id, error: error.message });
+      });
+
+      logger.info('Password changed', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'Password changed. You have been signed out on all other devices.',
+        data: {
+          user: user.toJSON(),
+          ...issueSessionTokens(req, res, tokens, Boolean(req.cookies?.[REFRESH_COOKIE]))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start an email change
+   * Sends a code to the new address and a heads-up to the current one.
+   * The email only switches once the new address is confirmed.
+   */
+  static async requestEmailChange(req, res, next) {
+    try {
+      const { newEmail, password } = req.body;
+
+      const user = await User.findById(req.user._id).select('+password');
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      if (newEmail === user.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'New email must be different from your current email'
+        });
+      }
+
+      const emailTaken = await User.exists({ email: newEmail });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email is already in use'
+        });
+      }
+
+      const confirmationCode = user.generateEmailChangeToken(newEmail);
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await emailService.sendEmailChangeVerificationEmail(newEmail, user.fullName, confirmationCode);
+      } catch (emailError) {
+        logger.error('Failed to send email change code', {
+          error: emailError.message,
+          userId: user._id
+        });
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to send confirmation code. Please try again later.'
+        });
+      }
+
+      emailService.sendEmailChangeNoticeEmail(user.email, user.fullName, newEmail)
+        .catch(error => {
+          logger.error('Failed to send email change notice', { userId: user._id, error: error.message });
+        });
+
+      logger.info('Email change requested', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'We sent a confirmation code to your new email address'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm an email change with the code sent to the new address
+   */
+  static async confirmEmailChange(req, res, next) {
+    try {
+      const { code } = req.body;
+      const userId = req.user._id;
+
+      const throttle = await BruteForceService.check('email-change', userId, req.ip);
+      if (!throttle.allowed) {
+        return rejectThrottled(res, throttle);
+      }
+
+      // Hash the provided code to compare with stored hash
+      const hashedCode = crypto
+        .createHash('sha256')
+        .update(code)
+        .digest('hex');
+
+      const user = await User.findOne({
+        _id: userId,
+        pendingEmailToken: hashedCode,
+        pendingEmailExpires: { $gt: Date.now() }
+      }).select('+pendingEmailToken +pendingEmailExpires');
+
+      if (!user || !user.pendingEmail) {
+        await BruteForceService.recordFailure('email-change', userId, req.ip, req.user);
+
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired confirmation code'
+        });
+      }
+
+      await BruteForceService.recordSuccess('email-change', userId);
+
+      const previousEmail = user.email;
+
+      user.email = user.pendingEmail;
+      user.emailVerified = true;
+      user.pendingEmail = null;
+      user.pendingEmailToken = undefined;
+      user.pendingEmailExpires = undefined;
+      // Unique index rejects the change if the address was taken in the meantime
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Email changed', { userId: user._id, from: previousEmail, to: user.email });
+
+      res.json({
+        success: true,
+        message: 'Email address updated',
+        data: {
+          user: user.toJSON()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Logout user (revokes the current session)
    */
   static async logout(req, res, next) {
     try {
+      await TokenService.revokeSession(req.authSession._id, 'logout');
+      clearAuthCookies(res);
+
+      logger.info('User logged out', { userId: req.user._id, sessionId: req.authSession._id });
+
       res.json({
         success: true,
         message: 'Logout successful'
@@ -184,6 +536,122 @@ class AuthController {
     }
   }
 
+  /**
+   * Logout user from every device
+   */
+  static async logoutAll(req, res, next) {
+    try {
+      await TokenService.revokeAllSessions(req.user._id, 'logout_all');
+      clearAuthCookies(res);
+
+      res.json({
+        success: true,
+        message: 'Logged out from all devices'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List active sessions (devices) for the current user
+   */
+  static async getSessions(req, res, next) {
+    try {
+      const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastUsedAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            id: session._id,
+            ipAddress: session.ipAddress,
+            userAgent: session.userAgent,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.equals(req.authSession._id)
+          }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   */
+  static async revokeSession(req, res, next) {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        revokedAt: null
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      await TokenService.revokeSession(session._id, 'revoked_by_user');
+
+      const isCurrent = session._id.equals(req.authSession._id);
+      if (isCurrent) {
+        clearAuthCookies(res);
+      }
+
+      logger.info('Session revoked by user', { userId: req.user._id, sessionId: session._id });
+
+      res.json({
+        success: true,
+        message: isCurrent ? 'Current session revoked. You have been logged out.' : 'Session revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get recent login attempts for the current user
+   */
+  static async getLoginHistory(req, res, next) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const query = { userId: req.user._id };
+
+      const events = await LoginEvent.find(query)
+        .select('-deviceId')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await LoginEvent.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          events: events,
+          pagination: {
+            total: total,
+            page: parseInt(page),
+            limit: parseInt(limit),
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Verify email with code
    */
@@ -198,10 +666,16 @@ class AuthController {
         });
       }
 
+      // Block while delayed or locked out
+      const throttle = await BruteForceService.check('verify-email', email, req.ip);
+      if (!throttle.allowed) {
+        return rejectThrottled(res, throttle);
+      }
+
       // Hash the provided code to compare with stored hash
       const hashedCode = crypto
         .createHash('sha256')
-        .update(code)
+        .update(String(code))
         .digest('hex');
 
       // Find user with matching email and token
@@ -212,6 +686,9 @@ class AuthController {
       }).select('+emailVerificationToken +emailVerificationExpires');
 
       if (!user) {
+        const owner = await User.findOne({ email });
+        await BruteForceService.recordFailure('verify-email', email, req.ip, owner);
+
         return res.status(400).json({
           success: false,
           message: 'Invalid or expired verification code'
@@ -223,11 +700,11 @@ class AuthController {
       user.emailVerificationToken = undefined;
       user.emailVerificationExpires = undefined;
       await user.save({ validateBeforeSave: false });
+      await BruteForceService.recordSuccess('verify-email', email);
 
-      // Generate JWT token
-      const token = jwt.sign({ id: user._id }, config.jwt.secret, {
-        expiresIn: config.jwt.expiresIn
-      });
+      // Start a new session
+      const { session, tokens } = await TokenService.createSession(user, req);
+      await LoginHistoryService.recordSuccess(req, user, session, 'email_verification');
 
       logger.info('Email verified successfully', { userId: user._id, email: user.email });
 
@@ -236,7 +713,7 @@ class AuthController {
         message: 'Email verified successfully! You can now login.',
         data: {
           user: user.toJSON(),
-          token: token
+          ...issueSessionTokens(req, res, tokens)
         }
       });
     } catch (error) {
@@ -303,6 +780,269 @@ class AuthController {
       next(error);
     }
   }
+
+  /**
+   * Request password reset email
+   * Always responds the same way so the endpoint can't be used to discover accounts
+   */
+  static async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      const user = await User.findOne({ email });
+
+      if (user) {
+        const resetToken = user.generatePasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        try {
+          await emailService.sendPasswordResetEmail(user.email, user.fullName, resetToken);
+          logger.info('Password reset email sent', { userId: user._id, email: user.email });
+        } catch (emailError) {
+          // Drop the unusable token so it can't linger
+          user.passwordResetToken = undefined;
+          user.passwordResetExpires = undefined;
+          await user.save({ validateBeforeSave: false });
+
+          logger.error('Failed to send password reset email', {
+            error: emailError.message,
+            userId: user._id,
+            email: user.email
+          });
+        }
+      } else {
+        logger.info('Password reset requested for unknown email', { email });
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset password with token from email
+   */
+  static async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+
+      // Hash the provided token to compare with stored hash
+      const hashedToken = crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+
+      const user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: Date.now() }
+      }).select('+password +passwordResetToken +passwordResetExpires');
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired password reset token'
+        });
+      }
+
+      const policyErrors = passwordPolicyErrors('password', password, user);
+      if (policyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: policyErrors
+        });
+      }
+
+      // Pre-save hook hashes the password and sets passwordChangedAt,
+      // which invalidates every access token issued before now
+      user.password = password;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+
+      await TokenService.revokeAllSessions(user._id, 'password_reset');
+
+      logger.info('Password reset successfully', { userId: user._id, email: user.email });
+
+      res.json({
+        success: true,
+        message: 'Password reset successful. Please log in with your new password.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * Returns the secret and an otpauth:// URI for the authenticator app
+   */
+  static async setupTwoFactor(req, res, next) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = user.generateTwoFactorSecret();
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Two-factor enrollment started', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret: secret,
+          otpauthUri: buildOtpauthUri(secret, user.email, config.twoFactor.issuer)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code and enable two-factor authentication
+   */
+  static async enableTwoFactor(req, res, next) {
+    try {
+      const { code } = req.body;
+
+      const user = await User.findById(req.user._id)
+        .select('+twoFactorPendingSecret +twoFactorLastUsedStep');
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(code, { pending: true })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorEnabled = true;
+      const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Two-factor authentication enabled', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: {
+          recoveryCodes: recoveryCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable two-factor authentication (requires password and a current code)
+   */
+  static async disableTwoFactor(req, res, next) {
+    try {
+      const { password, code } = req.body;
+
+      const user = await User.findById(req.user._id)
+        .select('+password +twoFactorSecret +twoFactorLastUsedStep');
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid password or two-factor code'
+        });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorRecoveryCodes = undefined;
+      user.twoFactorLastUsedStep = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Two-factor authentication disabled', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace recovery codes (requires a current code)
+   */
+  static async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { code } = req.body;
+
+      const user = await User.findById(req.user._id)
+        .select('+twoFactorSecret +twoFactorLastUsedStep');
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(code)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Two-factor recovery codes regenerated', { userId: user._id });
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        data: {
+          recoveryCodes: recoveryCodes
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default AuthController;
@@ -0,0 +1,116 @@
+import KycSubmission from '../models/KycSubmission.js';
+import PurchaseLimitService from '../services/purchaseLimitService.js';
+import logger from '../utils/logger.js';
+
+const LEVEL_RANK = { none: 0, basic: 1, full: 2 };
+
+// Documents each level needs, keyed by upload field
+const REQUIRED_DOCUMENTS = {
+  basic: ['idDocument'],
+  full: ['idDocument', 'selfie', 'proofOfAddress']
+};
+
+const DOCUMENT_TYPES = {
+  idDocument: 'id_document',
+  selfie: 'selfie',
+  proofOfAddress: 'proof_of_address'
+};
+
+class KycController {
+  /**
+   * Get the user's KYC level, latest submission and current purchase limits
+   */
+  static async getStatus(req, res, next) {
+    try {
+      const latestSubmission = await KycSubmission.findOne({ userId: req.user._id })
+        .sort({ createdAt: -1 });
+
+      const usage = await PurchaseLimitService.getUsage(req.user);
+
+      res.json({
+        success: true,
+        data: {
+          kycLevel: req.user.kycLevel,
+          kycStatus: req.user.kycStatus,
+          latestSubmission: latestSubmission,
+          limits: usage.limits,
+          usage: {
+            used: usage.used,
+            remaining: usage.remaining
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Submit identity data and documents for review
+   */
+  static async submit(req, res, next) {
+    try {
+      const { level, ...personalInfo } = req.body;
+      const files = req.files || {};
+
+      if (LEVEL_RANK[level] <= LEVEL_RANK[req.user.kycLevel]) {
+        return res.status(400).json({
+          success: false,
+          message: `Your account is already verified at level '${req.user.kycLevel}'`
+        });
+      }
+
+      const pending = await KycSubmission.exists({ userId: req.user._id, status: 'pending' });
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a submission awaiting review'
+        });
+      }
+
+      const missing = REQUIRED_DOCUMENTS[level].filter(field => !files[field]);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Missing required documents: ${missing.join(', ')}`
+        });
+      }
+
+      const documents = Object.entries(files).map(([field, [file]]) => ({
+        type: DOCUMENT_TYPES[field],
+        originalName: file.originalname,
+        storagePath: file.path,
+        mimeType: file.mimetype,
+        size: file.size
+      }));
+
+      const submission = await KycSubmission.create({
+        userId: req.user._id,
+        requestedLevel: level,
+        personalInfo: personalInfo,
+        documents: documents
+      });
+
+      req.user.kycStatus = 'pending';
+      await req.user.save({ validateBeforeSave: false });
+
+      logger.info('KYC submission received', {
+        userId: req.user._id,
+        submissionId: submission._id,
+        level
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Verification submitted for review',
+        data: {
+          submission: submission
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default KycController;
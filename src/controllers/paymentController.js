@@ -2,8 +2,16 @@ import Transaction from '../models/Transaction.js';
 import StripeService from '../services/stripeService.js';
 import USDTConversionService from '../services/usdtConversionService.js';
 import coindeskPriceService from '../services/coindeskPriceService.js';
+import PurchaseLimitService from '../services/purchaseLimitService.js';
+import WebhookEventService from '../services/webhookEventService.js';
+import PayoutQueueService from '../services/payoutQueueService.js';
+import TreasuryService from '../services/treasuryService.js';
 import config from '../config/environment.js';
 import logger from '../utils/logger.js';
+import { validateWalletAddress } from '../utils/walletAddress.js';
+
+// Statuses a Stripe transaction can be in while its payment is still outstanding
+const PAYABLE_STATUSES = ['pending', 'payment_processing'];
 
 class PaymentController {
   /**
@@ -11,20 +19,28 @@ class PaymentController {
    */
   static async createPaymentIntent(req, res, next) {
     try {
-      const { usdAmount, walletAddress, currency = 'USD', network = 'TRC20' } = req.body;
+      const { usdAmount, currency = 'USD', network = 'TRC20' } = req.body;
       const userId = req.user._id;
 
-      // Validate wallet address
-      if (!USDTConversionService.validateWalletAddress(walletAddress, network)) {
+      // Validate wallet address (including its checksum)
+      const validation = validateWalletAddress(req.body.walletAddress, network);
+      if (!validation.valid) {
         return res.status(400).json({
           success: false,
-          message: `Invalid ${network} wallet address`
+          message: validation.error
         });
       }
+      const walletAddress = validation.address;
+
+      // Enforce KYC purchase limits
+      await PurchaseLimitService.assertWithinLimits(req.user, usdAmount);
 
       // Calculate USDT conversion
       const conversion = USDTConversionService.calculateConversion(usdAmount);
 
+      // Stop selling before the hot wallet can't cover the payout
+      await TreasuryService.assertCanCover(conversion.usdtAmount, network);
+
       // Create Stripe payment intent
       const paymentIntent = await StripeService.createPaymentIntent(
         usdAmount,
@@ -34,11 +50,16 @@ class PaymentController {
           walletAddress: walletAddress,
           usdtAmount: conversion.usdtAmount.toString(),
           network: network
-        }
+        },
+        // Scope the client's key to the user so keys can't collide across accounts
+        req.idempotencyKey && `${userId}:${req.idempotencyKey}`
       );
 
+      // A retried request gets the same intent back from Stripe; reuse its transaction
+      const existing = req.idempotencyKey && await Transaction.findOne({ paymentIntentId: paymentIntent.id });
+
       // Create transaction record
-      const transaction = await Transaction.create({
+      const transaction = existing || await Transaction.create({
         userId: userId,
         paymentIntentId: paymentIntent.id,
         amountUSD: usdAmount,
@@ -78,44 +99,68 @@ class PaymentController {
 
   /**
    * Handle Stripe webhook
+   * Every verified event is stored by id; a redelivered event that was
+   * already processed is acknowledged without running it again.
    */
   static async handleWebhook(req, res, next) {
     const sig = req.headers['stripe-signature'];
 
+    let event;
     try {
-      const event = StripeService.verifyWebhookSignature(
+      event = StripeService.verifyWebhookSignature(
         req.body,
         sig,
         config.stripe.webhookSecret
       );
+    } catch (error) {
+      logger.error('Webhook error:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook error'
+      });
+    }
 
-      logger.info('Webhook received', { type: event.type });
-
-      // Handle different event types
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await PaymentController.handlePaymentSuccess(event.data.object);
-          break;
-
-        case 'payment_intent.payment_failed':
-          await PaymentController.handlePaymentFailed(event.data.object);
-          break;
+    try {
+      logger.info('Webhook received', { type: event.type, eventId: event.id });
 
-        case 'payment_intent.canceled':
-          await PaymentController.handlePaymentCanceled(event.data.object);
-          break;
+      const webhookEvent = await WebhookEventService.record('stripe', event);
+      const result = await WebhookEventService.process(webhookEvent, PaymentController.dispatchStripeEvent);
 
-        default:
-          logger.warn('Unhandled webhook event type', { type: event.type });
+      // Let Stripe retry failed events
+      if (result.event.status === 'failed') {
+        return res.status(500).json({
+          success: false,
+          message: 'Webhook processing failed'
+        });
       }
 
-      res.json({ received: true });
+      res.json({ received: true, duplicate: result.skipped });
     } catch (error) {
-      logger.error('Webhook error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: 'Webhook error'
-      });
+      next(error);
+    }
+  }
+
+  /**
+   * Run the handler for a Stripe event
+   * @returns {boolean} false when the event type isn't handled
+   */
+  static async dispatchStripeEvent(event) {
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await PaymentController.handlePaymentSuccess(event.data.object);
+        return true;
+
+      case 'payment_intent.payment_failed':
+        await PaymentController.handlePaymentFailed(event.data.object);
+        return true;
+
+      case 'payment_intent.canceled':
+        await PaymentController.handlePaymentCanceled(event.data.object);
+        return true;
+
+      default:
+        logger.warn('Unhandled webhook event type', { type: event.type });
+        return false;
     }
   }
 
@@ -135,113 +180,41 @@ class PaymentController {
         return;
       }
 
-      // Update transaction with payment details
-      transaction.status = 'payment_confirmed';
-      transaction.paymentConfirmedAt = new Date();
-      transaction.cardLast4 = paymentIntent.charges?.data[0]?.payment_method_details?.card?.last4;
-      transaction.cardBrand = paymentIntent.charges?.data[0]?.payment_method_details?.card?.brand;
-      await transaction.save();
-
-      logger.info('Payment confirmed', { transactionId: transaction._id });
-
-      // Emit socket event for real-time update
-      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
-        transactionId: transaction._id,
-        status: 'payment_confirmed'
-      });
+      if (transaction.status === 'payment_confirmed') {
+        // An earlier delivery confirmed the payment but may have stopped before queueing the payout
+        logger.info('Payment already confirmed, making sure the payout is queued', { transactionId: transaction._id });
+      } else if (!PAYABLE_STATUSES.includes(transaction.status)) {
+        // Already paid out, failed or refunded; a late or repeated event must not restart anything
+        logger.warn('Ignoring payment success for transaction in status', {
+          transactionId: transaction._id,
+          status: transaction.status
+        });
+        return;
+      } else {
+        // Update transaction with payment details (version-checked save)
+        transaction.status = 'payment_confirmed';
+        transaction.paymentConfirmedAt = new Date();
+        transaction.cardLast4 = paymentIntent.charges?.data[0]?.payment_method_details?.card?.last4;
+        transaction.cardBrand = paymentIntent.charges?.data[0]?.payment_method_details?.card?.brand;
+        await transaction.save();
+
+        logger.info('Payment confirmed', { transactionId: transaction._id });
+
+        // Emit socket event for real-time update
+        global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+          transactionId: transaction._id,
+          status: 'payment_confirmed'
+        });
+      }
 
-      // Start USDT conversion process
-      await PaymentController.processUSDTConversion(transaction);
+      // Hand the payout to the queue workers; the webhook only acknowledges
+      await PayoutQueueService.enqueue(transaction._id);
     } catch (error) {
       logger.error('Error handling payment success:', error);
+      throw error;
     }
   }
 
-  /**
-   * Process USDT conversion
-   */
-  static async processUSDTConversion(transaction) {
-    try {
-      // Update status
-      transaction.status = 'converting_to_usdt';
-      await transaction.save();
-
-      // Emit socket event
-      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
-        transactionId: transaction._id,
-        status: 'converting_to_usdt'
-      });
-
-      logger.info('Starting USDT conversion', { transactionId: transaction._id });
-
-      // Execute REAL USDT transfer via Binance (falls back to simulation if not configured)
-      const transfer = await USDTConversionService.executeUSDTTransfer(
-        transaction._id,
-        transaction.walletAddress,
-        transaction.usdtAmount,
-        transaction.blockchainNetwork || 'TRC20'
-      );
-
-      // Update transaction with transfer details
-      transaction.status = 'usdt_sent';
-      transaction.usdtSentAt = new Date();
-      transaction.transactionHash = transfer.transactionHash;
-      transaction.blockchainNetwork = transfer.network;
-
-      // Store metadata about whether this was a real or simulated transfer
-      if (!transaction.metadata) transaction.metadata = {};
-      transaction.metadata.isRealTransfer = transfer.isReal || false;
-      transaction.metadata.explorerUrl = transfer.explorerUrl;
-
-      await transaction.save();
-
-      // Emit socket event
-      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
-        transactionId: transaction._id,
-        status: 'usdt_sent',
-        transactionHash: transfer.transactionHash
-      });
-
-      logger.info('USDT sent successfully', {
-        transactionId: transaction._id,
-        txHash: transfer.transactionHash
-      });
-
-      // Mark as completed
-      await PaymentController.completeTransaction(transaction);
-    } catch (error) {
-      logger.error('Error processing USDT conversion:', error);
-
-      transaction.status = 'failed';
-      transaction.errorMessage = error.message;
-      await transaction.save();
-
-      // Emit error event
-      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
-        transactionId: transaction._id,
-        status: 'failed',
-        error: error.message
-      });
-    }
-  }
-
-  /**
-   * Complete transaction
-   */
-  static async completeTransaction(transaction) {
-    transaction.status = 'completed';
-    transaction.completedAt = new Date();
-    await transaction.save();
-
-    logger.info('Transaction completed', { transactionId: transaction._id });
-
-    // Emit final socket event
-    global.io?.to(transaction.userId.toString()).emit('transaction_update', {
-      transactionId: transaction._id,
-      status: 'completed'
-    });
-  }
-
   /**
    * Handle payment failure
    */
@@ -251,7 +224,7 @@ class PaymentController {
         paymentIntentId: paymentIntent.id
       });
 
-      if (!transaction) return;
+      if (!transaction || !PAYABLE_STATUSES.includes(transaction.status)) return;
 
       transaction.status = 'failed';
       transaction.errorMessage = paymentIntent.last_payment_error?.message || 'Payment failed';
@@ -270,6 +243,7 @@ class PaymentController {
       });
     } catch (error) {
       logger.error('Error handling payment failure:', error);
+      throw error;
     }
   }
 
@@ -282,7 +256,7 @@ class PaymentController {
         paymentIntentId: paymentIntent.id
       });
 
-      if (!transaction) return;
+      if (!transaction || !PAYABLE_STATUSES.includes(transaction.status)) return;
 
       transaction.status = 'failed';
       transaction.errorMessage = 'Payment was canceled';
@@ -298,6 +272,7 @@ class PaymentController {
       });
     } catch (error) {
       logger.error('Error handling payment cancellation:', error);
+      throw error;
     }
   }
 
@@ -1,6 +1,15 @@
+import mongoose from 'mongoose';
 import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import StripeService from '../services/stripeService.js';
+import USDTConversionService from '../services/usdtConversionService.js';
+import AuditService from '../services/auditService.js';
+import emailService from '../services/emailService.js';
 import logger from '../utils/logger.js';
 
+// Statuses where the USDT payout never went out, so the card payment can be returned
+const REFUNDABLE_STATUSES = ['pending', 'failed', 'under_review', 'payout_failed', 'partially_refunded'];
+
 class TransactionController {
   /**
    * Get all transactions for authenticated user
@@ -207,6 +216,186 @@ class TransactionController {
       next(error);
     }
   }
+
+  /**
+   * Fully or partially refund a Stripe transaction (admin)
+   */
+  static async refundTransaction(req, res, next) {
+    try {
+      const { amount, reason } = req.body;
+
+      let transaction = await Transaction.findById(req.params.id).select('+signedPayout.raw');
+
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+
+      if (transaction.paymentProvider !== 'stripe' || !transaction.paymentIntentId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only Stripe card payments can be refunded here'
+        });
+      }
+
+      // A payout_failed transfer may have a hash (a reverted on-chain transfer), but no USDT moved
+      const usdtSent = transaction.transactionHash && transaction.status !== 'payout_failed';
+      if (!REFUNDABLE_STATUSES.includes(transaction.status) || usdtSent) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot refund a transaction in status '${transaction.status}'. ` +
+            'Refunds are only possible when no USDT was sent.'
+        });
+      }
+
+      const refundable = Math.round((transaction.amountUSD - transaction.refundedAmount) * 100) / 100;
+      const refundAmount = amount ?? refundable;
+
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        return res.status(400).json({
+          success: false,
+          message: `Refund amount must be between $0.01 and $${refundable.toFixed(2)}`
+        });
+      }
+
+      // A claimed payout may have reached Binance or the chain before it failed or was held for review
+      const payoutStarted = transaction.payoutReference || transaction.signedPayout?.hash;
+      if (transaction.status !== 'payout_failed' && payoutStarted) {
+        let existingTransfer;
+        try {
+          existingTransfer = await USDTConversionService.findExistingTransfer(transaction, { rebroadcast: false });
+        } catch (error) {
+          // Permanent means Binance cancelled or rejected the withdrawal, so nothing went out
+          if (!error.permanent) {
+            logger.warn('Could not check payout before refund', { transactionId: transaction._id, error: error.message });
+            return res.status(503).json({
+              success: false,
+              message: 'Could not verify that no USDT was sent for this transaction. Try again later.'
+            });
+          }
+        }
+
+        if (existingTransfer) {
+          return res.status(409).json({
+            success: false,
+            message: 'USDT was already sent for this transaction, so it cannot be refunded'
+          });
+        }
+      }
+
+      // Claim the refund before calling Stripe, so two admins can't refund the same amount
+      const previous = {
+        status: transaction.status,
+        refundedAmount: transaction.refundedAmount,
+        refundedAt: transaction.refundedAt
+      };
+      const refundedAmount = Math.round((transaction.refundedAmount + refundAmount) * 100) / 100;
+      const refundEntryId = new mongoose.Types.ObjectId();
+
+      transaction = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: transaction.status, __v: transaction.__v },
+        {
+          $set: {
+            status: refundedAmount >= transaction.amountUSD ? 'refunded' : 'partially_refunded',
+            refundedAmount,
+            refundedAt: new Date()
+          },
+          $push: {
+            refunds: {
+              _id: refundEntryId,
+              amount: refundAmount,
+              reason: reason || null,
+              status: 'pending',
+              createdBy: req.user._id
+            }
+          },
+          $inc: { __v: 1 }
+        },
+        { new: true }
+      );
+
+      if (!transaction) {
+        return res.status(409).json({
+          success: false,
+          message: 'Transaction was modified while refunding. Reload it and try again.'
+        });
+      }
+
+      let refund;
+      try {
+        // Keyed on the running total, so a retry of this refund can't refund twice
+        refund = await StripeService.createRefund(
+          transaction.paymentIntentId,
+          refundAmount,
+          `refund_${transaction._id}_${refundedAmount.toFixed(2)}`
+        );
+      } catch (error) {
+        await Transaction.updateOne(
+          { _id: transaction._id, 'refunds._id': refundEntryId },
+          { $set: previous, $pull: { refunds: { _id: refundEntryId } }, $inc: { __v: 1 } }
+        );
+        throw error;
+      }
+
+      transaction = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, 'refunds._id': refundEntryId },
+        {
+          $set: { 'refunds.$.refundId': refund.id, 'refunds.$.status': refund.status },
+          $inc: { __v: 1 }
+        },
+        { new: true }
+      );
+
+      await AuditService.record(req, 'transaction.refund', { type: 'Transaction', id: transaction._id }, {
+        refundId: refund.id,
+        amount: refundAmount,
+        reason
+      });
+
+      logger.info('Transaction refunded', {
+        transactionId: transaction._id,
+        refundId: refund.id,
+        amount: refundAmount,
+        status: transaction.status
+      });
+
+      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+        transactionId: transaction._id,
+        status: transaction.status,
+        refundedAmount: transaction.refundedAmount
+      });
+
+      const user = await User.findById(transaction.userId);
+      if (user) {
+        emailService.sendRefundEmail(user.email, user.fullName, {
+          transactionId: transaction._id,
+          amount: refundAmount,
+          currency: transaction.currency,
+          refundedAmount: transaction.refundedAmount,
+          totalAmount: transaction.amountUSD
+        }).catch(error => {
+          logger.error('Failed to send refund email', { transactionId: transaction._id, error: error.message });
+        });
+      }
+
+      res.json({
+        success: true,
+        message: transaction.status === 'refunded' ? 'Transaction refunded' : 'Transaction partially refunded',
+        data: {
+          transaction: transaction,
+          refund: {
+            id: refund.id,
+            amount: refundAmount,
+            status: refund.status
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default TransactionController;
@@ -1,5 +1,7 @@
 import Transaction from '../models/Transaction.js';
+import PurchaseLimitService from '../services/purchaseLimitService.js';
 import logger from '../utils/logger.js';
+import { validateWalletAddress } from '../utils/walletAddress.js';
 import config from '../config/environment.js';
 
 /**
@@ -20,11 +22,11 @@ class TransakController {
    */
   static async createOrder(req, res, next) {
     try {
-      const { usdAmount, walletAddress, network, provider } = req.body;
+      const { usdAmount, provider } = req.body;
       const userId = req.user._id;
 
       // Validate required fields
-      if (!usdAmount || !walletAddress || !network) {
+      if (!usdAmount || !req.body.walletAddress || !req.body.network) {
         return res.status(400).json({
           success: false,
           message: 'Missing required fields: usdAmount, walletAddress, network'
@@ -39,14 +41,18 @@ class TransakController {
         });
       }
 
-      // Validate wallet address format
-      const isValid = TransakController.validateWalletAddress(walletAddress, network);
-      if (!isValid) {
+      // Validate wallet address (including its checksum); Transak network names map onto ours
+      const validation = validateWalletAddress(req.body.walletAddress, req.body.network);
+      if (!validation.valid) {
         return res.status(400).json({
           success: false,
-          message: `Invalid wallet address for network ${network}`
+          message: validation.error
         });
       }
+      const { address: walletAddress, network } = validation;
+
+      // Enforce KYC purchase limits
+      await PurchaseLimitService.assertWithinLimits(req.user, usdAmount);
 
       // Estimate USDT amount (rough estimate)
       // Transak charges ~4% fee, USDT is roughly 1:1 with USD
@@ -64,8 +70,7 @@ class TransakController {
         status: 'initiated',
         metadata: {
           provider: 'transak',
-          transakOrderId: null, // Will be updated when webhook receives it
-          network: network
+          transakOrderId: null // Will be updated when webhook receives it
         }
       });
 
@@ -141,6 +146,8 @@ class TransakController {
         transaction.usdtSentAt = new Date(); // For consistency with old model
       }
 
+      // Version-checked: a concurrent webhook update makes this fail with 409 instead of overwriting it
+      transaction.markModified('metadata');
       await transaction.save();
 
       logger.info('Transak order status updated', {
@@ -287,6 +294,8 @@ class TransakController {
       // Store full webhook data
       transaction.metadata.transakWebhookData = data;
 
+      // Version-checked: if the order changed since it was loaded, the 409 makes Transak retry
+      transaction.markModified('metadata');
       await transaction.save();
 
       logger.info('Transaction updated from Transak webhook', {
@@ -309,35 +318,6 @@ class TransakController {
     }
   }
 
-  /**
-   * Validate wallet address format
-   */
-  static validateWalletAddress(address, network) {
-    if (!address || typeof address !== 'string') {
-      return false;
-    }
-
-    address = address.trim();
-
-    switch (network.toLowerCase()) {
-      case 'tron':
-      case 'trc20':
-        // Tron addresses start with T and are 34 characters
-        return address.startsWith('T') && address.length === 34;
-
-      case 'ethereum':
-      case 'erc20':
-      case 'polygon':
-      case 'bsc':
-      case 'bep20':
-        // EVM addresses start with 0x and are 42 characters
-        return address.startsWith('0x') && address.length === 42;
-
-      default:
-        return false;
-    }
-  }
-
   /**
    * Get Transak configuration
    * Returns public config for frontend
@@ -348,7 +328,7 @@ class TransakController {
         success: true,
         data: {
           environment: config.transak.environment,
-          supportedNetworks: ['tron', 'ethereum', 'polygon', 'bsc'],
+          supportedNetworks: ['tron', 'ethereum', 'bsc'],
           supportedCurrencies: ['USDT'],
           minAmount: 30,
           maxAmount: 10000
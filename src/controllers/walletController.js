@@ -0,0 +1,404 @@
+import User from '../models/User.js';
+import WalletAddress from '../models/WalletAddress.js';
+import emailService from '../services/emailService.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { buildOwnershipMessage, generateNonce, isValidOwnershipSignature } from '../utils/walletSignature.js';
+import { validateWalletAddress } from '../utils/walletAddress.js';
+
+/**
+ * Make a wallet the user's default and mirror it to the profile wallet.
+ * Callers check canReceivePayouts() first, so only confirmed wallets past
+ * their cooldown ever count as the user's saved wallet.
+ */
+const makeDefault = async (user, wallet) => {
+  await WalletAddress.updateMany(
+    { userId: user._id, _id: { $ne: wallet._id } },
+    { isDefault: false }
+  );
+
+  wallet.isDefault = true;
+  await wallet.save();
+
+  user.walletAddress = wallet.address;
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Email a fresh confirmation link for a wallet
+ */
+const sendConfirmation = async (user, wallet) => {
+  const token = wallet.generateConfirmationToken(config.addressBook.confirmationExpiresHours);
+  await wallet.save();
+
+  emailService.sendWalletConfirmationEmail(user.email, user.fullName, wallet, token).catch(error => {
+    logger.error('Failed to send wallet confirmation email', { userId: user._id, error: error.message });
+  });
+};
+
+class WalletController {
+  /**
+   * List the user's saved wallets
+   */
+  static async listWallets(req, res, next) {
+    try {
+      const wallets = await WalletAddress.find({ userId: req.user._id })
+        .sort({ isDefault: -1, createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          wallets: wallets,
+          whitelistEnabled: req.user.walletWhitelistEnabled
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a wallet to the address book and email a confirmation link
+   */
+  static async addWallet(req, res, next) {
+    try {
+      const { label, network } = req.body;
+
+      const validation = validateWalletAddress(req.body.address, network);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.error
+        });
+      }
+      // Stored normalized (EVM addresses checksummed) so the same address can't be saved twice
+      const address = validation.address;
+
+      const count = await WalletAddress.countDocuments({ userId: req.user._id });
+      if (count >= config.addressBook.maxAddresses) {
+        return res.status(400).json({
+          success: false,
+          message: `You can save at most ${config.addressBook.maxAddresses} wallets`
+        });
+      }
+
+      const exists = await WalletAddress.exists({ userId: req.user._id, address, network });
+      if (exists) {
+        return res.status(409).json({
+          success: false,
+          message: 'This address is already in your address book'
+        });
+      }
+
+      const wallet = new WalletAddress({
+        userId: req.user._id,
+        label,
+        address,
+        network,
+        availableAt: new Date(Date.now() + config.addressBook.cooldownHours * 60 * 60 * 1000)
+      });
+      await sendConfirmation(req.user, wallet);
+
+      logger.info('Wallet added to address book', {
+        userId: req.user._id,
+        walletId: wallet._id,
+        network
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Wallet added. Check your email to confirm it.',
+        data: {
+          wallet: wallet
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename a wallet or make it the default. Only confirmed wallets past
+   * their cooldown can become the default.
+   */
+  static async updateWallet(req, res, next) {
+    try {
+      const { label, isDefault } = req.body;
+
+      const wallet = await WalletAddress.findOne({ _id: req.params.id, userId: req.user._id });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      if (isDefault === true && !wallet.canReceivePayouts()) {
+        return res.status(400).json({
+          success: false,
+          message: wallet.isConfirmed
+            ? `This wallet can be made the default from ${wallet.availableAt.toISOString()}`
+            : 'Confirm this wallet before making it the default'
+        });
+      }
+
+      if (label !== undefined) {
+        wallet.label = label;
+        await wallet.save();
+      }
+
+      if (isDefault === true) {
+        await makeDefault(req.user, wallet);
+      }
+
+      res.json({
+        success: true,
+        message: 'Wallet updated',
+        data: {
+          wallet: wallet
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a wallet from the address book
+   */
+  static async deleteWallet(req, res, next) {
+    try {
+      const wallet = await WalletAddress.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      if (wallet.isDefault && req.user.walletAddress === wallet.address) {
+        req.user.walletAddress = null;
+        await req.user.save({ validateBeforeSave: false });
+      }
+
+      logger.info('Wallet removed from address book', { userId: req.user._id, walletId: wallet._id });
+
+      res.json({
+        success: true,
+        message: 'Wallet removed'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm a wallet from the emailed link
+   */
+  static async confirmWallet(req, res, next) {
+    try {
+      const { token } = req.body;
+
+      const wallet = await WalletAddress.findOne({
+        confirmationToken: WalletAddress.hashToken(token),
+        confirmationExpires: { $gt: Date.now() }
+      });
+
+      if (!wallet) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired confirmation link'
+        });
+      }
+
+      wallet.confirmedAt = new Date();
+      wallet.confirmationToken = undefined;
+      wallet.confirmationExpires = undefined;
+      await wallet.save();
+
+      logger.info('Wallet confirmed', { userId: wallet.userId, walletId: wallet._id });
+
+      res.json({
+        success: true,
+        message: 'Wallet confirmed',
+        data: {
+          wallet: wallet
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a new confirmation link for an unconfirmed wallet
+   */
+  static async resendConfirmation(req, res, next) {
+    try {
+      const wallet = await WalletAddress.findOne({ _id: req.params.id, userId: req.user._id });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      if (wallet.isConfirmed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Wallet is already confirmed'
+        });
+      }
+
+      await sendConfirmation(req.user, wallet);
+
+      res.json({
+        success: true,
+        message: 'Confirmation email sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue a message for the user to sign with the wallet's key
+   */
+  static async createOwnershipChallenge(req, res, next) {
+    try {
+      const wallet = await WalletAddress.findOne({ _id: req.params.id, userId: req.user._id });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      if (wallet.isOwnershipVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Wallet ownership is already verified'
+        });
+      }
+
+      const issuedAt = new Date();
+      const message = buildOwnershipMessage(wallet, generateNonce(), issuedAt);
+      const expiresAt = new Date(issuedAt.getTime() + config.addressBook.ownershipChallengeMinutes * 60 * 1000);
+
+      wallet.ownershipChallenge = { message, expiresAt };
+      await wallet.save();
+
+      res.json({
+        success: true,
+        message: wallet.network === 'TRC20'
+          ? 'Sign this message with TronWeb signMessageV2'
+          : 'Sign this message with personal_sign (EIP-191)',
+        data: {
+          message: message,
+          expiresAt: expiresAt
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Verify a signed ownership challenge and mark the wallet as verified
+   */
+  static async verifyOwnership(req, res, next) {
+    try {
+      const signature = req.body.signature.startsWith('0x') ? req.body.signature : `0x${req.body.signature}`;
+
+      const wallet = await WalletAddress.findOne({ _id: req.params.id, userId: req.user._id });
+
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      const challenge = wallet.ownershipChallenge;
+      if (!challenge?.message || challenge.expiresAt < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'No active challenge. Request a new one.'
+        });
+      }
+
+      if (!isValidOwnershipSignature(wallet, challenge.message, signature)) {
+        logger.warn('Wallet ownership signature rejected', { userId: req.user._id, walletId: wallet._id });
+        return res.status(400).json({
+          success: false,
+          message: 'Signature does not match this wallet address'
+        });
+      }
+
+      wallet.ownershipVerifiedAt = new Date();
+      wallet.ownershipChallenge = undefined;
+      await wallet.save();
+
+      logger.info('Wallet ownership verified', { userId: req.user._id, walletId: wallet._id });
+
+      res.json({
+        success: true,
+        message: 'Wallet ownership verified',
+        data: {
+          wallet: wallet
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Turn whitelist mode on or off. Turning it off needs the password.
+   */
+  static async updateWhitelist(req, res, next) {
+    try {
+      const { enabled, password } = req.body;
+
+      const user = await User.findById(req.user._id).select('+password');
+
+      if (!enabled && user.walletWhitelistEnabled) {
+        const isPasswordValid = password && await user.comparePassword(password);
+        if (!isPasswordValid) {
+          return res.status(401).json({
+            success: false,
+            message: 'Password is incorrect'
+          });
+        }
+
+        emailService.sendWalletWhitelistDisabledEmail(user.email, user.fullName, {
+          ipAddress: req.ip,
+          time: new Date()
+        }).catch(error => {
+          logger.error('Failed to send whitelist disabled email', { userId: user._id, error: error.message });
+        });
+      }
+
+      user.walletWhitelistEnabled = enabled;
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Wallet whitelist updated', { userId: user._id, enabled });
+
+      res.json({
+        success: true,
+        message: enabled ? 'Whitelist mode enabled' : 'Whitelist mode disabled',
+        data: {
+          whitelistEnabled: user.walletWhitelistEnabled
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default WalletController;
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import config from '../config/environment.js';
 import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import TokenService from '../services/tokenService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -38,14 +40,43 @@ export const authenticate = async (req, res, next) => {
         });
       }
 
-      // Attach user to request
+      if (user.isSuspended()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended. Please contact support.'
+        });
+      }
+
+      // Reject tokens issued before the last password change
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please log in again.'
+        });
+      }
+
+      // Reject tokens whose session was revoked (logout, reuse, admin action)
+      const session = decoded.sid
+        ? await TokenService.findActiveSession(decoded.sid, user._id)
+        : null;
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired or revoked. Please log in again.'
+        });
+      }
+
+      // Attach user and session to request
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       logger.error('Token verification failed:', error.message);
+      // Let clients know when to use their refresh token
       return res.status(401).json({
         success: false,
-        message: 'Invalid token'
+        message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
       });
     }
   } catch (error) {
@@ -57,8 +88,74 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Accept either a JWT (see authenticate) or an API key with every listed scope.
+ * API keys are sent in the X-API-Key header.
+ */
+export const authenticateOrApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    const plainKey = req.get('x-api-key');
+
+    if (!plainKey) {
+      return authenticate(req, res, next);
+    }
+
+    try {
+      const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(plainKey) });
+
+      if (!apiKey || !apiKey.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key'
+        });
+      }
+
+      const missingScopes = scopes.filter(scope => !apiKey.scopes.includes(scope));
+      if (missingScopes.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `API key is missing required scope: ${missingScopes.join(', ')}`
+        });
+      }
+
+      const user = await User.findById(apiKey.userId);
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.isSuspended()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account suspended. Please contact support.'
+        });
+      }
+
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+      );
+
+      // Attach user and key to request
+      req.user = user;
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      logger.error('API key authentication error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during authentication'
+      });
+    }
+  };
+};
+
 /**
  * Check if user has required role
+ * Role-gated routes are never reachable with an API key.
  */
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -69,6 +166,13 @@ export const authorize = (...roles) => {
       });
     }
 
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot access this route'
+      });
+    }
+
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
@@ -80,6 +184,45 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Check if user's role grants every listed permission
+ * Like authorize, never reachable with an API key.
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot access this route'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.can(permission));
+    if (missing.length > 0) {
+      logger.warn('Permission denied', {
+        userId: req.user._id,
+        role: req.user.role,
+        missing,
+        url: req.originalUrl
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication (doesn't fail if no token)
  */
@@ -97,8 +240,13 @@ export const optionalAuth = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, config.jwt.secret);
         const user = await User.findById(decoded.id);
-        if (user) {
+        const session = decoded.sid
+          ? await TokenService.findActiveSession(decoded.sid, decoded.id)
+          : null;
+
+        if (user && session && !user.isSuspended() && !user.changedPasswordAfter(decoded.iat)) {
           req.user = user;
+          req.authSession = session;
         }
       } catch (error) {
         // Token invalid but continue anyway
@@ -112,3 +260,45 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+/**
+ * Optional authentication that also accepts an API key with every listed scope.
+ * Never rejects: a missing, invalid or under-scoped key continues anonymously.
+ */
+export const optionalAuthOrApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    const plainKey = req.get('x-api-key');
+
+    if (!plainKey) {
+      return optionalAuth(req, res, next);
+    }
+
+    try {
+      const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(plainKey) });
+      const hasScopes = apiKey && apiKey.isActive &&
+        scopes.every(scope => apiKey.scopes.includes(scope));
+
+      if (!hasScopes) {
+        logger.warn('Optional auth - invalid or under-scoped API key');
+        return next();
+      }
+
+      const user = await User.findById(apiKey.userId);
+
+      if (user && !user.isSuspended()) {
+        await ApiKey.updateOne(
+          { _id: apiKey._id },
+          { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+        );
+
+        req.user = user;
+        req.apiKey = apiKey;
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Optional API key auth error:', error);
+      next();
+    }
+  };
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { ACCESS_COOKIE, REFRESH_COOKIE, CSRF_COOKIE, CSRF_HEADER } from '../utils/authCookies.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Whether the request would be authenticated by a session cookie
+ * (Bearer and API-key requests can't be forged cross-site)
+ */
+const usesCookieAuth = (req) => {
+  if (req.headers.authorization?.startsWith('Bearer') || req.get('x-api-key')) {
+    return false;
+  }
+
+  return Boolean(req.cookies?.[ACCESS_COOKIE] || req.cookies?.[REFRESH_COOKIE]);
+};
+
+/**
+ * Double-submit CSRF check for cookie-authenticated, state-changing requests.
+ * The client must echo the csrfToken cookie in the X-CSRF-Token header.
+ */
+export const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !usesCookieAuth(req)) {
+    return next();
+  }
+
+  const cookieToken = Buffer.from(req.cookies[CSRF_COOKIE] || '');
+  const headerToken = Buffer.from(req.get(CSRF_HEADER) || '');
+
+  const isValid = cookieToken.length > 0 &&
+    cookieToken.length === headerToken.length &&
+    crypto.timingSafeEqual(cookieToken, headerToken);
+
+  if (!isValid) {
+    logger.warn('CSRF check failed', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      origin: req.get('origin')
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token'
+    });
+  }
+
+  next();
+};
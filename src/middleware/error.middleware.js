@@ -25,6 +25,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Optimistic concurrency: the document changed since it was loaded
+  if (err.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'This record was changed by another request. Please retry.'
+    });
+  }
+
   // Mongoose duplicate key error
   if (err.code === 11000) {
     const field = Object.keys(err.keyPattern)[0];
@@ -49,6 +57,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message
+    });
+  }
+
   // Stripe errors
   if (err.type && err.type.startsWith('Stripe')) {
     return res.status(400).json({
@@ -64,6 +80,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message: message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
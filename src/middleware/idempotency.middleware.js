@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import IdempotencyKey, { IDEMPOTENCY_TTL_HOURS } from '../models/IdempotencyKey.js';
+import logger from '../utils/logger.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+
+// A key still 'processing' after this is assumed to belong to a crashed request and can be reclaimed
+const STALE_PROCESSING_MS = 2 * 60 * 1000;
+
+/**
+ * JSON with sorted object keys, so field order doesn't change the fingerprint
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Make a state-changing request safe to retry with an Idempotency-Key header.
+ * The first successful response is stored for 24 hours and replayed for
+ * retries with the same key; reusing a key with a different body is rejected.
+ * A key stuck 'processing' (crashed request) can be reused after a short timeout.
+ * Requests without the header run normally. Sets req.idempotencyKey.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 8-255 characters (letters, digits, - _ : .)'
+    });
+  }
+
+  try {
+    const userId = req.user._id;
+    const requestHash = fingerprint(req);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        requestHash,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await IdempotencyKey.findOne({ userId, key });
+
+      // Expired between the insert and the lookup; let the client retry
+      if (!existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key conflict. Please retry.'
+        });
+      }
+
+      if (existing.requestHash !== requestHash) {
+        logger.warn('Idempotency-Key reused with a different request', { userId, key });
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Take over a key left 'processing' by a request that crashed
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+        { $set: { expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000) } },
+        { new: true }
+      );
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      logger.warn('Reclaimed stale Idempotency-Key', { userId, key });
+    }
+
+    // Only successful responses are kept; on failure the key is released for a retry
+    let finalized = false;
+    const finalize = (body) => {
+      if (finalized) return;
+      finalized = true;
+
+      const update = res.statusCode < 300
+        ? IdempotencyKey.updateOne({ _id: record._id }, {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: body ?? null
+        })
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      update.catch(error => {
+        logger.error('Failed to store idempotent response', { key, error: error.message });
+      });
+    };
+
+    // Store the response as soon as the handler produces it, even if the
+    // client has already disconnected, so retries are answered without re-running it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      finalize(body);
+      return json(body);
+    };
+
+    // Responses sent without res.json. If the client left before any
+    // response, the key stays 'processing' until the handler answers or it goes stale.
+    res.on('close', () => {
+      if (res.headersSent) {
+        finalize(null);
+      }
+    });
+
+    req.idempotencyKey = key;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,193 @@
+import User from '../models/User.js';
+import WalletAddress from '../models/WalletAddress.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import { normalizeNetwork, validateWalletAddress } from '../utils/walletAddress.js';
+
+/**
+ * Block payment creation for suspended accounts
+ */
+export const requireActiveAccount = (req, res, next) => {
+  if (req.user?.isSuspended()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Account suspended. Payments are disabled.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Resolve the payout wallet from `walletId`, a raw `walletAddress` or the
+ * user's default saved wallet, and enforce whitelist mode: payouts may then
+ * only go to confirmed address-book entries whose cooldown has passed.
+ * Sets req.payoutWallet to the matching saved wallet, if any.
+ */
+export const resolvePayoutWallet = async (req, res, next) => {
+  try {
+    const { walletId } = req.body;
+    const userId = req.user._id;
+
+    // Normalize network aliases and address casing so raw addresses match saved ones
+    const network = normalizeNetwork(req.body.network) || req.body.network;
+    const typedAddress = req.body.walletAddress;
+    let walletAddress = typedAddress;
+    if (walletAddress && network) {
+      const validation = validateWalletAddress(walletAddress, network);
+      if (validation.valid) {
+        walletAddress = validation.address;
+        req.body.walletAddress = walletAddress;
+        req.body.network = validation.network;
+      }
+    }
+
+    let wallet = null;
+    if (walletId) {
+      wallet = await WalletAddress.findOne({ _id: walletId, userId });
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved wallet not found'
+        });
+      }
+    } else if (walletAddress) {
+      // Also match the address as typed, for wallets saved before addresses were normalized
+      const addresses = [...new Set([walletAddress, typedAddress])];
+      wallet = await WalletAddress.findOne({ userId, address: { $in: addresses }, ...(network && { network }) });
+    } else {
+      wallet = await WalletAddress.findOne({ userId, isDefault: true });
+      if (!wallet) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a walletAddress or walletId, or save a default wallet'
+        });
+      }
+    }
+
+    if (wallet) {
+      req.body.walletAddress = wallet.address;
+      req.body.network = wallet.network;
+    }
+    delete req.body.walletId;
+
+    if (req.user.walletWhitelistEnabled) {
+      let message = null;
+      if (!wallet) {
+        message = 'Whitelist mode is on. Payouts can only go to wallets saved in your address book';
+      } else if (!wallet.isConfirmed) {
+        message = 'Confirm this wallet using the link we emailed you before sending payouts to it';
+      } else if (wallet.isCoolingDown) {
+        message = `This wallet was added recently and can receive payouts from ${wallet.availableAt.toISOString()}`;
+      }
+
+      if (message) {
+        logger.warn('Payout blocked by wallet whitelist', { userId, walletId: wallet?._id });
+        return res.status(403).json({
+          success: false,
+          message: message
+        });
+      }
+    }
+
+    if (wallet) {
+      await WalletAddress.updateOne({ _id: wallet._id }, { lastUsedAt: new Date() });
+    }
+
+    req.payoutWallet = wallet;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a signature-verified wallet for purchases above the configured amount.
+ * Runs after resolvePayoutWallet.
+ */
+export const requireVerifiedWallet = (req, res, next) => {
+  const threshold = config.addressBook.ownershipProofAmountUSD;
+
+  if (!threshold || req.body.usdAmount <= threshold || req.payoutWallet?.isOwnershipVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: `Purchases above $${threshold} need a saved wallet with verified ownership. ` +
+      'Sign an ownership challenge for this address first.',
+    walletVerificationRequired: true
+  });
+};
+
+/**
+ * Require a fresh TOTP code for high-value purchases, or when USDT is
+ * being sent somewhere other than a confirmed saved wallet.
+ * The code is read from the X-TOTP-Code header or `totpCode` in the body.
+ * API key requests can't give one, so those purchases are refused instead.
+ */
+export const requireTwoFactorStepUp = async (req, res, next) => {
+  try {
+    const { usdAmount } = req.body;
+
+    const isHighValue = usdAmount > config.twoFactor.stepUpAmountUSD;
+    // Only confirmed address-book entries past their cooldown count as known,
+    // the profile wallet included, so it can't be swapped in to skip this check
+    const isNewWallet = !req.payoutWallet?.isConfirmed || req.payoutWallet.isCoolingDown;
+
+    if (!isHighValue && !isNewWallet) {
+      return next();
+    }
+
+    // Server-to-server calls can't answer a TOTP prompt, so anything needing one is refused
+    if (req.apiKey) {
+      logger.warn('API key payment needs a step-up', { userId: req.user._id, apiKeyId: req.apiKey._id, isHighValue, isNewWallet });
+      return res.status(403).json({
+        success: false,
+        message: isNewWallet
+          ? 'API key payments can only go to a confirmed saved wallet'
+          : `API key payments are limited to $${config.twoFactor.stepUpAmountUSD}. Use the app for larger purchases.`
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      if (isHighValue && config.twoFactor.requireForHighValue) {
+        return res.status(403).json({
+          success: false,
+          message: `Enable two-factor authentication to make purchases above $${config.twoFactor.stepUpAmountUSD}`,
+          twoFactorSetupRequired: true
+        });
+      }
+      return next();
+    }
+
+    const code = req.get('x-totp-code') || req.body.totpCode;
+
+    if (!code) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor code required for this payment',
+        requiresTwoFactor: true
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep');
+
+    if (!user.verifyTwoFactorCode(code)) {
+      logger.warn('Step-up two-factor check failed', { userId: user._id, isHighValue, isNewWallet });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or already used two-factor code',
+        requiresTwoFactor: true
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    delete req.body.totpCode;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
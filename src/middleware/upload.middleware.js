@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import multer from 'multer';
+import config from '../config/environment.js';
+
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * Store each user's KYC documents in their own directory under a random name
+ */
+const kycStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(config.kyc.uploadDir, req.user._id.toString());
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, crypto.randomBytes(16).toString('hex') + ALLOWED_MIME_TYPES[file.mimetype]);
+  }
+});
+
+const kycUpload = multer({
+  storage: kycStorage,
+  limits: {
+    fileSize: config.kyc.maxFileSizeMB * 1024 * 1024,
+    files: 3
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES[file.mimetype]) {
+      const error = new Error('Documents must be JPEG, PNG or PDF files');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const kycFields = kycUpload.fields([
+  { name: 'idDocument', maxCount: 1 },
+  { name: 'selfie', maxCount: 1 },
+  { name: 'proofOfAddress', maxCount: 1 }
+]);
+
+/**
+ * Delete uploaded files from disk
+ */
+const discardUploads = async (files = {}) => {
+  const paths = Object.values(files).flat().map(file => file.path);
+  await Promise.all(paths.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+};
+
+/**
+ * Accept the KYC document fields from a multipart form.
+ * Files are removed again if the request ends in an error, so rejected
+ * submissions don't leave identity documents behind.
+ */
+export const uploadKycDocuments = (req, res, next) => {
+  kycFields(req, res, (error) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400 && req.files) {
+        discardUploads(req.files);
+      }
+    });
+    next(error);
+  });
+};
@@ -1,5 +1,10 @@
 import Joi from 'joi';
 import logger from '../utils/logger.js';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { WALLET_NETWORKS } from '../models/WalletAddress.js';
+import { ROLES } from '../config/permissions.js';
+import { checkPassword } from '../utils/passwordPolicy.js';
+import { normalizeNetwork } from '../utils/walletAddress.js';
 
 /**
  * Generic validation middleware
@@ -31,29 +36,214 @@ export const validate = (schema) => {
   };
 };
 
+/**
+ * Format password policy failures like Joi validation errors
+ */
+export const passwordPolicyErrors = (field, password, identity) => {
+  return checkPassword(password, identity).map(message => ({
+    field: field,
+    message: message
+  }));
+};
+
+/**
+ * Enforce the password policy on a body field.
+ * Name/email checks use the body values, falling back to the logged-in user.
+ */
+export const enforcePasswordPolicy = (field = 'password') => {
+  return (req, res, next) => {
+    const errors = passwordPolicyErrors(field, req.body[field], {
+      email: req.body.email || req.user?.email,
+      fullName: req.body.fullName || req.user?.fullName
+    });
+
+    if (errors.length > 0) {
+      logger.warn('Password policy failed:', { field, rules: errors.length });
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Network field accepting aliases (tron, bsc, ...) and converting them to TRC20/ERC20/BEP20
+ */
+const network = () => Joi.string()
+  .custom((value, helpers) => normalizeNetwork(value) || helpers.error('network.unsupported'))
+  .messages({ 'network.unsupported': `{{#label}} must be one of ${WALLET_NETWORKS.join(', ')}` });
+
 // Common validation schemas
 export const schemas = {
   register: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).required(),
+    password: Joi.string().required(), // Strength checked by enforcePasswordPolicy
     fullName: Joi.string().min(2).max(100).required(),
-    walletAddress: Joi.string().optional().allow(null, '')
+    walletAddress: Joi.string().optional().allow(null, ''),
+    sessionMode: Joi.string().valid('token', 'cookie').default('token')
   }),
 
   login: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().required()
+    password: Joi.string().required(),
+    sessionMode: Joi.string().valid('token', 'cookie').default('token')
+  }),
+
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+    sessionMode: Joi.string().valid('token', 'cookie').default('token')
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().hex().optional()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().required() // Strength checked in AuthController.resetPassword
   }),
 
   createPayment: Joi.object({
     usdAmount: Joi.number().min(10).max(10000).required(),
-    walletAddress: Joi.string().required().min(20).max(100),
+    // Either a raw address or a saved wallet; with neither, the default saved wallet is used
+    walletAddress: Joi.string().min(20).max(100).optional(),
+    walletId: Joi.string().hex().length(24).optional(),
     currency: Joi.string().valid('USD').default('USD'),
-    network: Joi.string().valid('TRC20', 'ERC20', 'BEP20').default('TRC20')
+    network: network().default('TRC20'),
+    totpCode: Joi.string().pattern(/^\d{6}$/).optional()
+  }).oxor('walletAddress', 'walletId'),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().invalid(Joi.ref('currentPassword')).required()
+      .messages({ 'any.invalid': 'New password must be different from the current password' })
+  }),
+
+  requestEmailChange: Joi.object({
+    newEmail: Joi.string().email().lowercase().required(),
+    password: Joi.string().required()
+  }),
+
+  confirmEmailChange: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  createApiKey: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+    expiresAt: Joi.date().greater('now').optional().allow(null),
+    // Keys that can create payments need the password (and a 2FA code when enabled)
+    password: Joi.string().when('scopes', {
+      is: Joi.array().has('payments:create'),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).optional()
+  }),
+
+  updateUserRole: Joi.object({
+    role: Joi.string().valid(...ROLES).required()
+  }),
+
+  suspendUser: Joi.object({
+    reason: Joi.string().min(3).max(500).required()
   }),
 
   updateProfile: Joi.object({
     fullName: Joi.string().min(2).max(100).optional(),
-    walletAddress: Joi.string().optional().allow(null, '')
+    walletAddress: Joi.string().optional().allow(null, ''),
+    // Changing the payout wallet needs the password (and a 2FA code when enabled)
+    password: Joi.string().when('walletAddress', {
+      is: Joi.exist(),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }),
+    code: Joi.string().pattern(/^\d{6}$/).optional()
+  }),
+
+  addWallet: Joi.object({
+    label: Joi.string().trim().min(1).max(50).required(),
+    address: Joi.string().trim().min(20).max(100).required(),
+    network: network().required()
+  }),
+
+  updateWallet: Joi.object({
+    label: Joi.string().trim().min(1).max(50),
+    isDefault: Joi.boolean().valid(true)
+  }).min(1),
+
+  confirmWallet: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  verifyWalletOwnership: Joi.object({
+    signature: Joi.string().pattern(/^(0x)?[0-9a-fA-F]{130}$/).required()
+      .messages({ 'string.pattern.base': 'signature must be a 65-byte hex string' })
+  }),
+
+  updateWalletWhitelist: Joi.object({
+    enabled: Joi.boolean().required(),
+    password: Joi.string().when('enabled', { is: false, then: Joi.required(), otherwise: Joi.optional() })
+  }),
+
+  // Multipart form: every field arrives as a string
+  kycSubmission: Joi.object({
+    level: Joi.string().valid('basic', 'full').required(),
+    firstName: Joi.string().trim().min(1).max(100).required(),
+    lastName: Joi.string().trim().min(1).max(100).required(),
+    dateOfBirth: Joi.date().iso().less('now').required(),
+    nationality: Joi.string().trim().length(2).uppercase().required(),
+    country: Joi.string().trim().length(2).uppercase().required(),
+    addressLine1: Joi.string().trim().max(200).when('level', {
+      is: 'full', then: Joi.required(), otherwise: Joi.optional()
+    }),
+    city: Joi.string().trim().max(100).when('level', {
+      is: 'full', then: Joi.required(), otherwise: Joi.optional()
+    }),
+    postalCode: Joi.string().trim().max(20).optional(),
+    documentType: Joi.string().valid('passport', 'national_id', 'drivers_license').required(),
+    documentNumber: Joi.string().trim().min(3).max(50).required()
+  }),
+
+  // null clears an override so the KYC level default applies again
+  updateUserLimits: Joi.object({
+    perTransaction: Joi.number().min(0).allow(null),
+    daily: Joi.number().min(0).allow(null),
+    weekly: Joi.number().min(0).allow(null),
+    monthly: Joi.number().min(0).allow(null),
+    dailyCount: Joi.number().integer().min(0).allow(null),
+    weeklyCount: Joi.number().integer().min(0).allow(null),
+    monthlyCount: Joi.number().integer().min(0).allow(null),
+    note: Joi.string().max(500).allow(null, '')
+  }).min(1),
+
+  // Omit amount for a full refund of what's left
+  refundTransaction: Joi.object({
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().max(500).optional()
+  }),
+
+  rejectKyc: Joi.object({
+    reason: Joi.string().min(3).max(500).required()
   })
 };
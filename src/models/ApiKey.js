@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Scopes a key can be granted
+export const API_KEY_SCOPES = [
+  'quotes:read',
+  'payments:create',
+  'transactions:read'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    enum: API_KEY_SCOPES,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+
+/**
+ * Hash a plain API key for storage/lookup
+ */
+apiKeySchema.statics.hashKey = function(plainKey) {
+  return crypto
+    .createHash('sha256')
+    .update(plainKey)
+    .digest('hex');
+};
+
+/**
+ * Create a key and return it together with the plain value (shown once)
+ */
+apiKeySchema.statics.generate = async function({ userId, name, scopes, expiresAt = null }) {
+  const plainKey = `usdt_${crypto.randomBytes(32).toString('hex')}`;
+
+  const apiKey = await this.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    prefix: plainKey.slice(0, 13),
+    keyHash: this.hashKey(plainKey)
+  });
+
+  return { apiKey, plainKey };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
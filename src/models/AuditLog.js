@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Append-only record of privileged actions (admin changes to users, etc.)
+ */
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
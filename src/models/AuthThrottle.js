@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Failed authentication attempts counter.
+ * One document per scope + subject (an account or an IP address).
+ */
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['login', 'verify-email', 'two-factor', 'email-change']
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['account', 'ip']
+  },
+  subject: {
+    type: String,
+    required: true,
+    index: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+    // Note: index created below with expireAfterSeconds for auto-deletion
+  }
+}, {
+  timestamps: true
+});
+
+// Forget counters after a quiet period
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
+
+export default AuthThrottle;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+export const IDEMPOTENCY_TTL_HOURS = 24;
+
+/**
+ * A client-supplied Idempotency-Key with the request it was first used for
+ * and the response to replay when the request is retried
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the method, path and body
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+    // Note: index created below with expireAfterSeconds for auto-deletion
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user so two accounts can't collide
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
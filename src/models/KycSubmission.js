@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const documentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['id_document', 'selfie', 'proof_of_address'],
+    required: true
+  },
+  originalName: String,
+  storagePath: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Identity data submitted by a user to reach a KYC level, plus the review outcome
+ */
+const kycSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  requestedLevel: {
+    type: String,
+    enum: ['basic', 'full'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+    index: true
+  },
+  personalInfo: {
+    firstName: { type: String, required: true, trim: true },
+    lastName: { type: String, required: true, trim: true },
+    dateOfBirth: { type: Date, required: true },
+    nationality: { type: String, required: true, uppercase: true, trim: true },
+    country: { type: String, required: true, uppercase: true, trim: true },
+    addressLine1: { type: String, trim: true },
+    city: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    documentType: {
+      type: String,
+      enum: ['passport', 'national_id', 'drivers_license'],
+      required: true
+    },
+    documentNumber: { type: String, required: true, trim: true }
+  },
+  documents: [documentSchema],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+kycSubmissionSchema.index({ status: 1, createdAt: 1 });
+
+// Hide storage locations from API responses
+kycSubmissionSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  obj.documents = (obj.documents || []).map(({ storagePath, ...doc }) => doc);
+  return obj;
+};
+
+const KycSubmission = mongoose.model('KycSubmission', kycSubmissionSchema);
+
+export default KycSubmission;
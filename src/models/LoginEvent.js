@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * One record per login attempt (successful or not)
+ */
+const loginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // Why the attempt failed (or how it succeeded)
+  reason: {
+    type: String,
+    enum: [
+      'password',
+      'two_factor',
+      'recovery_code',
+      'registration',
+      'email_verification',
+      'invalid_credentials',
+      'invalid_two_factor',
+      'throttled',
+      'suspended'
+    ],
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Hash of the user agent, used to spot logins from new devices
+  deviceId: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  isNewDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, deviceId: 1, success: 1 });
+
+// Keep login history for 180 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * A queued USDT payout for a paid transaction, worked off by the payout workers
+ */
+const payoutJobSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'queued',     // Waiting for runAt
+      'running',    // Locked by a worker
+      'succeeded',
+      'dead'        // Permanent error or out of attempts; needs an admin
+    ],
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // One entry per failed attempt
+  failures: [{
+    attempt: Number,
+    message: String,
+    transient: Boolean,
+    at: { type: Date, default: Date.now }
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Workers pick the oldest due job first
+payoutJobSchema.index({ status: 1, runAt: 1 });
+
+const PayoutJob = mongoose.model('PayoutJob', payoutJobSchema);
+
+export default PayoutJob;
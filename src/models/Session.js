@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * Login session backing a family of rotating refresh tokens.
+ * Every refresh replaces refreshTokenHash and moves the old hash to
+ * previousTokenHashes, so presenting a rotated token again can be detected.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true,
+    select: false
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+    // Note: index created below with expireAfterSeconds for auto-deletion
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-delete expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -75,7 +75,11 @@ const transactionSchema = new mongoose.Schema({
       'usdt_sent',
       'completed',
       'failed',
-      'cancelled'       // Transak cancelled
+      'cancelled',      // Transak cancelled
+      'under_review',   // Held for manual review before payout
+      'payout_failed',  // Binance rejected the withdrawal or the on-chain transfer reverted
+      'refunded',
+      'partially_refunded'
     ],
     default: 'pending',
     index: true
@@ -110,12 +114,66 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Binance withdrawal ID or on-chain tx hash, followed by the withdrawal tracker until it's confirmed
+  withdrawalId: {
+    type: String,
+    default: null
+  },
+  withdrawalStatus: {
+    type: String,
+    default: null
+  },
+  withdrawalCheckedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a worker claims the payout; sent to Binance as withdrawOrderId
+  payoutReference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  payoutClaimedAt: {
+    type: Date,
+    default: null
+  },
+  // Which payout backend sent the USDT (see services/payoutBackends.js)
+  payoutBackend: {
+    type: String,
+    enum: ['binance', 'onchain', null],
+    default: null
+  },
+  // On-chain payouts: the signed transaction, saved before broadcast so a retry rebroadcasts it
+  signedPayout: {
+    hash: String,
+    raw: { type: String, select: false },
+    replacedHashes: [String], // Earlier versions of the same transfer (fee bumps); any one of them may be mined
+    signedAt: Date
+  },
   blockchainNetwork: {
     type: String,
     default: 'TRC20', // Tron network (cheapest fees)
     enum: ['TRC20', 'ERC20', 'BEP20']
   },
 
+  // Refunds (Stripe)
+  refunds: [{
+    refundId: { type: String, default: null }, // Set once Stripe has created the refund
+    amount: { type: Number, required: true },
+    reason: { type: String, default: null },
+    status: { type: String, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+
   // Error handling
   errorMessage: {
     type: String,
@@ -128,11 +186,14 @@ const transactionSchema = new mongoose.Schema({
     default: {}
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save checks __v, so two writers holding the same version can't both change the status
+  optimisticConcurrency: true
 });
 
 // Indexes for efficient queries
 transactionSchema.index({ userId: 1, createdAt: -1 });
+transactionSchema.index({ status: 1, withdrawalCheckedAt: 1 });
 transactionSchema.index({ status: 1, createdAt: -1 });
 // Note: paymentIntentId index is created automatically via unique: true
 
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * A point-in-time reading of one payout balance (the Binance account or an
+ * on-chain hot wallet) against what we still owe from it
+ */
+const treasurySnapshotSchema = new mongoose.Schema({
+  // 'binance', or the network of an on-chain hot wallet
+  source: {
+    type: String,
+    enum: ['binance', 'TRC20', 'ERC20', 'BEP20'],
+    default: 'binance'
+  },
+  free: {
+    type: Number,
+    required: true
+  },
+  locked: {
+    type: Number,
+    required: true
+  },
+  // Hot wallet native coin for gas (ETH, BNB, TRX); null for Binance
+  native: {
+    type: Number,
+    default: null
+  },
+  // Paid transactions whose USDT hasn't been sent yet
+  committedOutflow: {
+    type: Number,
+    required: true
+  },
+  // Recent unpaid orders that can still be paid
+  pendingOutflow: {
+    type: Number,
+    required: true
+  },
+  // Free balance left once every committed and pending payout is sent
+  headroom: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'healthy',
+      'low',        // Below the alert threshold
+      'critical'    // Below the pause threshold; new payment intents are refused
+    ],
+    required: true
+  },
+  gasStatus: {
+    type: String,
+    enum: ['healthy', 'low', null],
+    default: null
+  },
+  acceptingPayments: {
+    type: Boolean,
+    required: true
+  },
+  alerted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Balance history is kept for 90 days
+treasurySnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+treasurySnapshotSchema.index({ source: 1, createdAt: -1 });
+treasurySnapshotSchema.index({ source: 1, alerted: 1, createdAt: -1 });
+
+const TreasurySnapshot = mongoose.model('TreasurySnapshot', treasurySnapshotSchema);
+
+export default TreasurySnapshot;
@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { generateSecret, verifyCode } from '../utils/totp.js';
+import { ROLES, hasPermission } from '../config/permissions.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -27,11 +29,53 @@ const userSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Only allow payouts to confirmed address-book entries past their cooldown
+  walletWhitelistEnabled: {
+    type: Boolean,
+    default: false
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active',
+    index: true
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedReason: {
+    type: String,
+    default: null
+  },
+  kycLevel: {
+    type: String,
+    enum: ['none', 'basic', 'full'],
+    default: 'none'
+  },
+  kycStatus: {
+    type: String,
+    enum: ['not_submitted', 'pending', 'approved', 'rejected'],
+    default: 'not_submitted'
+  },
+  // Per-user purchase limits set by an admin; null fields fall back to the KYC level defaults
+  limitOverrides: {
+    perTransaction: { type: Number, default: null },
+    daily: { type: Number, default: null },
+    weekly: { type: Number, default: null },
+    monthly: { type: Number, default: null },
+    dailyCount: { type: Number, default: null },
+    weeklyCount: { type: Number, default: null },
+    monthlyCount: { type: Number, default: null },
+    note: { type: String, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedAt: { type: Date, default: null }
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -48,6 +92,52 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  pendingEmailToken: {
+    type: String,
+    select: false
+  },
+  pendingEmailExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -67,6 +157,13 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record the change so tokens issued before it are rejected.
+    // Backdated by 1s because JWT iat has second precision.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -96,12 +193,121 @@ userSchema.methods.generateEmailVerificationToken = function() {
   return verificationCode;
 };
 
+// Start an email change: store the new address and a hashed confirmation code
+userSchema.methods.generateEmailChangeToken = function(newEmail) {
+  // Generate a 6-digit confirmation code
+  const confirmationCode = crypto.randomInt(100000, 1000000).toString();
+
+  this.pendingEmail = newEmail;
+  this.pendingEmailToken = crypto
+    .createHash('sha256')
+    .update(confirmationCode)
+    .digest('hex');
+
+  // Set expiration to 15 minutes
+  this.pendingEmailExpires = Date.now() + 15 * 60 * 1000;
+
+  // Return the plain code to send to the new address
+  return confirmationCode;
+};
+
+// Generate password reset token
+userSchema.methods.generatePasswordResetToken = function() {
+  // Generate a random reset token
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Hash the token before saving
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  // Set expiration to 1 hour
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000;
+
+  // Return the plain token to send via email
+  return resetToken;
+};
+
+// Check whether the password was changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt || !jwtIssuedAt) return false;
+
+  return jwtIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Start two-factor enrollment with a fresh secret
+userSchema.methods.generateTwoFactorSecret = function() {
+  this.twoFactorPendingSecret = generateSecret();
+  return this.twoFactorPendingSecret;
+};
+
+// Verify a TOTP code against the active (or pending) secret.
+// Each time step can only be used once, so a code can't be replayed.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  const step = verifyCode(secret, code);
+
+  if (step === null) return false;
+  if (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep) return false;
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Generate recovery codes, store their hashes and return the plain codes
+userSchema.methods.generateTwoFactorRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () =>
+    crypto.randomBytes(5).toString('hex').toUpperCase()
+  );
+
+  this.twoFactorRecoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code (single use)
+userSchema.methods.useTwoFactorRecoveryCode = function(code) {
+  if (!code || !this.twoFactorRecoveryCodes) return false;
+
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+
+  const index = this.twoFactorRecoveryCodes.indexOf(hashedCode);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Check whether the user's role grants a permission
+userSchema.methods.can = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Check whether the account is suspended
+userSchema.methods.isSuspended = function() {
+  return this.status === 'suspended';
+};
+
 // Remove password from JSON response
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
   delete obj.emailVerificationToken;
   delete obj.emailVerificationExpires;
+  delete obj.pendingEmailToken;
+  delete obj.pendingEmailExpires;
+  delete obj.passwordResetToken;
+  delete obj.passwordResetExpires;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
+  delete obj.twoFactorRecoveryCodes;
+  delete obj.twoFactorLastUsedStep;
   return obj;
 };
 
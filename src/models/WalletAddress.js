@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { NETWORKS } from '../utils/walletAddress.js';
+
+export const WALLET_NETWORKS = NETWORKS;
+
+/**
+ * A saved payout address in a user's address book
+ */
+const walletAddressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  network: {
+    type: String,
+    enum: WALLET_NETWORKS,
+    required: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the owner clicks the confirmation link sent by email
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  confirmationToken: {
+    type: String,
+    select: false
+  },
+  confirmationExpires: {
+    type: Date,
+    select: false
+  },
+  // Set once the user signs an ownership challenge with the address's key
+  ownershipVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  ownershipChallenge: {
+    message: String,
+    expiresAt: Date
+  },
+  // End of the new-address cooldown; whitelisted accounts can't pay out here before this
+  availableAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+walletAddressSchema.index({ userId: 1, network: 1, address: 1 }, { unique: true });
+
+walletAddressSchema.virtual('isConfirmed').get(function() {
+  return Boolean(this.confirmedAt);
+});
+
+walletAddressSchema.virtual('isOwnershipVerified').get(function() {
+  return Boolean(this.ownershipVerifiedAt);
+});
+
+walletAddressSchema.virtual('isCoolingDown').get(function() {
+  return this.availableAt > new Date();
+});
+
+walletAddressSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.confirmationToken;
+    delete ret.confirmationExpires;
+    delete ret.ownershipChallenge;
+    return ret;
+  }
+});
+
+/**
+ * Hash a plain confirmation token for storage/lookup
+ */
+walletAddressSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+/**
+ * Generate a confirmation token, store its hash and return the plain value
+ */
+walletAddressSchema.methods.generateConfirmationToken = function(expiresInHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.confirmationToken = this.constructor.hashToken(token);
+  this.confirmationExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+
+  return token;
+};
+
+/**
+ * Whether whitelisted accounts may pay out to this address yet
+ */
+walletAddressSchema.methods.canReceivePayouts = function() {
+  return this.isConfirmed && !this.isCoolingDown;
+};
+
+const WalletAddress = mongoose.model('WalletAddress', walletAddressSchema);
+
+export default WalletAddress;
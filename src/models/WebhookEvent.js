@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * A verified webhook event from a payment provider and what happened when we handled it
+ */
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'received',
+      'processing',
+      'processed',
+      'ignored',    // Event type we don't handle
+      'failed'
+    ],
+    default: 'received',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  processingStartedAt: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,83 @@
+import express from 'express';
+import AdminController from '../controllers/adminController.js';
+import { authenticate, requirePermission } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validation.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated staff member; each route checks its own permission
+router.use(authenticate);
+
+// User management
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), AdminController.listUsers);
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), AdminController.getUser);
+router.get(
+  '/users/:id/transactions',
+  requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.TRANSACTIONS_READ),
+  AdminController.getUserTransactions
+);
+router.post('/users/:id/verify-email', requirePermission(PERMISSIONS.USERS_MANAGE), AdminController.verifyUserEmail);
+router.patch(
+  '/users/:id/role',
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validate(schemas.updateUserRole),
+  AdminController.updateUserRole
+);
+router.post(
+  '/users/:id/suspend',
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validate(schemas.suspendUser),
+  AdminController.suspendUser
+);
+router.post('/users/:id/reactivate', requirePermission(PERMISSIONS.USERS_MANAGE), AdminController.reactivateUser);
+router.post('/users/:id/force-logout', requirePermission(PERMISSIONS.USERS_MANAGE), AdminController.forceLogout);
+router.post('/users/:id/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), AdminController.unlockUser);
+router.get('/users/:id/limits', requirePermission(PERMISSIONS.USERS_READ), AdminController.getUserLimits);
+router.put(
+  '/users/:id/limits',
+  requirePermission(PERMISSIONS.PRICING_MANAGE),
+  validate(schemas.updateUserLimits),
+  AdminController.updateUserLimits
+);
+
+// KYC review
+router.get('/kyc', requirePermission(PERMISSIONS.KYC_REVIEW), AdminController.listKycSubmissions);
+router.get('/kyc/:id', requirePermission(PERMISSIONS.KYC_REVIEW), AdminController.getKycSubmission);
+router.get(
+  '/kyc/:id/documents/:documentId',
+  requirePermission(PERMISSIONS.KYC_REVIEW),
+  AdminController.getKycDocument
+);
+router.post('/kyc/:id/approve', requirePermission(PERMISSIONS.KYC_REVIEW), AdminController.approveKyc);
+router.post(
+  '/kyc/:id/reject',
+  requirePermission(PERMISSIONS.KYC_REVIEW),
+  validate(schemas.rejectKyc),
+  AdminController.rejectKyc
+);
+
+// Payment provider webhooks
+router.get('/webhook-events', requirePermission(PERMISSIONS.TRANSACTIONS_READ), AdminController.listWebhookEvents);
+router.get('/webhook-events/:id', requirePermission(PERMISSIONS.TRANSACTIONS_READ), AdminController.getWebhookEvent);
+router.post(
+  '/webhook-events/:id/replay',
+  requirePermission(PERMISSIONS.PAYOUTS_MANAGE),
+  AdminController.replayWebhookEvent
+);
+
+// Payout queue
+router.get('/payout-jobs', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), AdminController.listPayoutJobs);
+router.post('/payout-jobs/:id/retry', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), AdminController.retryPayoutJob);
+
+// Hot-wallet balance
+router.get('/treasury', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), AdminController.getTreasuryStatus);
+router.post('/treasury/check', requirePermission(PERMISSIONS.PAYOUTS_MANAGE), AdminController.checkTreasury);
+
+// Audit trail
+router.get('/audit-logs', requirePermission(PERMISSIONS.AUDIT_READ), AdminController.getAuditLogs);
+
+// Role reference for admin UIs
+router.get('/roles', requirePermission(PERMISSIONS.USERS_READ), AdminController.getRoles);
+
+export default router;
@@ -1,19 +1,50 @@
 import express from 'express';
 import AuthController from '../controllers/authController.js';
+import ApiKeyController from '../controllers/apiKeyController.js';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { validate, schemas } from '../middleware/validation.middleware.js';
+import { validate, schemas, enforcePasswordPolicy } from '../middleware/validation.middleware.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', validate(schemas.register), AuthController.register);
+router.post('/register', validate(schemas.register), enforcePasswordPolicy('password'), AuthController.register);
 router.post('/login', validate(schemas.login), AuthController.login);
+router.post('/login/2fa', validate(schemas.twoFactorLogin), AuthController.verifyTwoFactorLogin);
+router.post('/refresh', validate(schemas.refreshToken), AuthController.refreshToken);
 router.post('/verify-email', AuthController.verifyEmail);
 router.post('/resend-verification', AuthController.resendVerification);
+router.post('/forgot-password', validate(schemas.forgotPassword), AuthController.forgotPassword);
+router.post('/reset-password', validate(schemas.resetPassword), AuthController.resetPassword);
 
 // Protected routes
 router.get('/me', authenticate, AuthController.getMe);
 router.put('/profile', authenticate, validate(schemas.updateProfile), AuthController.updateProfile);
+router.put(
+  '/password',
+  authenticate,
+  validate(schemas.changePassword),
+  enforcePasswordPolicy('newPassword'),
+  AuthController.changePassword
+);
+router.post('/email/change', authenticate, validate(schemas.requestEmailChange), AuthController.requestEmailChange);
+router.post('/email/confirm', authenticate, validate(schemas.confirmEmailChange), AuthController.confirmEmailChange);
 router.post('/logout', authenticate, AuthController.logout);
+router.post('/logout-all', authenticate, AuthController.logoutAll);
+
+// Devices and login history
+router.get('/sessions', authenticate, AuthController.getSessions);
+router.delete('/sessions/:id', authenticate, AuthController.revokeSession);
+router.get('/login-history', authenticate, AuthController.getLoginHistory);
+
+// Two-factor authentication
+router.post('/2fa/setup', authenticate, AuthController.setupTwoFactor);
+router.post('/2fa/enable', authenticate, validate(schemas.twoFactorCode), AuthController.enableTwoFactor);
+router.post('/2fa/disable', authenticate, validate(schemas.disableTwoFactor), AuthController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validate(schemas.twoFactorCode), AuthController.regenerateRecoveryCodes);
+
+// API keys for server-to-server integrations
+router.get('/api-keys', authenticate, ApiKeyController.listKeys);
+router.post('/api-keys', authenticate, validate(schemas.createApiKey), ApiKeyController.createKey);
+router.delete('/api-keys/:id', authenticate, ApiKeyController.revokeKey);
 
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import KycController from '../controllers/kycController.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validation.middleware.js';
+import { uploadKycDocuments } from '../middleware/upload.middleware.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', KycController.getStatus);
+router.post('/submissions', uploadKycDocuments, validate(schemas.kycSubmission), KycController.submit);
+
+export default router;
@@ -1,15 +1,22 @@
 import express from 'express';
 import PaymentController from '../controllers/paymentController.js';
 import TransakController from '../controllers/transakController.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, authenticateOrApiKey, optionalAuthOrApiKey } from '../middleware/auth.middleware.js';
 import { validate, schemas } from '../middleware/validation.middleware.js';
+import {
+  requireActiveAccount,
+  resolvePayoutWallet,
+  requireVerifiedWallet,
+  requireTwoFactorStepUp
+} from '../middleware/payoutPolicy.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
 
 const router = express.Router();
 
-// Public routes
-router.get('/conversion-rate', PaymentController.getConversionRate);
+// Public routes (API keys with quotes:read are recorded, never required)
+router.get('/conversion-rate', optionalAuthOrApiKey('quotes:read'), PaymentController.getConversionRate);
 router.get('/market-data', PaymentController.getMarketData);
-router.get('/compare-rates', PaymentController.compareRates);
+router.get('/compare-rates', optionalAuthOrApiKey('quotes:read'), PaymentController.compareRates);
 
 // Webhook (Stripe will send raw body)
 router.post(
@@ -21,8 +28,13 @@ router.post(
 // Protected routes - Stripe (Legacy)
 router.post(
   '/create-intent',
-  authenticate,
+  authenticateOrApiKey('payments:create'),
+  requireActiveAccount,
+  idempotency,
   validate(schemas.createPayment),
+  resolvePayoutWallet,
+  requireVerifiedWallet,
+  requireTwoFactorStepUp,
   PaymentController.createPaymentIntent
 );
 
@@ -31,7 +43,11 @@ router.get('/transak/config', TransakController.getConfig);
 
 router.post(
   '/transak/create-order',
-  authenticate,
+  authenticateOrApiKey('payments:create'),
+  requireActiveAccount,
+  idempotency,
+  resolvePayoutWallet,
+  requireVerifiedWallet,
   TransakController.createOrder
 );
 
@@ -43,7 +59,7 @@ router.patch(
 
 router.get(
   '/transak/order/:orderId',
-  authenticate,
+  authenticateOrApiKey('transactions:read'),
   TransakController.getOrder
 );
 
@@ -1,27 +1,37 @@
 import express from 'express';
 import TransactionController from '../controllers/transactionController.js';
-import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { authenticate, authenticateOrApiKey, requirePermission } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validation.middleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
 // User routes
-router.get('/', authenticate, TransactionController.getTransactions);
-router.get('/statistics', authenticate, TransactionController.getStatistics);
-router.get('/:id', authenticate, TransactionController.getTransaction);
+router.get('/', authenticateOrApiKey('transactions:read'), TransactionController.getTransactions);
+router.get('/statistics', authenticateOrApiKey('transactions:read'), TransactionController.getStatistics);
+router.get('/:id', authenticateOrApiKey('transactions:read'), TransactionController.getTransaction);
 
 // Admin routes
 router.get(
   '/admin/all',
   authenticate,
-  authorize('admin'),
+  requirePermission(PERMISSIONS.TRANSACTIONS_READ),
   TransactionController.getAllTransactions
 );
 
 router.get(
   '/admin/statistics',
   authenticate,
-  authorize('admin'),
+  requirePermission(PERMISSIONS.TRANSACTIONS_STATS),
   TransactionController.getAdminStatistics
 );
 
+router.post(
+  '/admin/:id/refund',
+  authenticate,
+  requirePermission(PERMISSIONS.PAYOUTS_MANAGE),
+  validate(schemas.refundTransaction),
+  TransactionController.refundTransaction
+);
+
 export default router;
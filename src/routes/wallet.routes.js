@@ -0,0 +1,26 @@
+import express from 'express';
+import WalletController from '../controllers/walletController.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate, schemas } from '../middleware/validation.middleware.js';
+
+const router = express.Router();
+
+// Public route - opened from the confirmation email
+router.post('/confirm', validate(schemas.confirmWallet), WalletController.confirmWallet);
+
+// Protected routes
+router.get('/', authenticate, WalletController.listWallets);
+router.post('/', authenticate, validate(schemas.addWallet), WalletController.addWallet);
+router.put('/whitelist', authenticate, validate(schemas.updateWalletWhitelist), WalletController.updateWhitelist);
+router.patch('/:id', authenticate, validate(schemas.updateWallet), WalletController.updateWallet);
+router.delete('/:id', authenticate, WalletController.deleteWallet);
+router.post('/:id/resend-confirmation', authenticate, WalletController.resendConfirmation);
+router.post('/:id/ownership/challenge', authenticate, WalletController.createOwnershipChallenge);
+router.post(
+  '/:id/ownership/verify',
+  authenticate,
+  validate(schemas.verifyWalletOwnership),
+  WalletController.verifyOwnership
+);
+
+export default router;
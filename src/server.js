@@ -9,9 +9,16 @@ import config from './config/environment.js';
 import connectDatabase from './config/database.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFound } from './middleware/error.middleware.js';
+import { csrfProtection } from './middleware/csrf.middleware.js';
 import authRoutes from './routes/auth.routes.js';
 import paymentRoutes from './routes/payment.routes.js';
 import transactionRoutes from './routes/transaction.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import kycRoutes from './routes/kyc.routes.js';
+import walletRoutes from './routes/wallet.routes.js';
+import PayoutQueueService from './services/payoutQueueService.js';
+import WithdrawalTrackerService from './services/withdrawalTrackerService.js';
+import TreasuryService from './services/treasuryService.js';
 
 // Create Express app
 const app = express();
@@ -92,6 +99,9 @@ app.use((req, res, next) => {
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
+// CSRF protection for cookie-authenticated requests
+app.use('/api', csrfProtection);
+
 // Logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
@@ -111,7 +121,10 @@ app.get('/', (req, res) => {
       health: '/api/health',
       auth: '/api/auth/*',
       payments: '/api/payments/*',
-      transactions: '/api/transactions/*'
+      transactions: '/api/transactions/*',
+      kyc: '/api/kyc/*',
+      wallets: '/api/wallets/*',
+      admin: '/api/admin/*'
     },
     documentation: 'https://github.com/borysenkooleh7-ops/strip_intergrate'
   });
@@ -135,6 +148,9 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/wallets', walletRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -176,22 +192,39 @@ const startServer = async () => {
       logger.info(`Health check: http://localhost:${config.port}/api/health`);
     });
 
-    // Handle shutdown gracefully
-    process.on('SIGTERM', () => {
-      logger.info('SIGTERM received, closing server gracefully');
-      httpServer.close(() => {
+    // Start background payout workers (queued jobs survive restarts)
+    PayoutQueueService.start();
+    WithdrawalTrackerService.start();
+    TreasuryService.start();
+
+    // Handle shutdown gracefully. Background workers stop first, without waiting
+    // on the HTTP server, which open sockets can keep from closing
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+      if (shuttingDown) return;
+      shuttingDown = true;
+      logger.info(`${signal} received, closing server gracefully`);
+
+      WithdrawalTrackerService.stop();
+      TreasuryService.stop();
+      await PayoutQueueService.stop();
+
+      // Disconnects socket.io clients and closes the HTTP server
+      io.close(() => {
         logger.info('Server closed');
         process.exit(0);
       });
-    });
+      httpServer.closeIdleConnections();
 
-    process.on('SIGINT', () => {
-      logger.info('SIGINT received, closing server gracefully');
-      httpServer.close(() => {
-        logger.info('Server closed');
+      // Don't wait on slow keep-alive clients forever
+      setTimeout(() => {
+        logger.warn('Forcing shutdown with connections still open');
         process.exit(0);
-      });
-    });
+      }, 10000).unref();
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
 
   } catch (error) {
     logger.error('Failed to start server:', error);
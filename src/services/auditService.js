@@ -0,0 +1,40 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+class AuditService {
+  /**
+   * Record a privileged action performed during a request
+   * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+   * @param {string} action - e.g. 'user.suspend'
+   * @param {Object} target - { type, id }
+   * @param {Object} details - Extra context (before/after values, reason)
+   */
+  static async record(req, action, target, details = {}) {
+    try {
+      const entry = await AuditLog.create({
+        actorId: req?.user?._id || null,
+        action,
+        targetType: target.type,
+        targetId: target.id ? target.id.toString() : null,
+        details,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get?.('user-agent') || null
+      });
+
+      logger.info('Audit event recorded', {
+        action,
+        actorId: entry.actorId,
+        targetType: entry.targetType,
+        targetId: entry.targetId
+      });
+
+      return entry;
+    } catch (error) {
+      // Never let auditing failures hide the original action from the logs
+      logger.error('Failed to record audit event', { action, error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default AuditService;
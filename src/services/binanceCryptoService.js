@@ -1,6 +1,18 @@
 import pkg from 'binance-api-node';
 const Binance = pkg.default || pkg;
 import config from '../config/environment.js';
+import { validateWalletAddress } from '../utils/walletAddress.js';
+
+// Binance withdrawal status codes
+const WITHDRAWAL_STATUS = {
+  0: 'email_sent',
+  1: 'cancelled',
+  2: 'awaiting_approval',
+  3: 'rejected',
+  4: 'processing',
+  5: 'failed',
+  6: 'completed'
+};
 
 /**
  * Binance Crypto Service
@@ -80,53 +92,15 @@ class BinanceCryptoService {
     }
   }
 
-  /**
-   * Validate USDT wallet address format
-   * Supports: TRC20 (Tron), ERC20 (Ethereum), BEP20 (BSC)
-   */
-  validateWalletAddress(address, network = 'TRC20') {
-    if (!address || typeof address !== 'string') {
-      return { valid: false, error: 'Invalid wallet address format' };
-    }
-
-    // Remove whitespace
-    address = address.trim();
-
-    // TRC20 (Tron) - starts with T, 34 characters
-    if (network === 'TRC20') {
-      if (address.startsWith('T') && address.length === 34) {
-        return { valid: true, address, network: 'TRC20' };
-      }
-      return { valid: false, error: 'Invalid TRC20 address. Must start with T and be 34 characters.' };
-    }
-
-    // ERC20 (Ethereum) - starts with 0x, 42 characters
-    if (network === 'ERC20') {
-      if (address.startsWith('0x') && address.length === 42) {
-        return { valid: true, address, network: 'ERC20' };
-      }
-      return { valid: false, error: 'Invalid ERC20 address. Must start with 0x and be 42 characters.' };
-    }
-
-    // BEP20 (BSC) - starts with 0x, 42 characters (same as ERC20)
-    if (network === 'BEP20') {
-      if (address.startsWith('0x') && address.length === 42) {
-        return { valid: true, address, network: 'BEP20' };
-      }
-      return { valid: false, error: 'Invalid BEP20 address. Must start with 0x and be 42 characters.' };
-    }
-
-    return { valid: false, error: 'Unsupported network. Use TRC20, ERC20, or BEP20.' };
-  }
-
   /**
    * Send USDT to user wallet
    * @param {string} address - Recipient wallet address
    * @param {number} amount - Amount of USDT to send
    * @param {string} network - Network (TRC20, ERC20, BEP20)
-   * @returns {Object} Transfer result with transaction hash
+   * @param {string} withdrawOrderId - Our unique payout reference, so the withdrawal can be traced
+   * @returns {Object} Transfer result with the Binance withdrawal ID
    */
-  async sendUSDT(address, amount, network = 'TRC20') {
+  async sendUSDT(address, amount, network = 'TRC20', withdrawOrderId = null) {
     if (!this.isReady()) {
       console.warn('⚠️  Binance not configured - simulating transfer');
       return this.simulateTransfer(address, amount, network);
@@ -134,7 +108,7 @@ class BinanceCryptoService {
 
     try {
       // Validate wallet address
-      const validation = this.validateWalletAddress(address, network);
+      const validation = validateWalletAddress(address, network);
       if (!validation.valid) {
         throw new Error(validation.error);
       }
@@ -153,14 +127,16 @@ class BinanceCryptoService {
         address: address,
         amount: amount,
         network: network, // TRC20, ERC20, or BEP20
+        ...(withdrawOrderId && { withdrawOrderId }),
       });
 
       console.log('✅ USDT transfer initiated successfully');
       console.log('📝 Withdrawal ID:', result.id);
 
+      // The on-chain txId only exists once Binance broadcasts the withdrawal
       return {
         success: true,
-        transactionHash: result.id,
+        withdrawalId: result.id,
         amount: amount,
         address: address,
         network: network,
@@ -206,27 +182,8 @@ class BinanceCryptoService {
         return { status: 'not_found' };
       }
 
-      // Status codes:
-      // 0: Email Sent
-      // 1: Cancelled
-      // 2: Awaiting Approval
-      // 3: Rejected
-      // 4: Processing
-      // 5: Failure
-      // 6: Completed
-
-      const statusMap = {
-        0: 'email_sent',
-        1: 'cancelled',
-        2: 'awaiting_approval',
-        3: 'rejected',
-        4: 'processing',
-        5: 'failed',
-        6: 'completed'
-      };
-
       return {
-        status: statusMap[withdrawal.status] || 'unknown',
+        status: WITHDRAWAL_STATUS[withdrawal.status] || 'unknown',
         transactionHash: withdrawal.txId,
         amount: withdrawal.amount,
         network: withdrawal.network,
@@ -238,6 +195,42 @@ class BinanceCryptoService {
     }
   }
 
+  /**
+   * Look up a withdrawal by the withdrawOrderId we sent with it
+   * @param {string} withdrawOrderId - Our payout reference
+   * @returns {Object|null} The withdrawal, or null if Binance has no record of it
+   */
+  async findWithdrawalByOrderId(withdrawOrderId) {
+    if (!this.isReady()) {
+      return null;
+    }
+
+    try {
+      const history = await this.client.withdrawHistory({
+        asset: 'USDT',
+        withdrawOrderId: withdrawOrderId,
+      });
+
+      const withdrawal = history.find(w => w.withdrawOrderId === withdrawOrderId);
+
+      if (!withdrawal) {
+        return null;
+      }
+
+      return {
+        id: withdrawal.id,
+        status: WITHDRAWAL_STATUS[withdrawal.status] || 'unknown',
+        transactionHash: withdrawal.txId,
+        amount: withdrawal.amount,
+        network: withdrawal.network,
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to look up withdrawal:', error.message);
+      throw new Error(`Failed to look up withdrawal: ${error.message}`);
+    }
+  }
+
   /**
    * Simulate transfer for testing/development
    * (When Binance API is not configured)
@@ -249,7 +242,7 @@ class BinanceCryptoService {
     console.log(`   Network: ${network}`);
 
     // Validate address even in simulation
-    const validation = this.validateWalletAddress(address, network);
+    const validation = validateWalletAddress(address, network);
     if (!validation.valid) {
       throw new Error(validation.error);
     }
@@ -0,0 +1,182 @@
+import AuthThrottle from '../models/AuthThrottle.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+import emailService from './emailService.js';
+
+/**
+ * Brute-force protection for credential and code checks.
+ *
+ * Failures are counted per account and per IP. After a few failures each
+ * further attempt has to wait an exponentially growing delay, and once the
+ * limit is reached the account (or IP) is locked for a while.
+ */
+class BruteForceService {
+  /**
+   * Build throttle descriptors for an account + IP pair
+   */
+  static subjects(scope, accountId, ip) {
+    const subjects = [];
+
+    if (accountId) {
+      const subject = String(accountId).toLowerCase();
+      subjects.push({ key: `${scope}:account:${subject}`, scope, kind: 'account', subject });
+    }
+
+    if (ip) {
+      subjects.push({ key: `${scope}:ip:${ip}`, scope, kind: 'ip', subject: ip });
+    }
+
+    return subjects;
+  }
+
+  /**
+   * Limits for a subject kind
+   */
+  static limitsFor(kind) {
+    const settings = config.bruteForce;
+    return {
+      maxAttempts: kind === 'ip' ? settings.maxIpAttempts : settings.maxAccountAttempts,
+      delayAfter: settings.delayAfterAttempts,
+      baseDelayMs: settings.baseDelayMs,
+      maxDelayMs: settings.maxDelayMs
+    };
+  }
+
+  /**
+   * Check whether another attempt is allowed right now
+   * @returns {Object} { allowed, retryAfterSeconds, message }
+   */
+  static async check(scope, accountId, ip) {
+    const subjects = this.subjects(scope, accountId, ip);
+    const records = await AuthThrottle.find({ key: { $in: subjects.map(s => s.key) } });
+    const now = Date.now();
+    let waitUntil = 0;
+    let locked = false;
+
+    for (const record of records) {
+      if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+        locked = true;
+        waitUntil = Math.max(waitUntil, record.lockedUntil.getTime());
+        continue;
+      }
+
+      const limits = this.limitsFor(record.kind);
+      if (record.failures >= limits.delayAfter && record.lastFailureAt) {
+        const delay = Math.min(
+          limits.baseDelayMs * 2 ** (record.failures - limits.delayAfter),
+          limits.maxDelayMs
+        );
+        waitUntil = Math.max(waitUntil, record.lastFailureAt.getTime() + delay);
+      }
+    }
+
+    if (waitUntil <= now) {
+      return { allowed: true };
+    }
+
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((waitUntil - now) / 1000),
+      message: locked
+        ? 'Too many failed attempts. This account is temporarily locked.'
+        : 'Too many failed attempts. Please wait before trying again.'
+    };
+  }
+
+  /**
+   * Record a failed attempt. Sends a lockout email when an account gets locked.
+   * @param {Object} user - Account owner, if one exists (used for the email)
+   */
+  static async recordFailure(scope, accountId, ip, user = null) {
+    const subjects = this.subjects(scope, accountId, ip);
+    const settings = config.bruteForce;
+    const now = new Date();
+    let accountLocked = false;
+
+    for (const subject of subjects) {
+      const limits = this.limitsFor(subject.kind);
+
+      const record = await AuthThrottle.findOneAndUpdate(
+        { key: subject.key },
+        {
+          $setOnInsert: { scope: subject.scope, kind: subject.kind, subject: subject.subject },
+          $inc: { failures: 1 },
+          $set: {
+            lastFailureAt: now,
+            expiresAt: new Date(now.getTime() + settings.windowMinutes * 60 * 1000)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (record.failures < limits.maxAttempts) continue;
+
+      // Lock only once per lockout period so the email goes out once
+      const lockedUntil = new Date(now.getTime() + settings.lockoutMinutes * 60 * 1000);
+      const result = await AuthThrottle.updateOne(
+        {
+          _id: record._id,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        {
+          $set: { lockedUntil, failures: 0, expiresAt: lockedUntil }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.warn('Authentication lockout', {
+          scope: subject.scope,
+          kind: subject.kind,
+          subject: subject.subject,
+          lockedUntil
+        });
+
+        if (subject.kind === 'account') {
+          accountLocked = true;
+          if (user) {
+            this.notifyLockout(user, lockedUntil);
+          }
+        }
+      }
+    }
+
+    return { accountLocked };
+  }
+
+  /**
+   * Clear the account counter after a successful attempt.
+   * IP counters are left alone so one valid login can't reset them.
+   */
+  static async recordSuccess(scope, accountId) {
+    const [accountSubject] = this.subjects(scope, accountId, null);
+    if (!accountSubject) return;
+
+    await AuthThrottle.deleteOne({ key: accountSubject.key });
+  }
+
+  /**
+   * Remove every account lock/counter for a user (admin action)
+   */
+  static async unlockAccount(user) {
+    const result = await AuthThrottle.deleteMany({
+      kind: 'account',
+      subject: { $in: [user.email.toLowerCase(), user._id.toString()] }
+    });
+
+    logger.info('Account unlocked', { userId: user._id, cleared: result.deletedCount });
+
+    return result.deletedCount;
+  }
+
+  /**
+   * Send the lockout email without blocking the request
+   */
+  static notifyLockout(user, lockedUntil) {
+    emailService.sendAccountLockedEmail(user.email, user.fullName, lockedUntil)
+      .catch(error => {
+        logger.error('Failed to send lockout email', { userId: user._id, error: error.message });
+      });
+  }
+}
+
+export default BruteForceService;
@@ -2,6 +2,19 @@ import nodemailer from 'nodemailer';
 import config from '../config/environment.js';
 import logger from '../utils/logger.js';
 
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape user-controlled text (names, User-Agent headers) before putting it in email HTML
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -320,6 +333,318 @@ class EmailService {
       throw new Error('Failed to send password reset email');
     }
   }
+
+  /**
+   * Wrap a short security notice in the standard email layout
+   */
+  renderNotice(heading, bodyHtml) {
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .button {
+              display: inline-block;
+              background: #667eea;
+              color: white;
+              padding: 12px 30px;
+              text-decoration: none;
+              border-radius: 5px;
+              margin: 20px 0;
+            }
+            .footer {
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #e2e8f0;
+              font-size: 12px;
+              color: #718096;
+            }
+          </style>
+        </head>
+        <body>
+          <h2>${heading}</h2>
+          ${bodyHtml}
+          <div class="footer">
+            <p>This is an automated email. Please do not reply to this message.</p>
+          </div>
+        </body>
+        </html>
+      `;
+  }
+
+  /**
+   * Send an email, or log it to the console when SMTP is not configured
+   */
+  async deliver(mailOptions, label) {
+    const options = {
+      from: config.email?.from || 'USDT Payment <noreply@usdtpayment.com>',
+      ...mailOptions
+    };
+
+    try {
+      if (this.transporter) {
+        const info = await this.transporter.sendMail(options);
+        logger.info(`${label} email sent`, { email: options.to, messageId: info.messageId });
+        return { success: true, messageId: info.messageId };
+      } else {
+        logger.info(`${label.toUpperCase()} EMAIL (Development Mode)`, {
+          to: options.to,
+          subject: options.subject
+        });
+        console.log(`\n========== ${label.toUpperCase()} EMAIL ==========`);
+        console.log('To:', options.to);
+        console.log('Subject:', options.subject);
+        if (options.text) console.log(options.text.trim());
+        console.log('==========================================\n');
+        return { success: true };
+      }
+    } catch (error) {
+      logger.error(`Failed to send ${label} email`, { email: options.to, error: error.message });
+      throw new Error(`Failed to send ${label} email`);
+    }
+  }
+
+  async sendAccountLockedEmail(email, fullName, lockedUntil) {
+    const unlockTime = new Date(lockedUntil).toUTCString();
+    const resetLink = `${config.clientUrl}/forgot-password`;
+
+    return this.deliver({
+      to: email,
+      subject: 'Account Temporarily Locked - USDT Payment',
+      html: this.renderNotice('Account Temporarily Locked', `
+          <p>Hi ${fullName},</p>
+          <p>We noticed several failed sign-in attempts on your account, so we have locked it temporarily to keep it safe.</p>
+          <p>You can try again after <strong>${unlockTime}</strong>.</p>
+          <p>If this wasn't you, we recommend resetting your password:</p>
+          <a href="${resetLink}" class="button">Reset Password</a>
+      `),
+      text: `
+        Hi ${fullName},
+
+        We noticed several failed sign-in attempts on your account, so we have locked it temporarily.
+
+        You can try again after ${unlockTime}.
+
+        If this wasn't you, reset your password here: ${resetLink}
+      `
+    }, 'Account locked');
+  }
+
+  async sendNewDeviceLoginEmail(email, fullName, { ipAddress, userAgent, time }) {
+    const loginTime = new Date(time).toUTCString();
+    const sessionsLink = `${config.clientUrl}/settings/security`;
+
+    return this.deliver({
+      to: email,
+      subject: 'New Sign-in to Your Account - USDT Payment',
+      html: this.renderNotice('New Sign-in Detected', `
+          <p>Hi ${escapeHtml(fullName)},</p>
+          <p>Your account was just signed in to from a device we haven't seen before:</p>
+          <ul>
+            <li><strong>Time:</strong> ${loginTime}</li>
+            <li><strong>IP address:</strong> ${escapeHtml(ipAddress || 'Unknown')}</li>
+            <li><strong>Device:</strong> ${escapeHtml(userAgent || 'Unknown')}</li>
+          </ul>
+          <p>If this was you, no action is needed. If not, sign out that device and change your password:</p>
+          <a href="${sessionsLink}" class="button">Review Devices</a>
+      `),
+      text: `
+        Hi ${fullName},
+
+        Your account was just signed in to from a device we haven't seen before.
+
+        Time: ${loginTime}
+        IP address: ${ipAddress || 'Unknown'}
+        Device: ${userAgent || 'Unknown'}
+
+        If this wasn't you, review your devices and change your password: ${sessionsLink}
+      `
+    }, 'New device login');
+  }
+
+  async sendEmailChangeVerificationEmail(newEmail, fullName, confirmationCode) {
+    return this.deliver({
+      to: newEmail,
+      subject: 'Confirm Your New Email - USDT Payment',
+      html: this.renderNotice('Confirm Your New Email Address', `
+          <p>Hi ${escapeHtml(fullName)},</p>
+          <p>Enter this code to finish changing your account email to this address:</p>
+          <p style="font-size: 28px; font-weight: bold; letter-spacing: 5px; font-family: monospace; color: #667eea;">${confirmationCode}</p>
+          <p>This code will expire in 15 minutes.</p>
+          <p>If you didn't request this change, you can ignore this email.</p>
+      `),
+      text: `
+        Hi ${fullName},
+
+        Enter this code to finish changing your account email to this address:
+
+        Confirmation Code: ${confirmationCode}
+
+        This code will expire in 15 minutes.
+      `
+    }, 'Email change verification');
+  }
+
+  async sendEmailChangeNoticeEmail(currentEmail, fullName, newEmail) {
+    return this.deliver({
+      to: currentEmail,
+      subject: 'Email Change Requested - USDT Payment',
+      html: this.renderNotice('Email Change Requested', `
+          <p>Hi ${escapeHtml(fullName)},</p>
+          <p>Someone asked to change the email on your account to <strong>${escapeHtml(newEmail)}</strong>.</p>
+          <p>Your email will only change once the new address is confirmed.</p>
+          <p>If this wasn't you, change your password right away and contact support.</p>
+      `),
+      text: `
+        Hi ${fullName},
+
+        Someone asked to change the email on your account to ${newEmail}.
+        Your email will only change once the new address is confirmed.
+
+        If this wasn't you, change your password right away and contact support.
+      `
+    }, 'Email change notice');
+  }
+
+  async sendPasswordChangedEmail(email, fullName, { ipAddress, time }) {
+    const changeTime = new Date(time).toUTCString();
+    const resetLink = `${config.clientUrl}/forgot-password`;
+
+    return this.deliver({
+      to: email,
+      subject: 'Your Password Was Changed - USDT Payment',
+      html: this.renderNotice('Password Changed', `
+          <p>Hi ${fullName},</p>
+          <p>The password for your account was changed on <strong>${changeTime}</strong> from IP address ${ipAddress || 'unknown'}.</p>
+          <p>All other devices have been signed out.</p>
+          <p>If you didn't make this change, reset your password immediately and contact support:</p>
+          <a href="${resetLink}" class="button">Reset Password</a>
+      `),
+      text: `
+        Hi ${fullName},
+
+        The password for your account was changed on ${changeTime} from IP address ${ipAddress || 'unknown'}.
+        All other devices have been signed out.
+
+        If you didn't make this change, reset your password immediately: ${resetLink}
+      `
+    }, 'Password changed');
+  }
+
+  async sendWalletConfirmationEmail(email, fullName, { label, address, network, availableAt }, confirmationToken) {
+    const confirmLink = `${config.clientUrl}/wallets/confirm?token=${confirmationToken}`;
+    const availableTime = new Date(availableAt).toUTCString();
+
+    return this.deliver({
+      to: email,
+      subject: 'Confirm New Wallet Address - USDT Payment',
+      html: this.renderNotice('Confirm New Wallet Address', `
+          <p>Hi ${fullName},</p>
+          <p>A wallet was added to your address book:</p>
+          <p><strong>${label}</strong> (${network})<br>${address}</p>
+          <p>Confirm it to allow payouts to this address. With whitelist mode on, payouts are possible from <strong>${availableTime}</strong>.</p>
+          <a href="${confirmLink}" class="button">Confirm Address</a>
+          <p>If you didn't add this address, do not confirm it. Change your password and contact support.</p>
+      `),
+      text: `
+        Hi ${fullName},
+
+        A wallet was added to your address book:
+        ${label} (${network})
+        ${address}
+
+        Confirm it to allow payouts to this address: ${confirmLink}
+        With whitelist mode on, payouts are possible from ${availableTime}.
+
+        If you didn't add this address, do not confirm it. Change your password and contact support.
+      `
+    }, 'Wallet confirmation');
+  }
+
+  async sendWalletWhitelistDisabledEmail(email, fullName, { ipAddress, time }) {
+    const changeTime = new Date(time).toUTCString();
+
+    return this.deliver({
+      to: email,
+      subject: 'Wallet Whitelist Disabled - USDT Payment',
+      html: this.renderNotice('Wallet Whitelist Disabled', `
+          <p>Hi ${fullName},</p>
+          <p>Wallet whitelist mode was turned off for your account on <strong>${changeTime}</strong> from IP address ${ipAddress || 'unknown'}.</p>
+          <p>Payouts can now be sent to any valid address.</p>
+          <p>If this wasn't you, change your password right away and contact support.</p>
+      `),
+      text: `
+        Hi ${fullName},
+
+        Wallet whitelist mode was turned off for your account on ${changeTime} from IP address ${ipAddress || 'unknown'}.
+        Payouts can now be sent to any valid address.
+
+        If this wasn't you, change your password right away and contact support.
+      `
+    }, 'Wallet whitelist disabled');
+  }
+
+  /**
+   * Send an operational alert to the configured ops address
+   * @param {string} subject
+   * @param {Object} details - Key/value pairs listed in the email
+   */
+  async sendOpsAlert(subject, details = {}) {
+    if (!config.alerts.email) {
+      return null;
+    }
+
+    const rows = Object.entries(details);
+
+    return this.deliver({
+      to: config.alerts.email,
+      subject: `[Alert] ${subject} - USDT Payment`,
+      html: this.renderNotice(subject, `
+          <ul>
+            ${rows.map(([key, value]) => `<li><strong>${key}:</strong> ${value ?? '-'}</li>`).join('')}
+          </ul>
+      `),
+      text: `
+        ${subject}
+
+        ${rows.map(([key, value]) => `${key}: ${value ?? '-'}`).join('\n        ')}
+      `
+    }, 'Ops alert');
+  }
+
+  async sendRefundEmail(email, fullName, { transactionId, amount, currency, refundedAmount, totalAmount }) {
+    const isFull = refundedAmount >= totalAmount;
+    const transactionLink = `${config.clientUrl}/transactions/${transactionId}`;
+
+    return this.deliver({
+      to: email,
+      subject: `${isFull ? 'Refund' : 'Partial Refund'} Issued - USDT Payment`,
+      html: this.renderNotice(isFull ? 'Refund Issued' : 'Partial Refund Issued', `
+          <p>Hi ${fullName},</p>
+          <p>We've refunded <strong>${amount.toFixed(2)} ${currency}</strong> to your card for transaction ${transactionId}.</p>
+          <p>In total ${refundedAmount.toFixed(2)} of ${totalAmount.toFixed(2)} ${currency} has been refunded. No USDT was sent for this purchase.</p>
+          <p>Refunds usually appear on your statement within 5-10 business days.</p>
+          <a href="${transactionLink}" class="button">View Transaction</a>
+      `),
+      text: `
+        Hi ${fullName},
+
+        We've refunded ${amount.toFixed(2)} ${currency} to your card for transaction ${transactionId}.
+        In total ${refundedAmount.toFixed(2)} of ${totalAmount.toFixed(2)} ${currency} has been refunded. No USDT was sent for this purchase.
+
+        Refunds usually appear on your statement within 5-10 business days.
+        View transaction: ${transactionLink}
+      `
+    }, 'Refund');
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,409 @@
+import {
+  JsonRpcProvider,
+  Wallet,
+  NonceManager,
+  Contract,
+  Transaction as EvmTransaction,
+  parseUnits,
+  formatUnits
+} from 'ethers';
+import config from '../config/environment.js';
+
+const EVM_NETWORKS = ['ERC20', 'BEP20'];
+
+const ERC20_ABI = [
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function balanceOf(address owner) view returns (uint256)'
+];
+
+// Headroom on top of the node's gas estimate
+const GAS_LIMIT_BUFFER_PERCENT = 120n;
+
+// Minimum fee increase nodes accept for a same-nonce replacement is 10%; use a bit more
+const FEE_BUMP_PERMILLE = 1125n;
+
+// Rebroadcasting a transaction the node already has
+const ALREADY_KNOWN_PATTERN = /already known|known transaction|already imported/i;
+
+/**
+ * EVM Crypto Service
+ * Sends USDT (ERC20/BEP20) directly from our own hot wallets.
+ *
+ * Each network has its own RPC endpoint, key and token contract (see config.onchain).
+ * Sends are serialized per network so nonces are handed out in order; the
+ * signed transaction is handed to the caller before broadcast so a crashed
+ * payout can be rebroadcast instead of sent twice, and a stuck one can be
+ * replaced at the same nonce with higher fees.
+ */
+class EvmCryptoService {
+  constructor() {
+    this.chains = {};
+    this.initialize();
+  }
+
+  /**
+   * Set up a provider and signer for each configured network
+   */
+  initialize() {
+    for (const network of EVM_NETWORKS) {
+      const chain = config.onchain[network];
+
+      if (!chain.rpcUrl || !chain.privateKey) {
+        continue;
+      }
+
+      try {
+        const provider = new JsonRpcProvider(chain.rpcUrl, chain.chainId, { staticNetwork: true });
+        const privateKey = chain.privateKey.startsWith('0x') ? chain.privateKey : `0x${chain.privateKey}`;
+        const wallet = new Wallet(privateKey, provider);
+
+        this.chains[network] = {
+          ...chain,
+          provider,
+          wallet,
+          nonces: new NonceManager(wallet),
+          token: new Contract(chain.tokenAddress, ERC20_ABI, provider),
+          queue: Promise.resolve()
+        };
+
+        console.log(`✅ ${network} hot wallet initialized:`, wallet.address);
+      } catch (error) {
+        console.error(`❌ Failed to initialize ${network} hot wallet:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Check if a network has a hot wallet configured
+   */
+  isReady(network) {
+    return Boolean(this.chains[network]);
+  }
+
+  getChain(network) {
+    const chain = this.chains[network];
+    if (!chain) {
+      throw new Error(`${network} hot wallet not configured`);
+    }
+    return chain;
+  }
+
+  /**
+   * Run sends for a network one at a time, so each gets the next nonce
+   */
+  serialize(chain, task) {
+    const run = chain.queue.then(task, task);
+    chain.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Hot wallet USDT balance (and native balance for gas)
+   */
+  async getUSDTBalance(network) {
+    const chain = this.getChain(network);
+
+    const [tokenBalance, nativeBalance] = await Promise.all([
+      chain.token.balanceOf(chain.wallet.address),
+      chain.provider.getBalance(chain.wallet.address)
+    ]);
+
+    const free = parseFloat(formatUnits(tokenBalance, chain.decimals));
+
+    return {
+      free,
+      locked: 0,
+      total: free,
+      native: parseFloat(formatUnits(nativeBalance, 18))
+    };
+  }
+
+  /**
+   * Current fee per gas, refusing to pay more than the configured cap
+   * @returns {Object} Fee fields for the transaction (EIP-1559 where the chain supports it)
+   */
+  async getFees(chain, network) {
+    const feeData = await chain.provider.getFeeData();
+    const cap = parseUnits(chain.maxFeePerGasGwei.toString(), 'gwei');
+
+    const eip1559 = feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null;
+    const feePerGas = eip1559 ? feeData.maxFeePerGas : feeData.gasPrice;
+
+    if (feePerGas > cap) {
+      throw new Error(
+        `${network} gas price ${formatUnits(feePerGas, 'gwei')} gwei is above the ${chain.maxFeePerGasGwei} gwei cap`
+      );
+    }
+
+    return {
+      feePerGas,
+      fields: eip1559
+        ? { type: 2, maxFeePerGas: feePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+        : { type: 0, gasPrice: feePerGas }
+    };
+  }
+
+  /**
+   * Send USDT from the hot wallet
+   * @param {string} address - Recipient wallet address
+   * @param {number} amount - Amount of USDT to send
+   * @param {string} network - ERC20 or BEP20
+   * @param {string} payoutReference - Our payout reference (for logs)
+   * @param {Function} onSigned - Called with { hash, raw } before broadcast; should persist it
+   * @returns {Object} Transfer result with the transaction hash
+   */
+  async sendUSDT(address, amount, network, payoutReference = null, onSigned = null) {
+    const chain = this.getChain(network);
+
+    return this.serialize(chain, async () => {
+      // USDT amounts never need more than 6 decimals, even on 18-decimal tokens
+      const value = parseUnits(Number(amount).toFixed(Math.min(chain.decimals, 6)), chain.decimals);
+      const data = chain.token.interface.encodeFunctionData('transfer', [address, value]);
+
+      const tokenBalance = await chain.token.balanceOf(chain.wallet.address);
+      if (tokenBalance < value) {
+        throw new Error(
+          `Insufficient USDT balance. Required: ${amount} USDT, Available: ${formatUnits(tokenBalance, chain.decimals)} USDT`
+        );
+      }
+
+      const { feePerGas, fields } = await this.getFees(chain, network);
+      const estimate = await chain.provider.estimateGas({ from: chain.wallet.address, to: chain.tokenAddress, data });
+      const gasLimit = estimate * GAS_LIMIT_BUFFER_PERCENT / 100n;
+
+      const nativeBalance = await chain.provider.getBalance(chain.wallet.address);
+      if (nativeBalance < gasLimit * feePerGas) {
+        throw new Error(
+          `Insufficient ${network} gas balance. Required: ${formatUnits(gasLimit * feePerGas, 18)}, ` +
+          `Available: ${formatUnits(nativeBalance, 18)}`
+        );
+      }
+
+      const nonce = await chain.nonces.getNonce('pending');
+
+      const raw = await chain.wallet.signTransaction({
+        to: chain.tokenAddress,
+        data,
+        nonce,
+        gasLimit,
+        chainId: chain.chainId,
+        ...fields
+      });
+      const hash = EvmTransaction.from(raw).hash;
+
+      if (onSigned) {
+        await onSigned({ hash, raw });
+      }
+
+      console.log(`💸 Broadcasting ${network} USDT transfer`, { payoutReference, hash, nonce });
+
+      try {
+        await chain.provider.broadcastTransaction(raw);
+        chain.nonces.increment();
+      } catch (error) {
+        // Resync with the node; the next send picks up a fresh pending nonce
+        chain.nonces.reset();
+        console.error(`❌ ${network} broadcast failed:`, error.message);
+        throw new Error(`USDT transfer failed: ${error.shortMessage || error.message}`);
+      }
+
+      return {
+        success: true,
+        withdrawalId: hash,
+        transactionHash: hash,
+        amount: amount,
+        address: address,
+        network: network,
+        timestamp: new Date()
+      };
+    });
+  }
+
+  /**
+   * Transfer result for one of our hashes
+   */
+  transferResult(hash, network) {
+    return {
+      success: true,
+      withdrawalId: hash,
+      transactionHash: hash,
+      network: network,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Re-sign a stuck transaction with the same nonce and higher fees (replace-by-fee).
+   * Fees go up by at least the 12.5% nodes require for a replacement, or to the
+   * current network fee if that is higher, but never above the configured cap.
+   * @returns {Object|null} The replacement's { hash, raw, replacedHashes }, or null if it would pass the cap
+   */
+  async replaceTransaction(chain, network, signedPayout) {
+    const previous = EvmTransaction.from(signedPayout.raw);
+    const feeData = await chain.provider.getFeeData();
+    const cap = parseUnits(chain.maxFeePerGasGwei.toString(), 'gwei');
+
+    const bump = (oldFee, currentFee) => {
+      const bumped = oldFee * FEE_BUMP_PERMILLE / 1000n + 1n;
+      return currentFee && currentFee > bumped ? currentFee : bumped;
+    };
+
+    let fields;
+    let feePerGas;
+    if (previous.type === 2) {
+      feePerGas = bump(previous.maxFeePerGas, feeData.maxFeePerGas);
+      fields = {
+        type: 2,
+        maxFeePerGas: feePerGas,
+        maxPriorityFeePerGas: bump(previous.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
+      };
+    } else {
+      feePerGas = bump(previous.gasPrice, feeData.gasPrice);
+      fields = { type: 0, gasPrice: feePerGas };
+    }
+
+    if (feePerGas > cap) {
+      console.warn(`⚠️  ${network} transfer ${signedPayout.hash} is stuck but replacing it would pass the gas cap`);
+      return null;
+    }
+
+    const raw = await chain.wallet.signTransaction({
+      to: previous.to,
+      data: previous.data,
+      nonce: previous.nonce,
+      gasLimit: previous.gasLimit,
+      chainId: chain.chainId,
+      ...fields
+    });
+
+    return {
+      hash: EvmTransaction.from(raw).hash,
+      raw,
+      replacedHashes: [...(signedPayout.replacedHashes || []), signedPayout.hash]
+    };
+  }
+
+  /**
+   * Settle a transfer signed by an earlier attempt, so the same transaction
+   * (same nonce) is sent rather than a second one:
+   * - mined (any fee-bumped version): return it
+   * - nonce used by another transaction in a settled block: null, safe to send again
+   * - still pending: rebroadcast it, replacing it with higher fees once it's been
+   *   stuck longer than replaceAfterMinutes (the replacement is passed to onSigned)
+   * @param {Object} signedPayout - { hash, raw, replacedHashes, signedAt } as saved from onSigned
+   * @param {Object} options - rebroadcast: false to only look (e.g. before a refund)
+   * @returns {Object|null} The transfer, or null if it can never be mined
+   */
+  async resumeTransfer(signedPayout, network, { rebroadcast = true, onSigned = null } = {}) {
+    const chain = this.getChain(network);
+    const hashes = [signedPayout.hash, ...(signedPayout.replacedHashes || [])];
+
+    const findMined = async () => {
+      for (const hash of hashes) {
+        if (await chain.provider.getTransactionReceipt(hash)) {
+          return hash;
+        }
+      }
+      return null;
+    };
+
+    const mined = await findMined();
+    if (mined) {
+      return this.transferResult(mined, network);
+    }
+
+    const { nonce } = EvmTransaction.from(signedPayout.raw);
+    const latestNonce = await chain.provider.getTransactionCount(chain.wallet.address, 'latest');
+
+    if (latestNonce > nonce) {
+      // The nonce is used. Only trust that it went to another transaction once that's
+      // settled: a lagging node can know the nonce before it can serve our receipt.
+      const blockNumber = await chain.provider.getBlockNumber();
+      const settledNonce = await chain.provider.getTransactionCount(
+        chain.wallet.address,
+        Math.max(blockNumber - chain.confirmations, 0)
+      );
+      const minedLate = await findMined();
+
+      if (minedLate) {
+        return this.transferResult(minedLate, network);
+      }
+
+      if (settledNonce > nonce) {
+        chain.nonces.reset();
+        return null;
+      }
+
+      throw new Error(`Nonce ${nonce} of ${signedPayout.hash} was used recently; waiting for it to settle`);
+    }
+
+    const known = await chain.provider.getTransaction(signedPayout.hash);
+
+    if (!rebroadcast) {
+      if (!known) {
+        throw new Error(`${signedPayout.hash} is not mined and its nonce is still open; it could still be sent`);
+      }
+      return this.transferResult(signedPayout.hash, network);
+    }
+
+    const stuckMs = Date.now() - new Date(signedPayout.signedAt || 0).getTime();
+    if (stuckMs > chain.replaceAfterMinutes * 60 * 1000) {
+      const replacement = await this.replaceTransaction(chain, network, signedPayout);
+
+      if (replacement) {
+        if (onSigned) {
+          await onSigned(replacement);
+        }
+
+        console.log(`💸 Replacing stuck ${network} transfer`, { replaced: signedPayout.hash, hash: replacement.hash, nonce });
+        await chain.provider.broadcastTransaction(replacement.raw);
+        return this.transferResult(replacement.hash, network);
+      }
+    }
+
+    if (!known) {
+      try {
+        await chain.provider.broadcastTransaction(signedPayout.raw);
+      } catch (error) {
+        if (!ALREADY_KNOWN_PATTERN.test(error.message)) {
+          throw new Error(`Failed to rebroadcast ${signedPayout.hash}: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+
+    return this.transferResult(signedPayout.hash, network);
+  }
+
+  /**
+   * Verify transfer status, using the same statuses as Binance withdrawals
+   * @param {string} hash - Transaction hash
+   */
+  async verifyWithdrawal(hash, network) {
+    const chain = this.getChain(network);
+
+    const receipt = await chain.provider.getTransactionReceipt(hash);
+
+    if (!receipt) {
+      const pending = await chain.provider.getTransaction(hash);
+      return pending
+        ? { status: 'processing', transactionHash: hash, confirmations: 0 }
+        : { status: 'not_found' };
+    }
+
+    if (receipt.status === 0) {
+      return { status: 'failed', transactionHash: hash };
+    }
+
+    const confirmations = await receipt.confirmations();
+
+    return {
+      status: confirmations >= chain.confirmations ? 'completed' : 'processing',
+      transactionHash: hash,
+      confirmations
+    };
+  }
+}
+
+// Export singleton instance
+const evmCryptoService = new EvmCryptoService();
+export default evmCryptoService;
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import LoginEvent from '../models/LoginEvent.js';
+import logger from '../utils/logger.js';
+import emailService from './emailService.js';
+
+class LoginHistoryService {
+  /**
+   * Identify a device by its user agent
+   */
+  static deviceId(req) {
+    const userAgent = req.get('user-agent') || 'unknown';
+    return crypto.createHash('sha256').update(userAgent).digest('hex');
+  }
+
+  /**
+   * Record a successful login and warn the user about new devices
+   * @param {string} reason - How the user logged in ('password', 'two_factor', ...)
+   */
+  static async recordSuccess(req, user, session, reason = 'password') {
+    try {
+      const deviceId = this.deviceId(req);
+
+      // A device counts as new only when the user has logged in before from elsewhere
+      const [hasHistory, knownDevice] = await Promise.all([
+        LoginEvent.exists({ userId: user._id, success: true }),
+        LoginEvent.exists({ userId: user._id, deviceId, success: true })
+      ]);
+      const isNewDevice = Boolean(hasHistory) && !knownDevice;
+
+      const event = await LoginEvent.create({
+        userId: user._id,
+        email: user.email,
+        success: true,
+        reason,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+        deviceId,
+        sessionId: session?._id || null,
+        isNewDevice
+      });
+
+      if (isNewDevice) {
+        logger.info('Login from new device', { userId: user._id, ip: req.ip });
+
+        emailService.sendNewDeviceLoginEmail(user.email, user.fullName, {
+          ipAddress: event.ipAddress,
+          userAgent: event.userAgent,
+          time: event.createdAt
+        }).catch(error => {
+          logger.error('Failed to send new device email', { userId: user._id, error: error.message });
+        });
+      }
+
+      return event;
+    } catch (error) {
+      // History is informational; never block a login because of it
+      logger.error('Failed to record login', { userId: user._id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record a failed login attempt
+   */
+  static async recordFailure(req, { email, user = null, reason }) {
+    try {
+      return await LoginEvent.create({
+        userId: user?._id || null,
+        email,
+        success: false,
+        reason,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null,
+        deviceId: this.deviceId(req)
+      });
+    } catch (error) {
+      logger.error('Failed to record login failure', { email, error: error.message });
+      return null;
+    }
+  }
+}
+
+export default LoginHistoryService;
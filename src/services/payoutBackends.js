@@ -0,0 +1,35 @@
+import binanceCryptoService from './binanceCryptoService.js';
+import evmCryptoService from './evmCryptoService.js';
+import tronCryptoService from './tronCryptoService.js';
+import config from '../config/environment.js';
+
+/**
+ * Payout backends. Each service exposes the same surface:
+ *   isReady(network), getUSDTBalance(network),
+ *   sendUSDT(address, amount, network, payoutReference, onSigned),
+ *   verifyWithdrawal(id, network)
+ * On-chain services also have resumeTransfer(signedPayout, network, options).
+ */
+export const PAYOUT_BACKENDS = ['binance', 'onchain'];
+
+/**
+ * Backend configured to pay out a network
+ */
+export const getPayoutBackendName = (network) => config.payoutBackends[network] || 'binance';
+
+/**
+ * Service for a backend on a network
+ */
+export const getPayoutBackend = (name, network) => {
+  if (name === 'onchain') {
+    return network === 'TRC20' ? tronCryptoService : evmCryptoService;
+  }
+  return binanceCryptoService;
+};
+
+/**
+ * Whether any network pays out for real (rather than simulated)
+ */
+export const hasRealPayoutBackend = () => Object.keys(config.payoutBackends).some(network =>
+  getPayoutBackend(getPayoutBackendName(network), network).isReady(network)
+);
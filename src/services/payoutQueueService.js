@@ -0,0 +1,321 @@
+import os from 'os';
+import PayoutJob from '../models/PayoutJob.js';
+import PayoutService from './payoutService.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Errors that won't go away by retrying; everything else is treated as transient
+const PERMANENT_ERROR_PATTERNS = [
+  /invalid (wallet |trc20 |erc20 |bep20 )?address/i,
+  /unsupported network/i,
+  /withdrawal permission not enabled/i
+];
+
+/**
+ * Mongo-backed payout queue.
+ * Jobs are claimed with an expiring lock, so a job held by a worker that
+ * died is picked up again once its lock runs out.
+ */
+class PayoutQueueService {
+  static timer = null;
+  static activeJobs = 0;
+  static stopping = false;
+
+  /**
+   * Queue the payout for a transaction (at most one job per transaction)
+   */
+  static async enqueue(transactionId) {
+    const job = await PayoutJob.findOneAndUpdate(
+      { transactionId },
+      {
+        $setOnInsert: {
+          transactionId,
+          maxAttempts: config.payoutQueue.maxAttempts,
+          runAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info('Payout queued', { transactionId, jobId: job._id, status: job.status });
+
+    // Pick it up now rather than on the next poll
+    if (PayoutQueueService.timer) {
+      setImmediate(() => PayoutQueueService.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Queue a transaction's payout again from scratch, e.g. after its on-chain transfer was dropped
+   */
+  static async requeue(transactionId) {
+    const job = await PayoutJob.findOneAndUpdate(
+      { transactionId },
+      {
+        $set: {
+          status: 'queued',
+          attempts: 0,
+          runAt: new Date(),
+          lastError: null,
+          completedAt: null
+        },
+        $setOnInsert: {
+          transactionId,
+          maxAttempts: config.payoutQueue.maxAttempts
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info('Payout requeued', { transactionId, jobId: job._id });
+
+    if (PayoutQueueService.timer) {
+      setImmediate(() => PayoutQueueService.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Lock the next due job for this worker
+   */
+  static async claimNext() {
+    const now = new Date();
+
+    return PayoutJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + config.payoutQueue.lockTimeoutMs),
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Whether a failed attempt is worth retrying
+   */
+  static isTransientError(error) {
+    if (error.permanent) {
+      return false;
+    }
+    return !PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message));
+  }
+
+  /**
+   * Exponential backoff with jitter for the given attempt number
+   */
+  static retryDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = config.payoutQueue;
+    const delay = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Filter matching a job only while this worker still holds this claim on it
+   * (attempts changes with every claim, so a later claim by the same worker doesn't match)
+   */
+  static ownClaim(job) {
+    return { _id: job._id, status: 'running', lockedBy: WORKER_ID, attempts: job.attempts };
+  }
+
+  /**
+   * Keep extending the job's lock while it runs, so a slow payout isn't
+   * claimed by another worker. Returns a function that stops renewing.
+   */
+  static holdLock(job) {
+    const { lockTimeoutMs } = config.payoutQueue;
+
+    const timer = setInterval(async () => {
+      try {
+        const result = await PayoutJob.updateOne(
+          PayoutQueueService.ownClaim(job),
+          { lockedUntil: new Date(Date.now() + lockTimeoutMs) }
+        );
+
+        if (result.matchedCount === 0) {
+          logger.warn('Payout job lock lost while running', { jobId: job._id, transactionId: job.transactionId });
+          clearInterval(timer);
+        }
+      } catch (error) {
+        logger.error('Failed to renew payout job lock', { jobId: job._id, error: error.message });
+      }
+    }, Math.max(Math.floor(lockTimeoutMs / 3), 1000));
+
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Run one claimed job and record the outcome.
+   * The outcome is only written while this worker still holds the job.
+   */
+  static async runJob(job) {
+    const releaseLock = PayoutQueueService.holdLock(job);
+    const update = { $set: { lockedBy: null, lockedUntil: null } };
+    let deadError = null;
+
+    try {
+      await PayoutService.executePayout(job.transactionId);
+
+      Object.assign(update.$set, { status: 'succeeded', completedAt: new Date(), lastError: null });
+
+      logger.info('Payout job succeeded', { jobId: job._id, transactionId: job.transactionId, attempts: job.attempts });
+    } catch (error) {
+      const transient = PayoutQueueService.isTransientError(error);
+
+      update.$push = { failures: { attempt: job.attempts, message: error.message, transient } };
+      update.$set.lastError = error.message;
+
+      if (transient && job.attempts < job.maxAttempts) {
+        const delay = PayoutQueueService.retryDelay(job.attempts);
+        Object.assign(update.$set, { status: 'queued', runAt: new Date(Date.now() + delay) });
+
+        logger.warn('Payout attempt failed, will retry', {
+          jobId: job._id,
+          transactionId: job.transactionId,
+          attempt: job.attempts,
+          retryInMs: delay,
+          error: error.message
+        });
+      } else {
+        update.$set.status = 'dead';
+        deadError = error;
+
+        logger.error('Payout job dead-lettered', {
+          jobId: job._id,
+          transactionId: job.transactionId,
+          attempts: job.attempts,
+          transient,
+          error: error.message
+        });
+      }
+    } finally {
+      releaseLock();
+    }
+
+    const result = await PayoutJob.updateOne(PayoutQueueService.ownClaim(job), update);
+
+    if (result.matchedCount === 0) {
+      logger.warn('Payout job was taken over by another worker; outcome not recorded', {
+        jobId: job._id,
+        transactionId: job.transactionId,
+        attempt: job.attempts
+      });
+      return;
+    }
+
+    if (deadError) {
+      await PayoutService.markForReview(job.transactionId, deadError.message);
+    }
+  }
+
+  /**
+   * Claim and start jobs until the worker is at its concurrency limit
+   */
+  static async poll() {
+    try {
+      while (!PayoutQueueService.stopping && PayoutQueueService.activeJobs < config.payoutQueue.concurrency) {
+        // Counted before claiming so stop() also waits for a claim in flight
+        PayoutQueueService.activeJobs++;
+        let job = null;
+        try {
+          job = await PayoutQueueService.claimNext();
+        } finally {
+          if (!job) {
+            PayoutQueueService.activeJobs--;
+          }
+        }
+        if (!job) {
+          break;
+        }
+
+        PayoutQueueService.runJob(job)
+          .catch(error => {
+            logger.error('Payout job crashed', { jobId: job._id, error: error.message });
+          })
+          .finally(() => {
+            PayoutQueueService.activeJobs--;
+          });
+      }
+    } catch (error) {
+      logger.error('Payout queue poll failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  static start() {
+    if (!config.payoutQueue.enabled) {
+      logger.info('Payout worker disabled on this instance');
+      return;
+    }
+
+    PayoutQueueService.stopping = false;
+    PayoutQueueService.timer = setInterval(() => PayoutQueueService.poll(), config.payoutQueue.pollIntervalMs);
+    PayoutQueueService.poll();
+
+    logger.info('Payout worker started', { workerId: WORKER_ID, concurrency: config.payoutQueue.concurrency });
+  }
+
+  /**
+   * Stop taking new jobs and wait (up to a limit) for running ones to finish
+   */
+  static async stop(timeoutMs = 30000) {
+    PayoutQueueService.stopping = true;
+    clearInterval(PayoutQueueService.timer);
+    PayoutQueueService.timer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (PayoutQueueService.activeJobs > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    logger.info('Payout worker stopped', { unfinishedJobs: PayoutQueueService.activeJobs });
+  }
+
+  /**
+   * Requeue a dead job (admin). The transaction is released from review first.
+   */
+  static async retry(jobId) {
+    const job = await PayoutJob.findById(jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    if (job.status !== 'dead') {
+      const error = new Error(`Only dead jobs can be retried (this one is '${job.status}')`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await PayoutService.releaseFromReview(job.transactionId);
+
+    job.status = 'queued';
+    job.attempts = 0;
+    job.runAt = new Date();
+    job.lastError = null;
+    await job.save();
+
+    if (PayoutQueueService.timer) {
+      setImmediate(() => PayoutQueueService.poll());
+    }
+
+    return job;
+  }
+}
+
+export default PayoutQueueService;
@@ -0,0 +1,232 @@
+import Transaction from '../models/Transaction.js';
+import USDTConversionService from './usdtConversionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Build an error the payout queue won't retry
+ */
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+class PayoutService {
+  /**
+   * Atomically take a confirmed transaction for payout.
+   * Only one caller can move it from payment_confirmed to converting_to_usdt
+   * and stamp its payout reference; everyone else gets null.
+   */
+  static async claimPayout(transactionId) {
+    return Transaction.findOneAndUpdate(
+      { _id: transactionId, status: 'payment_confirmed', payoutReference: null },
+      {
+        $set: {
+          status: 'converting_to_usdt',
+          payoutReference: `payout_${transactionId}`,
+          payoutClaimedAt: new Date()
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Atomically take back a transaction whose on-chain transfer was dropped,
+   * so a requeued payout can send it again (unless it was refunded meanwhile)
+   */
+  static async reclaimDroppedPayout(transactionId) {
+    return Transaction.findOneAndUpdate(
+      { _id: transactionId, status: 'payout_failed', payoutBackend: 'onchain', refundedAmount: 0 },
+      {
+        $set: { status: 'converting_to_usdt', errorMessage: null },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    ).select('+signedPayout.raw');
+  }
+
+  /**
+   * Send the USDT for a paid transaction and move it to completed.
+   * Safe to call again after a failure: a transaction that was already claimed
+   * is first checked for an earlier transfer (Binance withdrawal by payout
+   * reference, or the saved signed on-chain transaction), so the USDT is never
+   * sent twice. Throws on failure; errors with `permanent` set should not be retried.
+   */
+  static async executePayout(transactionId) {
+    let transaction = await Transaction.findById(transactionId).select('+signedPayout.raw');
+
+    if (!transaction) {
+      throw permanentError('Transaction not found');
+    }
+
+    if (['usdt_sent', 'completed'].includes(transaction.status)) {
+      logger.info('Payout already sent, nothing to do', { transactionId });
+      return transaction;
+    }
+
+    if (transaction.status === 'payout_failed') {
+      transaction = await PayoutService.reclaimDroppedPayout(transactionId) || transaction;
+    }
+
+    let resuming = transaction.status === 'converting_to_usdt';
+
+    if (transaction.status === 'payment_confirmed') {
+      const claimed = await PayoutService.claimPayout(transactionId);
+      resuming = !claimed;
+      transaction = claimed || await Transaction.findById(transactionId).select('+signedPayout.raw');
+
+      if (claimed) {
+        global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+          transactionId: transaction._id,
+          status: 'converting_to_usdt'
+        });
+      }
+    }
+
+    if (transaction.status !== 'converting_to_usdt') {
+      throw permanentError(`Transaction is in status '${transaction.status}' and can't be paid out`);
+    }
+
+    logger.info('Starting USDT conversion', {
+      transactionId: transaction._id,
+      payoutReference: transaction.payoutReference,
+      resuming
+    });
+
+    // On-chain: keep the signed transaction before it's broadcast, so a retry resends the same one
+    const saveSigned = async (signed) => {
+      transaction.signedPayout = { ...signed, signedAt: new Date() };
+      await transaction.save();
+    };
+
+    // An earlier attempt may have reached Binance or the chain before it failed
+    let transfer = resuming
+      ? await USDTConversionService.findExistingTransfer(transaction, { onSigned: saveSigned })
+      : null;
+
+    if (!transfer) {
+      // Execute REAL USDT transfer (falls back to simulation if not configured)
+      transfer = await USDTConversionService.executeUSDTTransfer(
+        transaction._id,
+        transaction.walletAddress,
+        transaction.usdtAmount,
+        transaction.blockchainNetwork || 'TRC20',
+        transaction.payoutReference,
+        saveSigned
+      );
+    }
+
+    // The USDT is on its way; from here the transaction must never be marked failed
+    try {
+      transaction.status = 'usdt_sent';
+      transaction.usdtSentAt = new Date();
+      transaction.withdrawalId = transfer.withdrawalId || null;
+      transaction.payoutBackend = transfer.payoutBackend || null;
+      transaction.transactionHash = transfer.transactionHash;
+      transaction.blockchainNetwork = transfer.network;
+      transaction.errorMessage = null;
+
+      // Store metadata about whether this was a real or simulated transfer
+      if (!transaction.metadata) transaction.metadata = {};
+      transaction.metadata.isRealTransfer = transfer.isReal || false;
+      transaction.metadata.explorerUrl = transfer.explorerUrl;
+      transaction.markModified('metadata');
+
+      await transaction.save();
+    } catch (error) {
+      logger.error('USDT sent but transaction could not be updated - reconcile manually', {
+        transactionId: transaction._id,
+        payoutReference: transaction.payoutReference,
+        txHash: transfer.transactionHash,
+        error: error.message
+      });
+      throw error;
+    }
+
+    global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+      transactionId: transaction._id,
+      status: 'usdt_sent',
+      withdrawalId: transfer.withdrawalId,
+      transactionHash: transfer.transactionHash
+    });
+
+    logger.info('USDT sent successfully', {
+      transactionId: transaction._id,
+      withdrawalId: transfer.withdrawalId,
+      txHash: transfer.transactionHash
+    });
+
+    // Real transfers are completed by the withdrawal tracker once they're confirmed on-chain
+    if (transfer.withdrawalId) {
+      return transaction;
+    }
+
+    return PayoutService.completeTransaction(transaction);
+  }
+
+  /**
+   * Complete transaction
+   */
+  static async completeTransaction(transaction) {
+    transaction.status = 'completed';
+    transaction.completedAt = new Date();
+    await transaction.save();
+
+    logger.info('Transaction completed', { transactionId: transaction._id });
+
+    // Emit final socket event
+    global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+      transactionId: transaction._id,
+      status: 'completed'
+    });
+
+    return transaction;
+  }
+
+  /**
+   * Hold a transaction whose payout gave up, so an admin can retry or refund it
+   */
+  static async markForReview(transactionId, reason) {
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, status: { $in: ['payment_confirmed', 'converting_to_usdt'] } },
+      {
+        $set: { status: 'under_review', errorMessage: reason },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+
+    if (transaction) {
+      logger.warn('Transaction held for review after payout failure', { transactionId, reason });
+
+      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+        transactionId: transaction._id,
+        status: 'under_review'
+      });
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Put a transaction held for review back where the payout can pick it up
+   */
+  static async releaseFromReview(transactionId) {
+    const transaction = await Transaction.findOne({ _id: transactionId, status: 'under_review' });
+
+    if (!transaction) {
+      return null;
+    }
+
+    // Claimed transactions keep their reference so the retry checks Binance first
+    transaction.status = transaction.payoutReference ? 'converting_to_usdt' : 'payment_confirmed';
+    transaction.errorMessage = null;
+    await transaction.save();
+
+    return transaction;
+  }
+}
+
+export default PayoutService;
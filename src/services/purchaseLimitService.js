@@ -0,0 +1,180 @@
+import Transaction from '../models/Transaction.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+
+// Statuses where money has moved (or is moving) and must count against limits.
+// Held and failed payouts are charged cards still owed USDT. Partial refunds
+// count as a purchase, with only the unrefunded part counting toward volume.
+const COUNTED_STATUSES = [
+  'payment_processing',
+  'payment_confirmed',
+  'processing',
+  'converting_to_usdt',
+  'usdt_sent',
+  'completed',
+  'under_review',
+  'payout_failed',
+  'partially_refunded'
+];
+
+// Amount still charged to the card, net of any refunds
+const NET_AMOUNT = { $subtract: ['$amountUSD', { $ifNull: ['$refundedAmount', 0] }] };
+
+// Unpaid orders only count while they can still be paid, so abandoned checkouts free up the limit
+const IN_FLIGHT_STATUSES = ['initiated', 'pending'];
+const IN_FLIGHT_WINDOW_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows, checked shortest first
+const WINDOWS = {
+  daily: { ms: DAY_MS, period: 'today' },
+  weekly: { ms: 7 * DAY_MS, period: 'this week' },
+  monthly: { ms: 30 * DAY_MS, period: 'this month' }
+};
+
+export const LIMIT_FIELDS = [
+  'perTransaction',
+  'daily',
+  'weekly',
+  'monthly',
+  'dailyCount',
+  'weeklyCount',
+  'monthlyCount'
+];
+
+class PurchaseLimitService {
+  /**
+   * Effective limits for a user: KYC level defaults with any admin overrides applied
+   */
+  static getLimits(user) {
+    const level = user.kycLevel || 'none';
+    const levelLimits = config.kyc.limits[level];
+
+    const limits = {
+      perTransaction: levelLimits.perTransaction,
+      daily: levelLimits.daily,
+      weekly: levelLimits.weekly,
+      monthly: levelLimits.monthly,
+      dailyCount: config.velocity.maxDailyTransactions,
+      weeklyCount: config.velocity.maxWeeklyTransactions,
+      monthlyCount: config.velocity.maxMonthlyTransactions
+    };
+
+    const overrides = user.limitOverrides || {};
+    const overridden = LIMIT_FIELDS.filter(field => overrides[field] !== null && overrides[field] !== undefined);
+    overridden.forEach(field => {
+      limits[field] = overrides[field];
+    });
+
+    return { level, limits, overridden };
+  }
+
+  /**
+   * Volume and count of counted purchases in each rolling window
+   */
+  static async getWindowTotals(userId) {
+    const now = Date.now();
+    const since = Object.fromEntries(
+      Object.entries(WINDOWS).map(([name, window]) => [name, new Date(now - window.ms)])
+    );
+
+    const sumSince = (start, value) => ({
+      $sum: { $cond: [{ $gte: ['$createdAt', start] }, value, 0] }
+    });
+
+    const result = await Transaction.aggregate([
+      {
+        $match: {
+          userId: userId,
+          $or: [
+            { status: { $in: COUNTED_STATUSES }, createdAt: { $gte: since.monthly } },
+            { status: { $in: IN_FLIGHT_STATUSES }, createdAt: { $gte: new Date(now - IN_FLIGHT_WINDOW_MS) } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          daily: sumSince(since.daily, NET_AMOUNT),
+          weekly: sumSince(since.weekly, NET_AMOUNT),
+          monthly: sumSince(since.monthly, NET_AMOUNT),
+          dailyCount: sumSince(since.daily, 1),
+          weeklyCount: sumSince(since.weekly, 1),
+          monthlyCount: sumSince(since.monthly, 1)
+        }
+      }
+    ]);
+
+    const totals = result[0] || {};
+    return Object.fromEntries(
+      ['daily', 'weekly', 'monthly', 'dailyCount', 'weeklyCount', 'monthlyCount']
+        .map(field => [field, totals[field] || 0])
+    );
+  }
+
+  /**
+   * Limits, usage and what's left in each rolling window (24h, 7 days, 30 days)
+   */
+  static async getUsage(user) {
+    const { level, limits, overridden } = this.getLimits(user);
+    const used = await this.getWindowTotals(user._id);
+
+    const remaining = Object.fromEntries(
+      Object.keys(used).map(field => [field, Math.max(limits[field] - used[field], 0)])
+    );
+
+    return {
+      level,
+      overridden,
+      limits,
+      used,
+      remaining
+    };
+  }
+
+  /**
+   * Throw a 403 error if a purchase would exceed the user's limits
+   */
+  static async assertWithinLimits(user, usdAmount) {
+    const usage = await this.getUsage(user);
+    const { limits, remaining } = usage;
+
+    let message = null;
+
+    if (usdAmount > limits.perTransaction) {
+      message = `Amount exceeds your per-transaction limit of $${limits.perTransaction}`;
+    } else {
+      for (const [name, window] of Object.entries(WINDOWS)) {
+        if (remaining[`${name}Count`] < 1) {
+          message = `You have reached your ${name} limit of ${limits[`${name}Count`]} purchases. ` +
+            'Please try again later';
+          break;
+        }
+        if (usdAmount > remaining[name]) {
+          message = `Amount exceeds your ${name} limit of $${limits[name]}. ` +
+            `Remaining ${window.period}: $${remaining[name].toFixed(2)}`;
+          break;
+        }
+      }
+    }
+
+    if (message) {
+      logger.warn('Purchase limit exceeded', {
+        userId: user._id,
+        usdAmount,
+        level: usage.level,
+        remaining
+      });
+
+      const error = new Error(message);
+      error.statusCode = 403;
+      error.details = usage;
+      throw error;
+    }
+
+    return usage;
+  }
+}
+
+export default PurchaseLimitService;
@@ -4,8 +4,9 @@ import logger from '../utils/logger.js';
 class StripeService {
   /**
    * Create a payment intent
+   * @param {string} [idempotencyKey] - Passed to Stripe so a retried call returns the same intent
    */
-  static async createPaymentIntent(amount, currency, metadata = {}) {
+  static async createPaymentIntent(amount, currency, metadata = {}, idempotencyKey = null) {
     try {
       const paymentIntent = await stripe.paymentIntents.create({
         amount: Math.round(amount * 100), // Convert to cents
@@ -14,7 +15,7 @@ class StripeService {
         automatic_payment_methods: {
           enabled: true,
         },
-      });
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       logger.info('Payment intent created', {
         id: paymentIntent.id,
@@ -72,13 +73,14 @@ class StripeService {
 
   /**
    * Create a refund
+   * @param {string} [idempotencyKey] - Passed to Stripe so a retried call returns the same refund
    */
-  static async createRefund(paymentIntentId, amount = null) {
+  static async createRefund(paymentIntentId, amount = null, idempotencyKey = null) {
     try {
       const refund = await stripe.refunds.create({
         payment_intent: paymentIntentId,
         amount: amount ? Math.round(amount * 100) : undefined
-      });
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       logger.info('Refund created', {
         id: refund.id,
@@ -0,0 +1,216 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+
+class TokenService {
+  /**
+   * Hash a refresh token for storage/lookup
+   */
+  static hashToken(token) {
+    return crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+  }
+
+  /**
+   * Generate a random refresh token
+   */
+  static generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   */
+  static signAccessToken(user, session) {
+    return jwt.sign(
+      { id: user._id, sid: session._id },
+      config.jwt.secret,
+      { expiresIn: config.jwt.expiresIn }
+    );
+  }
+
+  /**
+   * Sign the short-lived challenge returned by login when 2FA is enabled
+   */
+  static signTwoFactorChallenge(user) {
+    return jwt.sign(
+      { id: user._id, purpose: 'two_factor' },
+      config.jwt.secret,
+      { expiresIn: '5m' }
+    );
+  }
+
+  /**
+   * Verify a 2FA login challenge and return the user ID it was issued for
+   */
+  static verifyTwoFactorChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, config.jwt.secret);
+      if (decoded.purpose !== 'two_factor') {
+        throw new Error('Wrong token purpose');
+      }
+      return decoded.id;
+    } catch (err) {
+      const error = new Error('Invalid or expired two-factor challenge. Please log in again.');
+      error.statusCode = 401;
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new session and issue its first token pair
+   */
+  static async createSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+
+    const session = await Session.create({
+      userId: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('user-agent') || null,
+      expiresAt: new Date(Date.now() + config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info('Session created', { userId: user._id, sessionId: session._id });
+
+    return {
+      session,
+      tokens: {
+        token: this.signAccessToken(user, session),
+        refreshToken: refreshToken,
+        expiresIn: config.jwt.expiresIn
+      }
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * Presenting an already-rotated token revokes the whole session.
+   */
+  static async rotateRefreshToken(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const newRefreshToken = this.generateRefreshToken();
+
+    // Atomic swap so two concurrent refreshes can't both succeed
+    const session = await Session.findOneAndUpdate(
+      {
+        refreshTokenHash: tokenHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(newRefreshToken),
+          lastUsedAt: new Date()
+        },
+        $push: { previousTokenHashes: tokenHash }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+
+      if (reused && !reused.revokedAt) {
+        await this.revokeSession(reused._id, 'refresh_token_reuse');
+        logger.warn('Refresh token reuse detected, session revoked', {
+          userId: reused.userId,
+          sessionId: reused._id
+        });
+      }
+
+      const error = new Error('Invalid or expired refresh token');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user) {
+      await this.revokeSession(session._id, 'user_not_found');
+      const error = new Error('User not found');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (user.isSuspended()) {
+      await this.revokeSession(session._id, 'account_suspended');
+      const error = new Error('Account suspended. Please contact support.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return {
+      session,
+      user,
+      tokens: {
+        token: this.signAccessToken(user, session),
+        refreshToken: newRefreshToken,
+        expiresIn: config.jwt.expiresIn
+      }
+    };
+  }
+
+  /**
+   * Check that a session referenced by an access token is still usable
+   */
+  static async findActiveSession(sessionId, userId) {
+    return Session.findOne({
+      _id: sessionId,
+      userId: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Count a user's active sessions
+   */
+  static async countActiveSessions(userId) {
+    return Session.countDocuments({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Revoke a single session
+   */
+  static async revokeSession(sessionId, reason = 'logout') {
+    return Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   */
+  static async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(
+      query,
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    logger.info('Sessions revoked', {
+      userId,
+      reason,
+      count: result.modifiedCount
+    });
+
+    return result;
+  }
+}
+
+export default TokenService;
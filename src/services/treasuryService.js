@@ -0,0 +1,331 @@
+import Transaction from '../models/Transaction.js';
+import TreasurySnapshot from '../models/TreasurySnapshot.js';
+import binanceCryptoService from './binanceCryptoService.js';
+import { getPayoutBackend, getPayoutBackendName } from './payoutBackends.js';
+import emailService from './emailService.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+
+// Paid transactions whose USDT still has to leave the hot wallet
+const COMMITTED_STATUSES = [
+  'payment_processing',
+  'payment_confirmed',
+  'processing',
+  'converting_to_usdt',
+  'under_review'
+];
+
+// Unpaid orders are only expected to convert while they're recent
+const PENDING_STATUSES = ['initiated', 'pending'];
+const PENDING_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Networks paid out from the Binance account (others use our own hot wallets)
+ */
+const binanceNetworks = () => Object.keys(config.payoutBackends)
+  .filter(network => getPayoutBackendName(network) === 'binance');
+
+/**
+ * Balance a network's payouts come from: 'binance' (one account for all its
+ * networks) or the network itself for an on-chain hot wallet
+ */
+const sourceForNetwork = (network) => (getPayoutBackendName(network) === 'binance' ? 'binance' : network);
+
+const sourceNetworks = (source) => (source === 'binance' ? binanceNetworks() : [source]);
+
+const sourceBackend = (source) => (source === 'binance'
+  ? binanceCryptoService
+  : getPayoutBackend('onchain', source));
+
+/**
+ * Sources with a configured backend and at least one network paying out from them
+ */
+const activeSources = () => [...new Set(Object.keys(config.payoutBackends).map(sourceForNetwork))]
+  .filter(source => sourceBackend(source).isReady(source));
+
+/**
+ * Watches each payout balance (the Binance account and every on-chain hot
+ * wallet) against what we still owe, alerts ops when it or a hot wallet's gas
+ * runs low, and stops taking new payment intents before payouts would fail.
+ */
+class TreasuryService {
+  static timer = null;
+  static checking = false;
+
+  /**
+   * USDT owed to paid transactions and to recent unpaid orders paid out from a source.
+   * Only Stripe payments are paid out from our balance; Transak delivers its own USDT.
+   */
+  static async getExpectedOutflow(source = 'binance') {
+    const result = await Transaction.aggregate([
+      {
+        $match: {
+          paymentProvider: 'stripe',
+          blockchainNetwork: { $in: sourceNetworks(source) },
+          $or: [
+            { status: { $in: COMMITTED_STATUSES } },
+            { status: { $in: PENDING_STATUSES }, createdAt: { $gte: new Date(Date.now() - PENDING_WINDOW_MS) } }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { $in: ['$status', COMMITTED_STATUSES] },
+          total: { $sum: '$usdtAmount' }
+        }
+      }
+    ]);
+
+    return {
+      committed: result.find(row => row._id === true)?.total || 0,
+      pending: result.find(row => row._id === false)?.total || 0
+    };
+  }
+
+  /**
+   * Classify headroom against the configured thresholds
+   */
+  static classify(headroom) {
+    if (headroom < config.treasury.pauseBalanceUSDT) return 'critical';
+    if (headroom < config.treasury.lowBalanceUSDT) return 'low';
+    return 'healthy';
+  }
+
+  /**
+   * Whether a hot wallet has enough native coin (ETH, BNB, TRX) left for gas
+   * @returns {string|null} null for Binance, which pays its own fees
+   */
+  static classifyGas(source, native) {
+    if (source === 'binance' || native === undefined) return null;
+    return native < config.treasury.lowGas[source] ? 'low' : 'healthy';
+  }
+
+  /**
+   * Whether this reading should email ops: on every status change, and
+   * again after the cooldown while the balance or gas stays low
+   */
+  static async shouldAlert(source, status, gasStatus, previous) {
+    const gasLow = gasStatus === 'low';
+
+    if (!previous) {
+      return status !== 'healthy' || gasLow;
+    }
+
+    if (previous.status !== status || (previous.gasStatus === 'low') !== gasLow) {
+      return true;
+    }
+
+    if (status === 'healthy' && !gasLow) {
+      return false;
+    }
+
+    const cooldownStart = new Date(Date.now() - config.treasury.alertCooldownMinutes * 60 * 1000);
+    const recentAlert = await TreasurySnapshot.exists({ source, alerted: true, createdAt: { $gte: cooldownStart } });
+    return !recentAlert;
+  }
+
+  /**
+   * Read one source's balance, record a snapshot and alert if needed
+   */
+  static async checkSource(source) {
+    const balance = await sourceBackend(source).getUSDTBalance(source);
+    const outflow = await TreasuryService.getExpectedOutflow(source);
+
+    const headroom = balance.free - outflow.committed - outflow.pending;
+    const status = TreasuryService.classify(headroom);
+    const gasStatus = TreasuryService.classifyGas(source, balance.native);
+
+    const previous = await TreasurySnapshot.findOne({ source }).sort({ createdAt: -1 });
+    const alerted = await TreasuryService.shouldAlert(source, status, gasStatus, previous);
+
+    const snapshot = await TreasurySnapshot.create({
+      source,
+      free: balance.free,
+      locked: balance.locked,
+      native: balance.native ?? null,
+      committedOutflow: outflow.committed,
+      pendingOutflow: outflow.pending,
+      headroom,
+      status,
+      gasStatus,
+      acceptingPayments: status !== 'critical',
+      alerted
+    });
+
+    if (status !== 'healthy' || gasStatus === 'low') {
+      logger.warn('Treasury balance low', {
+        source,
+        status,
+        gasStatus,
+        free: balance.free,
+        native: balance.native,
+        committedOutflow: outflow.committed,
+        pendingOutflow: outflow.pending,
+        headroom
+      });
+    }
+
+    if (alerted) {
+      const label = source === 'binance' ? 'Binance' : `${source} hot wallet`;
+      const problems = [
+        status !== 'healthy' && `balance ${status}${status === 'critical' ? ' - new payments paused' : ''}`,
+        gasStatus === 'low' && 'gas low'
+      ].filter(Boolean);
+      const subject = problems.length > 0
+        ? `Treasury ${label}: ${problems.join(', ')}`
+        : `Treasury ${label} recovered`;
+
+      emailService.sendOpsAlert(subject, {
+        'Free balance': `${balance.free.toFixed(2)} USDT`,
+        'Owed to paid transactions': `${outflow.committed.toFixed(2)} USDT`,
+        'Owed to pending orders': `${outflow.pending.toFixed(2)} USDT`,
+        Headroom: `${headroom.toFixed(2)} USDT`,
+        'Alert threshold': `${config.treasury.lowBalanceUSDT} USDT`,
+        'Pause threshold': `${config.treasury.pauseBalanceUSDT} USDT`,
+        ...(gasStatus && {
+          'Gas balance': `${balance.native}`,
+          'Gas alert threshold': `${config.treasury.lowGas[source]}`
+        })
+      }).catch(error => {
+        logger.error('Failed to send treasury alert', { source, error: error.message });
+      });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Check every active source. One failing doesn't stop the others.
+   * @returns {Array} The new snapshots
+   */
+  static async check() {
+    const sources = activeSources();
+
+    if (sources.length === 0) {
+      const error = new Error('No payout backend configured');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const snapshots = [];
+    let firstError = null;
+
+    for (const source of sources) {
+      try {
+        snapshots.push(await TreasuryService.checkSource(source));
+      } catch (error) {
+        logger.error('Treasury check failed', { source, error: error.message });
+        firstError = firstError || error;
+      }
+    }
+
+    if (snapshots.length === 0) {
+      throw firstError;
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Payout sources being monitored
+   */
+  static getSources() {
+    return activeSources();
+  }
+
+  /**
+   * Latest snapshot for a source, or null if there is none recent enough to trust
+   */
+  static async getLatest(source = 'binance') {
+    return TreasurySnapshot.findOne({
+      source,
+      createdAt: { $gte: new Date(Date.now() - config.treasury.staleAfterMs) }
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Throw a 503 error if the hot wallet can't cover another payout of this size.
+   * The balance comes from the latest snapshot, but what we owe is counted now,
+   * so orders created since the snapshot are included.
+   * Without a recent reading (monitor down, backend unreachable) payments are
+   * allowed; the payout queue retries until the balance is there.
+   */
+  static async assertCanCover(usdtAmount, network) {
+    const source = sourceForNetwork(network);
+
+    if (!sourceBackend(source).isReady(source)) {
+      return;
+    }
+
+    const snapshot = await TreasuryService.getLatest(source);
+    if (!snapshot) {
+      return;
+    }
+
+    const outflow = await TreasuryService.getExpectedOutflow(source);
+    const headroom = snapshot.free - outflow.committed - outflow.pending;
+
+    if (headroom - usdtAmount < config.treasury.pauseBalanceUSDT) {
+      logger.warn('Payment refused: treasury cannot cover payout', {
+        source,
+        usdtAmount,
+        free: snapshot.free,
+        committedOutflow: outflow.committed,
+        pendingOutflow: outflow.pending,
+        headroom
+      });
+
+      const error = new Error('Purchases are temporarily unavailable. Please try again later.');
+      error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * Run a check, logging rather than throwing on failure
+   */
+  static async poll() {
+    if (TreasuryService.checking) {
+      return;
+    }
+    TreasuryService.checking = true;
+
+    try {
+      await TreasuryService.check();
+    } catch (error) {
+      logger.error('Treasury poll failed', { error: error.message });
+    } finally {
+      TreasuryService.checking = false;
+    }
+  }
+
+  /**
+   * Start checking the balances on an interval
+   */
+  static start() {
+    if (!config.treasury.enabled) {
+      logger.info('Treasury monitor disabled on this instance');
+      return;
+    }
+
+    if (activeSources().length === 0) {
+      logger.info('No payout backend configured - treasury monitor not started');
+      return;
+    }
+
+    TreasuryService.timer = setInterval(() => TreasuryService.poll(), config.treasury.pollIntervalMs);
+    TreasuryService.poll();
+
+    logger.info('Treasury monitor started', { pollIntervalMs: config.treasury.pollIntervalMs, sources: activeSources() });
+  }
+
+  /**
+   * Stop checking
+   */
+  static stop() {
+    clearInterval(TreasuryService.timer);
+    TreasuryService.timer = null;
+  }
+}
+
+export default TreasuryService;
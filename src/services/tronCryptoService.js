@@ -0,0 +1,435 @@
+import axios from 'axios';
+import { SigningKey, AbiCoder, computeAddress, parseUnits, formatUnits, sha256, id, hexlify } from 'ethers';
+import config from '../config/environment.js';
+import { toTronAddress, tronAddressToHex } from '../utils/walletAddress.js';
+
+// Receipt result of a TRC20 call that went through
+const TRON_SUCCESS = 'SUCCESS';
+
+// Extra TRX kept aside for bandwidth on top of the energy cost
+const BANDWIDTH_RESERVE_SUN = 1000000;
+
+const SUN_PER_TRX = 1000000;
+
+// How long past its expiration a missing transaction must stay missing before we
+// treat it as dropped, covering node lag and clock skew
+const EXPIRATION_MARGIN_MS = 2 * 60 * 1000;
+
+/**
+ * TRON error messages come back hex-encoded
+ */
+const decodeTronMessage = (message) => {
+  if (!message) return 'Unknown error';
+  return /^[0-9a-f]+$/i.test(message) ? Buffer.from(message, 'hex').toString('utf8') : message;
+};
+
+// Contract.ContractType of a TRC20 call in the raw transaction protobuf
+const TRIGGER_SMART_CONTRACT = 31n;
+
+/**
+ * Decode one protobuf message into { fieldNumber: [values] }: varints as
+ * BigInt, length-delimited fields as bytes. Enough to read back a raw TRON
+ * transaction; nested messages are decoded by calling this on their bytes.
+ */
+const decodeProtobuf = (bytes) => {
+  const fields = {};
+  let pos = 0;
+
+  const readVarint = () => {
+    let value = 0n;
+    let shift = 0n;
+    while (pos < bytes.length) {
+      const byte = bytes[pos++];
+      value |= BigInt(byte & 0x7f) << shift;
+      if (!(byte & 0x80)) return value;
+      shift += 7n;
+    }
+    throw new Error('Truncated protobuf varint');
+  };
+
+  while (pos < bytes.length) {
+    const key = readVarint();
+    const field = Number(key >> 3n);
+    const wireType = Number(key & 7n);
+    let value;
+
+    if (wireType === 0) {
+      value = readVarint();
+    } else if (wireType === 2) {
+      const length = Number(readVarint());
+      if (pos + length > bytes.length) throw new Error('Truncated protobuf field');
+      value = bytes.subarray(pos, pos + length);
+      pos += length;
+    } else if (wireType === 1 || wireType === 5) {
+      pos += wireType === 1 ? 8 : 4;
+      continue;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+
+    (fields[field] = fields[field] || []).push(value);
+  }
+
+  return fields;
+};
+
+const hexOf = (bytes) => (bytes ? hexlify(bytes).slice(2) : '');
+
+/**
+ * TRON Crypto Service
+ * Sends USDT (TRC20) directly from our own hot wallet through a TRON node's
+ * HTTP API (TronGrid, a full node, or a local stand-in).
+ *
+ * TRON has no nonces: the node builds the transaction with a reference block
+ * and a short expiration, which we sign locally and broadcast. Fees are paid
+ * in energy, burning TRX (up to the configured fee limit) when staked energy
+ * doesn't cover the transfer.
+ */
+class TronCryptoService {
+  constructor() {
+    this.client = null;
+    this.signingKey = null;
+    this.address = null;
+    this.initialize();
+  }
+
+  /**
+   * Initialize the node client and hot wallet key
+   */
+  initialize() {
+    const tron = config.onchain.TRC20;
+
+    if (!tron.privateKey) {
+      return;
+    }
+
+    try {
+      const privateKey = tron.privateKey.startsWith('0x') ? tron.privateKey : `0x${tron.privateKey}`;
+      this.signingKey = new SigningKey(privateKey);
+      this.address = toTronAddress(computeAddress(this.signingKey));
+
+      this.client = axios.create({
+        baseURL: tron.apiUrl,
+        timeout: 15000,
+        headers: tron.apiKey ? { 'TRON-PRO-API-KEY': tron.apiKey } : {}
+      });
+
+      console.log('✅ TRC20 hot wallet initialized:', this.address);
+    } catch (error) {
+      console.error('❌ Failed to initialize TRC20 hot wallet:', error.message);
+      this.client = null;
+    }
+  }
+
+  /**
+   * Check if the TRON hot wallet is configured
+   */
+  isReady() {
+    return this.client !== null;
+  }
+
+  async post(path, body) {
+    if (!this.isReady()) {
+      throw new Error('TRC20 hot wallet not configured');
+    }
+
+    const response = await this.client.post(path, { visible: true, ...body });
+    return response.data;
+  }
+
+  /**
+   * Call a read-only TRC20 method (also used to dry-run transfers for an energy estimate)
+   */
+  async callContract(functionSelector, types, values) {
+    const result = await this.post('/wallet/triggerconstantcontract', {
+      owner_address: this.address,
+      contract_address: config.onchain.TRC20.tokenAddress,
+      function_selector: functionSelector,
+      parameter: AbiCoder.defaultAbiCoder().encode(types, values).slice(2)
+    });
+
+    if (!result.result?.result) {
+      throw new Error(`TRC20 call failed: ${decodeTronMessage(result.result?.message)}`);
+    }
+
+    return result;
+  }
+
+  async getTokenBalance() {
+    const result = await this.callContract('balanceOf(address)', ['address'], [tronAddressToHex(this.address)]);
+    return BigInt(`0x${result.constant_result[0]}`);
+  }
+
+  /**
+   * Hot wallet USDT balance (and TRX for fees)
+   */
+  async getUSDTBalance() {
+    const [tokenBalance, account] = await Promise.all([
+      this.getTokenBalance(),
+      this.post('/wallet/getaccount', { address: this.address })
+    ]);
+
+    const free = parseFloat(formatUnits(tokenBalance, config.onchain.TRC20.decimals));
+
+    return {
+      free,
+      locked: 0,
+      total: free,
+      native: (account.balance || 0) / SUN_PER_TRX
+    };
+  }
+
+  /**
+   * Work out the TRX a transfer will burn and make sure we can pay it
+   */
+  async checkFees(parameterTypes, parameterValues) {
+    const feeLimitSun = Math.round(config.onchain.TRC20.feeLimitTrx * SUN_PER_TRX);
+
+    const [dryRun, resources, account, chainParameters] = await Promise.all([
+      this.callContract('transfer(address,uint256)', parameterTypes, parameterValues),
+      this.post('/wallet/getaccountresource', { address: this.address }),
+      this.post('/wallet/getaccount', { address: this.address }),
+      this.post('/wallet/getchainparameters', {})
+    ]);
+
+    const energyNeeded = dryRun.energy_used || 0;
+    const energyAvailable = Math.max((resources.EnergyLimit || 0) - (resources.EnergyUsed || 0), 0);
+    const energyFee = chainParameters.chainParameter?.find(p => p.key === 'getEnergyFee')?.value || 0;
+
+    const burnSun = Math.max(energyNeeded - energyAvailable, 0) * energyFee;
+
+    if (burnSun > feeLimitSun) {
+      throw new Error(
+        `TRC20 energy cost ${burnSun / SUN_PER_TRX} TRX is above the ${config.onchain.TRC20.feeLimitTrx} TRX fee limit`
+      );
+    }
+
+    const trxBalance = account.balance || 0;
+    if (trxBalance < burnSun + BANDWIDTH_RESERVE_SUN) {
+      throw new Error(
+        `Insufficient TRX for fees. Required: ${(burnSun + BANDWIDTH_RESERVE_SUN) / SUN_PER_TRX} TRX, ` +
+        `Available: ${trxBalance / SUN_PER_TRX} TRX`
+      );
+    }
+
+    return feeLimitSun;
+  }
+
+  /**
+   * Make sure a transaction built by the node is exactly the transfer we asked
+   * for before signing it: the txID must be the hash of raw_data_hex (what the
+   * signature covers), and both raw_data_hex and the raw_data JSON (what gets
+   * broadcast) must be a single transfer(to, value) call from our wallet to the
+   * USDT contract with our fee limit and no TRX attached.
+   */
+  verifyBuiltTransfer(transaction, values, feeLimit) {
+    const tokenAddress = config.onchain.TRC20.tokenAddress;
+    const data = `${id('transfer(address,uint256)').slice(2, 10)}${AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], values).slice(2)}`;
+    const ownerHex = `41${tronAddressToHex(this.address).slice(2)}`;
+    const tokenHex = `41${tronAddressToHex(tokenAddress).slice(2)}`;
+
+    const refuse = (reason) => {
+      console.error('❌ TRC20 node returned an unexpected transaction:', reason, transaction.txID);
+      throw new Error(`USDT transfer refused: node-built transaction ${reason}`);
+    };
+
+    const rawHex = transaction.raw_data_hex || '';
+    if (!/^([0-9a-f]{2})+$/i.test(rawHex) || sha256(`0x${rawHex}`).slice(2) !== transaction.txID?.toLowerCase()) {
+      refuse('txID is not the hash of raw_data_hex');
+    }
+
+    let signed;
+    try {
+      const raw = decodeProtobuf(Buffer.from(rawHex, 'hex'));
+      const contract = raw[11]?.length === 1 ? decodeProtobuf(raw[11][0]) : null;
+      const parameter = contract?.[2] ? decodeProtobuf(contract[2][0]) : null;
+      const call = parameter?.[2] ? decodeProtobuf(parameter[2][0]) : null;
+
+      signed = {
+        single: Boolean(call),
+        type: contract?.[1]?.[0],
+        owner: hexOf(call?.[1]?.[0]),
+        contract: hexOf(call?.[2]?.[0]),
+        callValue: call?.[3]?.[0] || 0n,
+        data: hexOf(call?.[4]?.[0]),
+        feeLimit: raw[18]?.[0]
+      };
+    } catch (error) {
+      refuse(`raw_data_hex can't be decoded (${error.message})`);
+    }
+
+    if (!signed.single || signed.type !== TRIGGER_SMART_CONTRACT) {
+      refuse('raw_data_hex is not a single contract call');
+    }
+    if (signed.owner !== ownerHex || signed.contract !== tokenHex) {
+      refuse('raw_data_hex has the wrong owner or contract address');
+    }
+    if (signed.data !== data || signed.callValue !== 0n || signed.feeLimit !== BigInt(feeLimit)) {
+      refuse('raw_data_hex has the wrong call data, call value or fee limit');
+    }
+
+    const contracts = transaction.raw_data?.contract;
+    const value = contracts?.[0]?.parameter?.value;
+
+    if (
+      contracts?.length !== 1 ||
+      contracts[0].type !== 'TriggerSmartContract' ||
+      value?.owner_address !== this.address ||
+      value?.contract_address !== tokenAddress ||
+      value?.data?.toLowerCase() !== data ||
+      (value?.call_value || 0) !== 0 ||
+      transaction.raw_data.fee_limit !== feeLimit
+    ) {
+      refuse('raw_data does not match the requested transfer');
+    }
+  }
+
+  /**
+   * Send USDT from the hot wallet
+   * @param {string} address - Recipient TRON address
+   * @param {number} amount - Amount of USDT to send
+   * @param {string} network - Always TRC20
+   * @param {string} payoutReference - Our payout reference (for logs)
+   * @param {Function} onSigned - Called with { hash, raw } before broadcast; should persist it
+   * @returns {Object} Transfer result with the transaction hash
+   */
+  async sendUSDT(address, amount, network = 'TRC20', payoutReference = null, onSigned = null) {
+    const { decimals } = config.onchain.TRC20;
+    const value = parseUnits(Number(amount).toFixed(Math.min(decimals, 6)), decimals);
+
+    const tokenBalance = await this.getTokenBalance();
+    if (tokenBalance < value) {
+      throw new Error(
+        `Insufficient USDT balance. Required: ${amount} USDT, Available: ${formatUnits(tokenBalance, decimals)} USDT`
+      );
+    }
+
+    const types = ['address', 'uint256'];
+    const values = [tronAddressToHex(address), value];
+    const feeLimit = await this.checkFees(types, values);
+
+    const built = await this.post('/wallet/triggersmartcontract', {
+      owner_address: this.address,
+      contract_address: config.onchain.TRC20.tokenAddress,
+      function_selector: 'transfer(address,uint256)',
+      parameter: AbiCoder.defaultAbiCoder().encode(types, values).slice(2),
+      fee_limit: feeLimit,
+      call_value: 0
+    });
+
+    if (!built.result?.result || !built.transaction) {
+      throw new Error(`USDT transfer failed: ${decodeTronMessage(built.result?.message)}`);
+    }
+
+    // The txID is the sha256 of the raw transaction; TRON signatures are r || s || v over it
+    const transaction = built.transaction;
+    this.verifyBuiltTransfer(transaction, values, feeLimit);
+    transaction.signature = [this.signingKey.sign(`0x${transaction.txID}`).serialized.slice(2)];
+
+    if (onSigned) {
+      await onSigned({ hash: transaction.txID, raw: JSON.stringify(transaction) });
+    }
+
+    console.log('💸 Broadcasting TRC20 USDT transfer', { payoutReference, hash: transaction.txID });
+
+    const broadcast = await this.post('/wallet/broadcasttransaction', transaction);
+
+    if (!broadcast.result) {
+      console.error('❌ TRC20 broadcast failed:', broadcast.code, decodeTronMessage(broadcast.message));
+      throw new Error(`USDT transfer failed: ${broadcast.code} ${decodeTronMessage(broadcast.message)}`);
+    }
+
+    return {
+      success: true,
+      withdrawalId: transaction.txID,
+      transactionHash: transaction.txID,
+      amount: amount,
+      address: address,
+      network: network,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Settle a transfer signed by an earlier attempt: rebroadcast it if the node
+   * doesn't know it. Signed TRON transactions expire after about a minute, so
+   * one the node still doesn't know well past its expiration can never land
+   * and is safe to replace.
+   * @param {Object} signedPayout - { hash, raw } as handed to onSigned
+   * @param {Object} options - rebroadcast: false to only look (e.g. before a refund)
+   * @returns {Object|null} The transfer, or null if it can never be included (safe to send again)
+   */
+  async resumeTransfer(signedPayout, network = 'TRC20', { rebroadcast = true } = {}) {
+    const result = {
+      success: true,
+      withdrawalId: signedPayout.hash,
+      transactionHash: signedPayout.hash,
+      network: network,
+      timestamp: new Date()
+    };
+
+    const isKnown = async () => {
+      const [known, info] = await Promise.all([
+        this.post('/wallet/gettransactionbyid', { value: signedPayout.hash }),
+        this.post('/wallet/gettransactioninfobyid', { value: signedPayout.hash })
+      ]);
+      return Boolean(known.txID || info.id);
+    };
+
+    if (await isKnown()) {
+      return result;
+    }
+
+    const transaction = JSON.parse(signedPayout.raw);
+    const expiredAt = transaction.raw_data.expiration + EXPIRATION_MARGIN_MS;
+
+    if (Date.now() > expiredAt) {
+      return null;
+    }
+
+    if (!rebroadcast) {
+      throw new Error(`${signedPayout.hash} is not on chain yet but has not expired; it could still be included`);
+    }
+
+    const broadcast = await this.post('/wallet/broadcasttransaction', transaction);
+
+    if (!broadcast.result && broadcast.code !== 'DUP_TRANSACTION_ERROR') {
+      throw new Error(`Failed to rebroadcast ${signedPayout.hash}: ${broadcast.code} ${decodeTronMessage(broadcast.message)}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify transfer status, using the same statuses as Binance withdrawals.
+   * A transfer is completed once it's in a solidified (irreversible) block.
+   * @param {string} hash - Transaction ID
+   */
+  async verifyWithdrawal(hash) {
+    const solidified = await this.post('/walletsolidity/gettransactioninfobyid', { value: hash });
+
+    if (solidified.id) {
+      return {
+        status: solidified.receipt?.result === TRON_SUCCESS ? 'completed' : 'failed',
+        transactionHash: hash
+      };
+    }
+
+    const info = await this.post('/wallet/gettransactioninfobyid', { value: hash });
+    if (info.id) {
+      return {
+        status: info.receipt?.result && info.receipt.result !== TRON_SUCCESS ? 'failed' : 'processing',
+        transactionHash: hash
+      };
+    }
+
+    const pending = await this.post('/wallet/gettransactionbyid', { value: hash });
+    return pending.txID
+      ? { status: 'processing', transactionHash: hash }
+      : { status: 'not_found' };
+  }
+}
+
+// Export singleton instance
+const tronCryptoService = new TronCryptoService();
+export default tronCryptoService;
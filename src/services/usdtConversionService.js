@@ -1,7 +1,9 @@
 import axios from 'axios';
 import ExchangeRate from '../models/ExchangeRate.js';
 import logger from '../utils/logger.js';
+import { validateWalletAddress } from '../utils/walletAddress.js';
 import binanceCryptoService from './binanceCryptoService.js';
+import { getPayoutBackend, getPayoutBackendName } from './payoutBackends.js';
 
 class USDTConversionService {
   // Fixed rate tiers - YOUR BUSINESS MODEL
@@ -145,64 +147,74 @@ class USDTConversionService {
   }
 
   /**
-   * Execute REAL USDT transfer via Binance
+   * Execute REAL USDT transfer through the network's payout backend
+   * (Binance withdrawal or our own on-chain hot wallet, see config.payoutBackends)
    * @param {string} transactionId - Internal transaction ID
    * @param {string} walletAddress - User's USDT wallet address
    * @param {number} usdtAmount - Amount of USDT to send
    * @param {string} network - Network to use (TRC20, ERC20, BEP20)
+   * @param {string} payoutReference - Unique reference for this payout, sent to Binance as withdrawOrderId
+   * @param {Function} onSigned - On-chain only: called with the signed transaction before broadcast
    */
-  static async executeUSDTTransfer(transactionId, walletAddress, usdtAmount, network = 'TRC20') {
+  static async executeUSDTTransfer(transactionId, walletAddress, usdtAmount, network = 'TRC20', payoutReference = null, onSigned = null) {
+    const backendName = getPayoutBackendName(network);
+    const backend = getPayoutBackend(backendName, network);
+
     logger.info('🚀 Initiating REAL USDT transfer', {
       transactionId,
       walletAddress,
       usdtAmount,
-      network
+      network,
+      backend: backendName
     });
 
     try {
-      // Check if Binance is configured
-      if (!binanceCryptoService.isReady()) {
-        logger.warn('⚠️  Binance not configured - falling back to simulation');
+      // Check if the backend is configured
+      if (!backend.isReady(network)) {
+        logger.warn(`⚠️  ${backendName} payouts not configured for ${network} - falling back to simulation`);
         return await this.simulateUSDTTransfer(transactionId, walletAddress, usdtAmount, network);
       }
 
       // Validate wallet address format
-      const validation = binanceCryptoService.validateWalletAddress(walletAddress, network);
+      const validation = validateWalletAddress(walletAddress, network);
       if (!validation.valid) {
         throw new Error(validation.error);
       }
 
-      // Check Binance balance before transfer
-      const balance = await binanceCryptoService.getUSDTBalance();
-      logger.info('💰 Current Binance USDT balance:', balance);
+      // Check balance before transfer
+      const balance = await backend.getUSDTBalance(network);
+      logger.info(`💰 Current ${backendName} USDT balance:`, balance);
 
       if (balance.free < usdtAmount) {
-        logger.error('❌ Insufficient USDT balance in Binance account', {
+        logger.error('❌ Insufficient USDT balance for payout', {
+          backend: backendName,
           required: usdtAmount,
           available: balance.free
         });
         throw new Error(`Insufficient USDT balance. Required: ${usdtAmount} USDT, Available: ${balance.free} USDT`);
       }
 
-      // Execute the real transfer via Binance
-      const result = await binanceCryptoService.sendUSDT(walletAddress, usdtAmount, network);
+      // Execute the real transfer
+      const result = await backend.sendUSDT(walletAddress, usdtAmount, network, payoutReference, onSigned);
 
-      logger.info('✅ REAL USDT transfer completed', {
+      logger.info('✅ REAL USDT transfer submitted', {
         transactionId,
-        withdrawalId: result.transactionHash,
+        backend: backendName,
+        withdrawalId: result.withdrawalId,
+        txHash: result.transactionHash,
         amount: result.amount,
         network: result.network
       });
 
-      // Get explorer URL based on network
-      const explorerUrl = this.getExplorerUrl(result.transactionHash, network);
-
+      // Binance has no txId yet; the withdrawal tracker fills it in once Binance broadcasts it
       return {
         success: true,
-        transactionHash: result.transactionHash,
+        withdrawalId: result.withdrawalId,
+        transactionHash: result.transactionHash || null,
         network: result.network,
-        explorerUrl: explorerUrl,
+        explorerUrl: result.transactionHash ? this.getExplorerUrl(result.transactionHash, network) : null,
         timestamp: result.timestamp,
+        payoutBackend: backendName,
         isReal: true // Flag to indicate this is a real transfer
       };
 
@@ -212,6 +224,71 @@ class USDTConversionService {
     }
   }
 
+  /**
+   * Find a transfer already submitted for a payout, so a retried payout doesn't
+   * send the USDT twice. On-chain payouts rebroadcast the transaction signed by
+   * the earlier attempt; Binance withdrawals are looked up by payout reference.
+   * @param {Object} transaction - Transaction being paid out (with signedPayout.raw selected)
+   * @param {Object} options - Passed to resumeTransfer (rebroadcast: false to only look)
+   * @returns {Object|null} Same shape as executeUSDTTransfer, or null if nothing was sent
+   */
+  static async findExistingTransfer(transaction, options = {}) {
+    const network = transaction.blockchainNetwork || 'TRC20';
+
+    if (transaction.signedPayout?.hash) {
+      const transfer = await getPayoutBackend('onchain', network).resumeTransfer(transaction.signedPayout, network, options);
+
+      if (!transfer) {
+        logger.warn('Earlier signed payout can no longer be mined; sending a new one', {
+          payoutReference: transaction.payoutReference,
+          txHash: transaction.signedPayout.hash
+        });
+        return null;
+      }
+
+      logger.info('Resumed signed on-chain payout', {
+        payoutReference: transaction.payoutReference,
+        txHash: transfer.transactionHash
+      });
+
+      return {
+        ...transfer,
+        explorerUrl: this.getExplorerUrl(transfer.transactionHash, network),
+        payoutBackend: 'onchain',
+        isReal: true
+      };
+    }
+
+    const withdrawal = await binanceCryptoService.findWithdrawalByOrderId(transaction.payoutReference);
+
+    if (!withdrawal) {
+      return null;
+    }
+
+    if (['cancelled', 'rejected', 'failed'].includes(withdrawal.status)) {
+      const error = new Error(`Earlier withdrawal ${withdrawal.id} was ${withdrawal.status} by Binance`);
+      error.permanent = true;
+      throw error;
+    }
+
+    logger.info('Found existing USDT transfer for payout', {
+      payoutReference: transaction.payoutReference,
+      withdrawalId: withdrawal.id,
+      status: withdrawal.status
+    });
+
+    return {
+      success: true,
+      withdrawalId: withdrawal.id,
+      transactionHash: withdrawal.transactionHash || null,
+      network: network,
+      explorerUrl: withdrawal.transactionHash ? this.getExplorerUrl(withdrawal.transactionHash, network) : null,
+      timestamp: new Date(),
+      payoutBackend: 'binance',
+      isReal: true
+    };
+  }
+
   /**
    * Simulate USDT transfer (fallback when Binance is not configured)
    */
@@ -219,8 +296,9 @@ class USDTConversionService {
     logger.info('🔧 SIMULATION MODE: USDT transfer', { transactionId, walletAddress, usdtAmount, network });
 
     // Validate wallet address even in simulation
-    if (!this.validateWalletAddress(walletAddress, network)) {
-      throw new Error(`Invalid ${network} wallet address format`);
+    const validation = validateWalletAddress(walletAddress, network);
+    if (!validation.valid) {
+      throw new Error(validation.error);
     }
 
     // Simulate network delay (1-3 seconds)
@@ -271,26 +349,6 @@ class USDTConversionService {
     }
     return hash;
   }
-
-  /**
-   * Validate USDT wallet address (basic validation)
-   */
-  static validateWalletAddress(address, network = 'TRC20') {
-    if (!address || typeof address !== 'string') {
-      return false;
-    }
-
-    switch (network) {
-      case 'TRC20': // Tron
-        return /^T[A-Za-z1-9]{33}$/.test(address);
-      case 'ERC20': // Ethereum
-        return /^0x[a-fA-F0-9]{40}$/.test(address);
-      case 'BEP20': // Binance Smart Chain
-        return /^0x[a-fA-F0-9]{40}$/.test(address);
-      default:
-        return false;
-    }
-  }
 }
 
 export default USDTConversionService;
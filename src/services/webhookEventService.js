@@ -0,0 +1,90 @@
+import WebhookEvent from '../models/WebhookEvent.js';
+import logger from '../utils/logger.js';
+
+// A 'processing' event older than this is assumed to have crashed mid-way and can be claimed again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+class WebhookEventService {
+  /**
+   * Store a verified event, or return the stored copy if we've seen its id before
+   */
+  static async record(provider, event) {
+    return WebhookEvent.findOneAndUpdate(
+      { provider, eventId: event.id },
+      {
+        $setOnInsert: {
+          provider,
+          eventId: event.id,
+          type: event.type,
+          payload: event
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Atomically take an event for processing.
+   * Only new or failed events (or ones stuck in processing) can be claimed,
+   * so a retried delivery never runs a processed event twice.
+   */
+  static async claim(webhookEvent) {
+    return WebhookEvent.findOneAndUpdate(
+      {
+        _id: webhookEvent._id,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      {
+        status: 'processing',
+        processingStartedAt: new Date(),
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Claim an event and run its handler, recording the outcome
+   * @param {Object} webhookEvent - Stored WebhookEvent
+   * @param {Function} handler - async (payload) => boolean, false when the event type isn't handled
+   * @returns {Object} { event, skipped } - skipped is true when the event was already handled or in progress
+   */
+  static async process(webhookEvent, handler) {
+    const claimed = await this.claim(webhookEvent);
+
+    if (!claimed) {
+      logger.info('Skipping webhook event already handled', {
+        eventId: webhookEvent.eventId,
+        status: webhookEvent.status
+      });
+      return { event: webhookEvent, skipped: true };
+    }
+
+    try {
+      const handled = await handler(claimed.payload);
+
+      claimed.status = handled === false ? 'ignored' : 'processed';
+      claimed.lastError = null;
+      claimed.processedAt = new Date();
+      await claimed.save();
+    } catch (error) {
+      logger.error('Webhook event failed', {
+        eventId: claimed.eventId,
+        type: claimed.type,
+        attempts: claimed.attempts,
+        error: error.message
+      });
+
+      claimed.status = 'failed';
+      claimed.lastError = error.message;
+      await claimed.save();
+    }
+
+    return { event: claimed, skipped: false };
+  }
+}
+
+export default WebhookEventService;
@@ -0,0 +1,224 @@
+import Transaction from '../models/Transaction.js';
+import { getPayoutBackend, hasRealPayoutBackend } from './payoutBackends.js';
+import USDTConversionService from './usdtConversionService.js';
+import PayoutService from './payoutService.js';
+import PayoutQueueService from './payoutQueueService.js';
+import emailService from './emailService.js';
+import config from '../config/environment.js';
+import logger from '../utils/logger.js';
+
+// Statuses where the USDT will never arrive (Binance rejections, reverted on-chain transfers)
+const FAILED_WITHDRAWAL_STATUSES = ['cancelled', 'rejected', 'failed'];
+
+/**
+ * Follows sent payouts through their payout backend: records the on-chain
+ * txId once there is one, completes the transaction when the transfer is
+ * confirmed, and flags rejected/failed transfers. On-chain transfers that
+ * were dropped are failed and queued to be sent again.
+ */
+class WithdrawalTrackerService {
+  static timer = null;
+  static polling = false;
+
+  /**
+   * Check one transaction's withdrawal and apply the result
+   */
+  static async checkTransaction(transaction) {
+    const network = transaction.blockchainNetwork;
+    const backend = getPayoutBackend(transaction.payoutBackend || 'binance', network);
+
+    // Keep an unmined on-chain transfer moving (rebroadcast, or replace it with higher fees)
+    if (transaction.payoutBackend === 'onchain' && transaction.signedPayout?.hash) {
+      const transfer = await backend.resumeTransfer(transaction.signedPayout, network, {
+        onSigned: async (signed) => {
+          transaction.signedPayout = { ...signed, signedAt: new Date() };
+          transaction.withdrawalId = signed.hash;
+          await transaction.save();
+        }
+      });
+
+      if (!transfer) {
+        return WithdrawalTrackerService.retryDroppedTransfer(transaction);
+      }
+
+      transaction.withdrawalId = transfer.transactionHash;
+    }
+
+    const withdrawal = await backend.verifyWithdrawal(transaction.withdrawalId, network);
+
+    transaction.withdrawalCheckedAt = new Date();
+
+    if (withdrawal.status === 'not_found') {
+      logger.warn('Withdrawal not found', {
+        transactionId: transaction._id,
+        withdrawalId: transaction.withdrawalId
+      });
+      await transaction.save();
+      return transaction;
+    }
+
+    const previousStatus = transaction.withdrawalStatus;
+    transaction.withdrawalStatus = withdrawal.status;
+
+    // Swap in the real on-chain hash as soon as Binance has broadcast the withdrawal
+    if (withdrawal.transactionHash && withdrawal.transactionHash !== transaction.transactionHash) {
+      transaction.transactionHash = withdrawal.transactionHash;
+      if (!transaction.metadata) transaction.metadata = {};
+      transaction.metadata.explorerUrl = USDTConversionService.getExplorerUrl(
+        withdrawal.transactionHash,
+        transaction.blockchainNetwork
+      );
+      transaction.markModified('metadata');
+    }
+
+    if (FAILED_WITHDRAWAL_STATUSES.includes(withdrawal.status)) {
+      return WithdrawalTrackerService.failTransaction(transaction, withdrawal.status);
+    }
+
+    if (withdrawal.status === 'completed') {
+      return PayoutService.completeTransaction(transaction);
+    }
+
+    await transaction.save();
+
+    if (previousStatus !== withdrawal.status) {
+      logger.info('Withdrawal status changed', {
+        transactionId: transaction._id,
+        withdrawalId: transaction.withdrawalId,
+        from: previousStatus,
+        to: withdrawal.status
+      });
+
+      global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+        transactionId: transaction._id,
+        status: transaction.status,
+        withdrawalStatus: withdrawal.status,
+        transactionHash: transaction.transactionHash
+      });
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Mark a transaction whose transfer was rejected or failed, and alert ops
+   */
+  static async failTransaction(transaction, withdrawalStatus) {
+    transaction.status = 'payout_failed';
+    transaction.errorMessage = transaction.payoutBackend === 'onchain'
+      ? `On-chain transfer ${withdrawalStatus}`
+      : `Binance withdrawal ${withdrawalStatus}`;
+    await transaction.save();
+
+    logger.error('USDT withdrawal did not complete', {
+      transactionId: transaction._id,
+      withdrawalId: transaction.withdrawalId,
+      withdrawalStatus
+    });
+
+    global.io?.to(transaction.userId.toString()).emit('transaction_update', {
+      transactionId: transaction._id,
+      status: 'payout_failed',
+      error: transaction.errorMessage
+    });
+
+    emailService.sendOpsAlert(`USDT withdrawal ${withdrawalStatus}`, {
+      Transaction: transaction._id,
+      'Withdrawal ID': transaction.withdrawalId,
+      'Payout backend': transaction.payoutBackend,
+      'Payout reference': transaction.payoutReference,
+      Amount: `${transaction.usdtAmount} USDT`,
+      Network: transaction.blockchainNetwork,
+      Wallet: transaction.walletAddress
+    }).catch(error => {
+      logger.error('Failed to send withdrawal alert', { transactionId: transaction._id, error: error.message });
+    });
+
+    return transaction;
+  }
+
+  /**
+   * An on-chain transfer that can never be mined: fail it, alert ops and queue
+   * the payout again, which sends a new transfer
+   */
+  static async retryDroppedTransfer(transaction) {
+    await WithdrawalTrackerService.failTransaction(transaction, 'dropped');
+    await PayoutQueueService.requeue(transaction._id);
+
+    logger.warn('Dropped on-chain transfer requeued', {
+      transactionId: transaction._id,
+      txHash: transaction.signedPayout.hash
+    });
+
+    return transaction;
+  }
+
+  /**
+   * Check the withdrawals that have gone longest without a check
+   */
+  static async poll() {
+    if (WithdrawalTrackerService.polling) {
+      return;
+    }
+    WithdrawalTrackerService.polling = true;
+
+    try {
+      const transactions = await Transaction.find({
+        status: 'usdt_sent',
+        withdrawalId: { $ne: null }
+      })
+        .select('+signedPayout.raw')
+        .sort({ withdrawalCheckedAt: 1 })
+        .limit(config.withdrawalTracker.batchSize);
+
+      for (const transaction of transactions) {
+        try {
+          await WithdrawalTrackerService.checkTransaction(transaction);
+        } catch (error) {
+          logger.error('Withdrawal check failed', {
+            transactionId: transaction._id,
+            withdrawalId: transaction.withdrawalId,
+            error: error.message
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Withdrawal tracker poll failed', { error: error.message });
+    } finally {
+      WithdrawalTrackerService.polling = false;
+    }
+  }
+
+  /**
+   * Start polling payout backends for transfer updates
+   */
+  static start() {
+    if (!config.withdrawalTracker.enabled) {
+      logger.info('Withdrawal tracker disabled on this instance');
+      return;
+    }
+
+    if (!hasRealPayoutBackend()) {
+      logger.info('No payout backend configured - withdrawal tracker not started');
+      return;
+    }
+
+    WithdrawalTrackerService.timer = setInterval(
+      () => WithdrawalTrackerService.poll(),
+      config.withdrawalTracker.pollIntervalMs
+    );
+    WithdrawalTrackerService.poll();
+
+    logger.info('Withdrawal tracker started', { pollIntervalMs: config.withdrawalTracker.pollIntervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  static stop() {
+    clearInterval(WithdrawalTrackerService.timer);
+    WithdrawalTrackerService.timer = null;
+  }
+}
+
+export default WithdrawalTrackerService;
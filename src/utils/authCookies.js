@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import config from '../config/environment.js';
+
+/**
+ * Cookie-based session mode
+ *
+ * Browser clients can opt in by sending `sessionMode: 'cookie'` when logging in.
+ * The access and refresh tokens are then set as httpOnly cookies instead of being
+ * returned in the body, and a readable CSRF cookie is set for double-submit checks
+ * (see csrf.middleware.js). Bearer-header clients are unaffected.
+ */
+
+export const ACCESS_COOKIE = 'token';
+export const REFRESH_COOKIE = 'refreshToken';
+export const CSRF_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const baseCookieOptions = () => ({
+  secure: config.cookies.secure,
+  sameSite: config.cookies.sameSite,
+  domain: config.cookies.domain || undefined,
+  maxAge: config.jwt.refreshExpiresInDays * 24 * 60 * 60 * 1000
+});
+
+/**
+ * Whether the client asked for cookie-based sessions
+ */
+export const wantsCookieSession = (req) => req.body?.sessionMode === 'cookie';
+
+/**
+ * Return tokens for the response body, setting cookies instead when in cookie mode
+ * @param {boolean} useCookies - Defaults to the mode requested in the body
+ */
+export const issueSessionTokens = (req, res, tokens, useCookies = wantsCookieSession(req)) => {
+  if (!useCookies) {
+    return tokens;
+  }
+
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  const options = baseCookieOptions();
+
+  res.cookie(ACCESS_COOKIE, tokens.token, { ...options, httpOnly: true, path: '/' });
+  res.cookie(REFRESH_COOKIE, tokens.refreshToken, { ...options, httpOnly: true, path: '/api/auth' });
+  res.cookie(CSRF_COOKIE, csrfToken, { ...options, httpOnly: false, path: '/' });
+
+  return {
+    sessionMode: 'cookie',
+    csrfToken: csrfToken,
+    expiresIn: tokens.expiresIn
+  };
+};
+
+/**
+ * Remove every session cookie
+ */
+export const clearAuthCookies = (res) => {
+  const { secure, sameSite, domain } = baseCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { secure, sameSite, domain, httpOnly: true, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { secure, sameSite, domain, httpOnly: true, path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { secure, sameSite, domain, path: '/' });
+};
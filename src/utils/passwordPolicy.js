@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/environment.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BREACHED_LIST_PATH = path.join(__dirname, '../data/breached-passwords.txt');
+
+let breachedPasswords = null;
+
+/**
+ * Load the bundled breached-password list once
+ */
+const loadBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    breachedPasswords = new Set(
+      fs.readFileSync(BREACHED_LIST_PATH, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords;
+};
+
+/**
+ * Undo common character substitutions (p@ssw0rd → password)
+ */
+const normalize = (value) => value
+  .toLowerCase()
+  .replace(/@/g, 'a')
+  .replace(/\$/g, 's')
+  .replace(/0/g, 'o')
+  .replace(/1/g, 'i')
+  .replace(/3/g, 'e')
+  .replace(/4/g, 'a')
+  .replace(/5/g, 's')
+  .replace(/7/g, 't')
+  .replace(/[^a-z]/g, '');
+
+/**
+ * Check a password against the bundled breached-password list
+ */
+export const isBreachedPassword = (password) => {
+  const list = loadBreachedPasswords();
+  const lower = password.toLowerCase();
+  // Also catch a listed password with digits/symbols tacked on (Qwerty123!)
+  const base = lower.replace(/[^a-z]+$/, '');
+
+  return [lower, base, normalize(lower), normalize(base)]
+    .some(candidate => candidate && list.has(candidate));
+};
+
+/**
+ * Check a password against the configured policy
+ * @param {string} password
+ * @param {Object} identity - { email, fullName } of the account owner, when known
+ * @returns {string[]} Messages for every rule the password breaks (empty when valid)
+ */
+export const checkPassword = (password, { email, fullName } = {}) => {
+  const policy = config.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const normalizedPassword = normalize(password);
+    const personalParts = [
+      ...(email ? email.toLowerCase().split('@')[0].split(/[^a-z0-9]+/) : []),
+      ...(fullName ? fullName.toLowerCase().split(/\s+/) : [])
+    ]
+      .map(part => part.replace(/[^a-z]/g, ''))
+      .filter(part => part.length >= 3);
+
+    if (personalParts.some(part => normalizedPassword.includes(part))) {
+      errors.push('Password must not contain your name or email');
+    }
+  }
+
+  if (policy.checkBreached && isBreachedPassword(password)) {
+    errors.push('This password has appeared in a data breach. Please choose a different one');
+  }
+
+  return errors;
+};
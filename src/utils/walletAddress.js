@@ -0,0 +1,144 @@
+import { getAddress, decodeBase58, encodeBase58, sha256, toBeHex, ZeroAddress } from 'ethers';
+
+export const NETWORKS = ['TRC20', 'ERC20', 'BEP20'];
+
+// Names clients and providers (e.g. Transak) use for our networks
+const NETWORK_ALIASES = {
+  trc20: 'TRC20',
+  tron: 'TRC20',
+  trx: 'TRC20',
+  erc20: 'ERC20',
+  ethereum: 'ERC20',
+  eth: 'ERC20',
+  bep20: 'BEP20',
+  bsc: 'BEP20',
+  bnb: 'BEP20'
+};
+
+// TRON addresses are base58check over 0x41 + the 20-byte account hash
+const TRON_ADDRESS_PREFIX = '41';
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]+$/;
+const EVM_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Canonical network name (TRC20, ERC20, BEP20) for a network or alias
+ * @returns {string|null} null if the network isn't supported
+ */
+export const normalizeNetwork = (network) => {
+  if (typeof network !== 'string') {
+    return null;
+  }
+  const key = network.trim().toLowerCase();
+  return Object.hasOwn(NETWORK_ALIASES, key) ? NETWORK_ALIASES[key] : null;
+};
+
+/**
+ * Double-SHA256 checksum (first 4 bytes) of a hex payload
+ */
+const base58Checksum = (payload) => sha256(sha256(payload)).slice(2, 10);
+
+/**
+ * Convert a 20-byte hex address to a TRON base58check address (T...)
+ */
+export const toTronAddress = (hexAddress) => {
+  const payload = `0x${TRON_ADDRESS_PREFIX}${hexAddress.slice(2).toLowerCase()}`;
+  return encodeBase58(payload + base58Checksum(payload));
+};
+
+/**
+ * Check a TRON address's base58check encoding and checksum
+ * @returns {string|null} Reason it's invalid, or null
+ */
+const tronAddressError = (address) => {
+  if (!address.startsWith('T') || address.length !== 34) {
+    return 'must start with T and be 34 characters long';
+  }
+
+  if (!BASE58_PATTERN.test(address)) {
+    return 'contains characters that are not used in TRON addresses (0, O, I and l)';
+  }
+
+  let bytes;
+  try {
+    bytes = toBeHex(decodeBase58(address), 25);
+  } catch (error) {
+    return 'checksum does not match. Check the address for typos';
+  }
+
+  const payload = bytes.slice(0, 44);
+  if (payload.slice(2, 4) !== TRON_ADDRESS_PREFIX) {
+    return 'is not a TRON account address';
+  }
+
+  if (base58Checksum(payload) !== bytes.slice(44)) {
+    return 'checksum does not match. Check the address for typos';
+  }
+
+  return null;
+};
+
+/**
+ * Check an EVM address's format and, when it's mixed-case, its EIP-55 checksum.
+ * All-lowercase or all-uppercase addresses carry no checksum and are accepted.
+ * @returns {Object} { error } or { address } in checksummed form
+ */
+const checkEvmAddress = (address) => {
+  if (!EVM_ADDRESS_PATTERN.test(address)) {
+    return { error: 'must be 0x followed by 40 hexadecimal characters' };
+  }
+
+  let checksummed;
+  try {
+    checksummed = getAddress(address);
+  } catch (error) {
+    return { error: 'EIP-55 checksum does not match. Check the address for typos' };
+  }
+
+  if (checksummed === ZeroAddress) {
+    return { error: 'is the zero address; funds sent there are lost' };
+  }
+
+  return { address: checksummed };
+};
+
+/**
+ * Validate a USDT wallet address for a network (aliases accepted)
+ * @returns {Object} { valid: true, address, network } with the address normalized
+ *   (trimmed; EVM addresses EIP-55 checksummed), or { valid: false, error }
+ */
+export const validateWalletAddress = (address, network = 'TRC20') => {
+  const canonicalNetwork = normalizeNetwork(network);
+  if (!canonicalNetwork) {
+    return { valid: false, error: `Unsupported network '${network}'. Use ${NETWORKS.join(', ')}.` };
+  }
+
+  if (!address || typeof address !== 'string' || !address.trim()) {
+    return { valid: false, error: 'Wallet address is required' };
+  }
+
+  const trimmed = address.trim();
+
+  if (canonicalNetwork === 'TRC20') {
+    const error = tronAddressError(trimmed);
+    return error
+      ? { valid: false, error: `Invalid TRC20 address: ${error}` }
+      : { valid: true, address: trimmed, network: canonicalNetwork };
+  }
+
+  const evm = checkEvmAddress(trimmed);
+  return evm.error
+    ? { valid: false, error: `Invalid ${canonicalNetwork} address: ${evm.error}` }
+    : { valid: true, address: evm.address, network: canonicalNetwork };
+};
+
+/**
+ * Convert a TRON base58check address (T...) to its 20-byte hex form (0x...)
+ */
+export const tronAddressToHex = (address) => {
+  const error = tronAddressError(address);
+  if (error) {
+    throw new Error(`Invalid TRC20 address: ${error}`);
+  }
+
+  return `0x${toBeHex(decodeBase58(address), 25).slice(4, 44)}`;
+};
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { verifyMessage, recoverAddress, keccak256, toUtf8Bytes, concat } from 'ethers';
+import { toTronAddress } from './walletAddress.js';
+
+const TRON_MESSAGE_PREFIX = '\x19TRON Signed Message:\n';
+
+/**
+ * Build the message a user signs to prove they control an address
+ */
+export const buildOwnershipMessage = ({ address, network }, nonce, issuedAt) => [
+  'USDT Payment wallet ownership verification',
+  '',
+  `Address: ${address}`,
+  `Network: ${network}`,
+  `Nonce: ${nonce}`,
+  `Issued: ${issuedAt.toISOString()}`
+].join('\n');
+
+/**
+ * Generate a random challenge nonce
+ */
+export const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Hash a message the way TronWeb's signMessageV2 does
+ */
+const hashTronMessage = (message) => {
+  const messageBytes = toUtf8Bytes(message);
+  return keccak256(concat([
+    toUtf8Bytes(TRON_MESSAGE_PREFIX + messageBytes.length),
+    messageBytes
+  ]));
+};
+
+/**
+ * Recover the address that signed a message.
+ * ERC20/BEP20 use EIP-191 personal_sign; TRC20 uses TRON message signing (signMessageV2).
+ * @returns {string|null} The signer address, or null if the signature is malformed
+ */
+export const recoverSigner = (network, message, signature) => {
+  try {
+    if (network === 'TRC20') {
+      return toTronAddress(recoverAddress(hashTronMessage(message), signature));
+    }
+    return verifyMessage(message, signature);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check that a signature over a message was made by the given address
+ */
+export const isValidOwnershipSignature = ({ address, network }, message, signature) => {
+  const signer = recoverSigner(network, message, signature);
+  if (!signer) {
+    return false;
+  }
+
+  // EVM addresses are case-insensitive (EIP-55 only adds a checksum); TRON base58 is not
+  return network === 'TRC20'
+    ? signer === address
+    : signer.toLowerCase() === address.toLowerCase();
+};
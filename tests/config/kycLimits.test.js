@@ -0,0 +1,25 @@
+import config, { parseKycLimits } from '../../src/config/environment.js';
+
+describe('KYC_LIMITS parsing', () => {
+  it('uses the defaults when unset', () => {
+    expect(parseKycLimits(undefined).basic).toEqual({ perTransaction: 2000, daily: 5000, weekly: 10000, monthly: 20000 });
+  });
+
+  it('merges each level over its defaults', () => {
+    const limits = parseKycLimits(JSON.stringify({ basic: { daily: 3000, monthly: 15000 } }));
+
+    expect(limits.basic).toEqual({ perTransaction: 2000, daily: 3000, weekly: 10000, monthly: 15000 });
+    expect(limits.full).toEqual(parseKycLimits(undefined).full);
+  });
+
+  it('fails fast on a value that is not a number', () => {
+    expect(() => parseKycLimits(JSON.stringify({ full: { weekly: '50000' } })))
+      .toThrow('KYC_LIMITS.full.weekly must be a number');
+  });
+
+  it('gives every level every window', () => {
+    Object.values(config.kyc.limits).forEach(limits => {
+      expect(Object.keys(limits).sort()).toEqual(['daily', 'monthly', 'perTransaction', 'weekly']);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import { requirePermission } from '../../src/middleware/auth.middleware.js';
+import adminRoutes from '../../src/routes/admin.routes.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getPermissions
+} from '../../src/config/permissions.js';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const userWithRole = (role) => new User({ email: `${role}@example.com`, fullName: 'Staff', password: 'unused', role });
+
+describe('role permissions', () => {
+  it('gives regular users no staff permissions', () => {
+    expect(getPermissions('user')).toEqual([]);
+    expect(getPermissions('no-such-role')).toEqual([]);
+  });
+
+  it('gives admins and superadmins every permission', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission('admin', permission)).toBe(true);
+      expect(hasPermission('superadmin', permission)).toBe(true);
+    });
+  });
+
+  it('keeps staff roles to their area', () => {
+    expect(hasPermission('support', PERMISSIONS.USERS_READ)).toBe(true);
+    expect(hasPermission('support', PERMISSIONS.USERS_MANAGE)).toBe(false);
+    expect(hasPermission('finance', PERMISSIONS.PAYOUTS_MANAGE)).toBe(true);
+    expect(hasPermission('finance', PERMISSIONS.KYC_REVIEW)).toBe(false);
+    expect(hasPermission('compliance', PERMISSIONS.KYC_REVIEW)).toBe(true);
+    expect(hasPermission('compliance', PERMISSIONS.ROLES_MANAGE)).toBe(false);
+  });
+
+  it('only grants known permissions', () => {
+    const known = Object.values(PERMISSIONS);
+    ROLES.forEach(role => {
+      ROLE_PERMISSIONS[role].forEach(permission => expect(known).toContain(permission));
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('lets roles with every listed permission through', () => {
+      const next = jest.fn();
+
+      requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.TRANSACTIONS_READ)({ user: userWithRole('support') }, buildRes(), next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('names the missing permission', () => {
+      const res = buildRes();
+      const next = jest.fn();
+
+      requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.PAYOUTS_MANAGE)({ user: userWithRole('support'), originalUrl: '/x' }, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe(`Missing permission: ${PERMISSIONS.PAYOUTS_MANAGE}`);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('answers 401 without a user', () => {
+      const res = buildRes();
+
+      requirePermission(PERMISSIONS.USERS_READ)({}, res, jest.fn());
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  it('refuses regular users on every admin route', () => {
+    const routes = adminRoutes.stack.filter(layer => layer.route);
+    expect(routes.length).toBeGreaterThan(0);
+
+    routes.forEach(layer => {
+      const res = buildRes();
+      const next = jest.fn();
+
+      layer.route.stack[0].handle({ user: userWithRole('user'), originalUrl: layer.route.path }, res, next);
+
+      expect({ path: layer.route.path, status: res.statusCode }).toEqual({ path: layer.route.path, status: 403 });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
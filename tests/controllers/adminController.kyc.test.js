@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import KycSubmission from '../../src/models/KycSubmission.js';
+import AuditService from '../../src/services/auditService.js';
+import AdminController from '../../src/controllers/adminController.js';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('AdminController KYC review', () => {
+  let applicant;
+  let reviewer;
+  let submission;
+  let res;
+  let next;
+
+  const run = (action, actor = reviewer) => AdminController[action](
+    { params: { id: submission._id.toString() }, body: { reason: 'Blurry document' }, user: actor },
+    res,
+    next
+  );
+
+  beforeEach(() => {
+    applicant = new User({ email: 'applicant@example.com', fullName: 'Some Applicant', password: 'unused' });
+    jest.spyOn(applicant, 'save').mockResolvedValue(applicant);
+    reviewer = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    submission = { _id: new mongoose.Types.ObjectId(), userId: applicant._id, requestedLevel: 'basic', status: 'pending' };
+    res = buildRes();
+    next = jest.fn();
+
+    jest.spyOn(KycSubmission, 'findById').mockResolvedValue(submission);
+    jest.spyOn(KycSubmission, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...submission, ...update.$set }));
+    jest.spyOn(User, 'findById').mockResolvedValue(applicant);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AuditService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('approving raises the user to the requested level', async () => {
+    await run('approveKyc');
+
+    expect(res.statusCode).toBe(200);
+    expect(applicant.kycLevel).toBe('basic');
+    expect(applicant.kycStatus).toBe('approved');
+    expect(KycSubmission.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: submission._id, status: 'pending' });
+    expect(AuditService.record).toHaveBeenCalledWith(expect.anything(), 'kyc.approve', expect.anything(),
+      expect.objectContaining({ from: 'none', to: 'basic' }));
+  });
+
+  it('rejecting keeps the current level', async () => {
+    await run('rejectKyc');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.submission).toMatchObject({ status: 'rejected', rejectionReason: 'Blurry document' });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: applicant._id }, { kycStatus: 'rejected' });
+    expect(applicant.save).not.toHaveBeenCalled();
+  });
+
+  it.each(['approveKyc', 'rejectKyc'])('%s refuses the reviewer\'s own submission', async (action) => {
+    await run(action, { _id: applicant._id, role: 'admin' });
+
+    expect(res.statusCode).toBe(403);
+    expect(KycSubmission.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it.each(['approveKyc', 'rejectKyc'])('%s refuses a submission that was already reviewed', async (action) => {
+    submission.status = 'approved';
+
+    await run(action);
+
+    expect(res.statusCode).toBe(400);
+    expect(KycSubmission.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it.each(['approveKyc', 'rejectKyc'])('%s loses cleanly to a concurrent reviewer', async (action) => {
+    KycSubmission.findOneAndUpdate.mockResolvedValue(null);
+
+    await run(action);
+
+    expect(res.statusCode).toBe(409);
+    expect(applicant.save).not.toHaveBeenCalled();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown submission', async () => {
+    KycSubmission.findById.mockResolvedValue(null);
+
+    await run('approveKyc');
+
+    expect(res.statusCode).toBe(404);
+  });
+});
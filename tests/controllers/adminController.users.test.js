@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import TokenService from '../../src/services/tokenService.js';
+import BruteForceService from '../../src/services/bruteForceService.js';
+import AuditService from '../../src/services/auditService.js';
+import PurchaseLimitService from '../../src/services/purchaseLimitService.js';
+import AdminController from '../../src/controllers/adminController.js';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const buildUser = (role, overrides = {}) => {
+  const user = new User({ email: `${role}@example.com`, fullName: `Some ${role}`, password: 'unused', role, ...overrides });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+const ACTIONS = ['verifyUserEmail', 'suspendUser', 'reactivateUser', 'forceLogout', 'unlockUser'];
+
+describe('AdminController user management', () => {
+  let res;
+  let next;
+
+  const run = (action, actor, target) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    const req = { params: { id: target._id.toString() }, body: { reason: 'fraud review' }, user: actor };
+    return AdminController[action](req, res, next);
+  };
+
+  beforeEach(() => {
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(TokenService, 'revokeAllSessions').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(BruteForceService, 'unlockAccount').mockResolvedValue(1);
+    jest.spyOn(AuditService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(ACTIONS)('%s lets an admin manage a regular user', async (action) => {
+    await run(action, buildUser('admin'), buildUser('user'));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(AuditService.record).toHaveBeenCalled();
+  });
+
+  it.each(ACTIONS)('%s refuses the admin\'s own account', async (action) => {
+    const admin = buildUser('admin');
+
+    await run(action, admin, admin);
+
+    expect(res.statusCode).toBe(400);
+    expect(AuditService.record).not.toHaveBeenCalled();
+  });
+
+  it.each(ACTIONS)('%s refuses a superadmin target unless the actor is one', async (action) => {
+    const target = buildUser('superadmin');
+
+    await run(action, buildUser('admin'), target);
+    expect(res.statusCode).toBe(403);
+
+    res = buildRes();
+    await run(action, buildUser('superadmin'), target);
+    expect(res.statusCode).toBe(200);
+  });
+
+  it.each(ACTIONS)('%s refuses targets holding permissions the actor lacks', async (action) => {
+    await run(action, buildUser('compliance'), buildUser('admin'));
+
+    expect(res.statusCode).toBe(403);
+    expect(AuditService.record).not.toHaveBeenCalled();
+  });
+
+  it('suspends the user and ends their sessions', async () => {
+    const target = buildUser('user');
+
+    await run('suspendUser', buildUser('admin'), target);
+
+    expect(target.status).toBe('suspended');
+    expect(target.suspendedReason).toBe('fraud review');
+    expect(TokenService.revokeAllSessions).toHaveBeenCalledWith(target._id, 'account_suspended');
+  });
+
+  it('returns 404 for unknown users', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+
+    await AdminController.suspendUser({ params: { id: 'missing' }, body: {}, user: buildUser('admin') }, res, next);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  describe('updateUserRole', () => {
+    const changeRole = (actor, target, role) => {
+      jest.spyOn(User, 'findById').mockResolvedValue(target);
+      return AdminController.updateUserRole({ params: { id: target._id.toString() }, body: { role }, user: actor }, res, next);
+    };
+
+    it('only lets a superadmin grant or remove the superadmin role', async () => {
+      await changeRole(buildUser('admin'), buildUser('user'), 'superadmin');
+      expect(res.statusCode).toBe(403);
+
+      res = buildRes();
+      await changeRole(buildUser('superadmin'), buildUser('user'), 'superadmin');
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('refuses changes to the admin\'s own role', async () => {
+      const admin = buildUser('admin');
+
+      await changeRole(admin, admin, 'user');
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
+
+describe('AdminController.updateUserLimits', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sets and clears overrides, recording the previous values', async () => {
+    const target = buildUser('user', { limitOverrides: { weekly: 800 } });
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    jest.spyOn(AuditService, 'record').mockResolvedValue(null);
+    jest.spyOn(PurchaseLimitService, 'getUsage').mockResolvedValue({ limits: {} });
+    const admin = buildUser('admin');
+    const res = buildRes();
+
+    await AdminController.updateUserLimits(
+      { params: { id: target._id.toString() }, body: { daily: 100, weekly: null, note: 'chargeback risk' }, user: admin },
+      res,
+      jest.fn()
+    );
+
+    expect(res.statusCode).toBe(200);
+    expect(target.limitOverrides).toMatchObject({ daily: 100, weekly: null, note: 'chargeback risk', updatedBy: admin._id });
+    expect(target.save).toHaveBeenCalled();
+    expect(AuditService.record.mock.calls[0][3].from).toEqual({ daily: null, weekly: 800 });
+  });
+});
@@ -0,0 +1,98 @@
+import bcrypt from 'bcryptjs';
+import { jest } from '@jest/globals';
+import ApiKey from '../../src/models/ApiKey.js';
+import User from '../../src/models/User.js';
+import ApiKeyController from '../../src/controllers/apiKeyController.js';
+import { schemas } from '../../src/middleware/validation.middleware.js';
+import { generateSecret, generateCode } from '../../src/utils/totp.js';
+
+const PASSWORD = 'Correct-Horse-42';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('ApiKeyController.createKey', () => {
+  let user;
+  let req;
+  let res;
+  let next;
+
+  const create = () => ApiKeyController.createKey(req, res, next);
+
+  beforeEach(async () => {
+    user = new User({
+      email: 'jane@example.com',
+      fullName: 'Jane Doe',
+      password: await bcrypt.hash(PASSWORD, 4)
+    });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    jest.spyOn(ApiKey, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(ApiKey, 'generate').mockResolvedValue({ apiKey: { _id: 'k1' }, plainKey: 'usdt_plain' });
+
+    req = { user: { _id: user._id }, body: { name: 'shop', scopes: ['transactions:read'] } };
+    res = buildRes();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates read-only keys without re-authentication', async () => {
+    await create();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.key).toBe('usdt_plain');
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('requires the password for keys that can create payments', async () => {
+    Object.assign(req.body, { scopes: ['payments:create'], password: 'wrong' });
+
+    await create();
+
+    expect(res.statusCode).toBe(401);
+    expect(ApiKey.generate).not.toHaveBeenCalled();
+  });
+
+  it('also requires a two-factor code when 2FA is on', async () => {
+    Object.assign(user, { twoFactorEnabled: true, twoFactorSecret: generateSecret() });
+    Object.assign(req.body, { scopes: ['payments:create'], password: PASSWORD });
+
+    await create();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.requiresTwoFactor).toBe(true);
+
+    res = buildRes();
+    req.body.code = generateCode(user.twoFactorSecret);
+    await create();
+    expect(res.statusCode).toBe(201);
+  });
+
+  it('caps the number of active keys', async () => {
+    ApiKey.countDocuments.mockResolvedValue(10);
+
+    await create();
+
+    expect(res.statusCode).toBe(400);
+    expect(ApiKey.generate).not.toHaveBeenCalled();
+  });
+
+  it('validates the password is sent with payments:create', () => {
+    const { error } = schemas.createApiKey.validate({ name: 'shop', scopes: ['payments:create'] });
+    expect(error.details[0].path).toEqual(['password']);
+
+    expect(schemas.createApiKey.validate({ name: 'shop', scopes: ['quotes:read'] }).error).toBeUndefined();
+    expect(schemas.createApiKey.validate({ name: 'shop', scopes: ['admin:all'] }).error).toBeDefined();
+  });
+});
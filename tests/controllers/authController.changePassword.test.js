@@ -0,0 +1,93 @@
+import bcrypt from 'bcryptjs';
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import TokenService from '../../src/services/tokenService.js';
+import emailService from '../../src/services/emailService.js';
+import AuthController from '../../src/controllers/authController.js';
+import { schemas } from '../../src/middleware/validation.middleware.js';
+
+const PASSWORD = 'Correct-Horse-42';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('AuthController.changePassword', () => {
+  let user;
+  let res;
+  let next;
+
+  const change = (body) => AuthController.changePassword(
+    { user: { _id: user._id }, body, ip: '203.0.113.5', get: () => 'jest' },
+    res,
+    next
+  );
+
+  beforeEach(async () => {
+    user = new User({ email: 'jane@example.com', fullName: 'Jane Doe', password: await bcrypt.hash(PASSWORD, 4) });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    jest.spyOn(TokenService, 'revokeAllSessions').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(TokenService, 'createSession').mockResolvedValue({
+      session: { _id: 'new-session' },
+      tokens: { token: 'access', refreshToken: 'refresh', expiresIn: '15m' }
+    });
+    jest.spyOn(emailService, 'sendPasswordChangedEmail').mockResolvedValue(undefined);
+    res = buildRes();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ends every session and issues a fresh one for this device', async () => {
+    await change({ currentPassword: PASSWORD, newPassword: 'Brand-New-Pass-7' });
+
+    expect(user.password).toBe('Brand-New-Pass-7');
+    expect(TokenService.revokeAllSessions).toHaveBeenCalledWith(user._id, 'password_changed');
+    expect(TokenService.revokeAllSessions.mock.invocationCallOrder[0])
+      .toBeLessThan(TokenService.createSession.mock.invocationCallOrder[0]);
+    expect(res.body.data.token).toBe('access');
+    expect(emailService.sendPasswordChangedEmail).toHaveBeenCalledWith(user.email, user.fullName, expect.objectContaining({ ipAddress: '203.0.113.5' }));
+  });
+
+  it('needs the current password', async () => {
+    await change({ currentPassword: 'wrong', newPassword: 'Brand-New-Pass-7' });
+
+    expect(res.statusCode).toBe(401);
+    expect(user.save).not.toHaveBeenCalled();
+    expect(TokenService.revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it('validates the new password differs from the current one', () => {
+    const { error } = schemas.changePassword.validate({ currentPassword: PASSWORD, newPassword: PASSWORD });
+
+    expect(error.details[0].message).toBe('New password must be different from the current password');
+  });
+});
+
+describe('User.changedPasswordAfter', () => {
+  it('rejects tokens issued before the password change', () => {
+    const user = new User({ email: 'jane@example.com', fullName: 'Jane Doe', password: 'unused' });
+    const changedAt = Date.now();
+    user.passwordChangedAt = new Date(changedAt);
+
+    expect(user.changedPasswordAfter(Math.floor(changedAt / 1000) - 60)).toBe(true);
+    expect(user.changedPasswordAfter(Math.floor(changedAt / 1000) + 60)).toBe(false);
+  });
+
+  it('accepts every token when the password never changed', () => {
+    const user = new User({ email: 'jane@example.com', fullName: 'Jane Doe', password: 'unused' });
+
+    expect(user.changedPasswordAfter(Math.floor(Date.now() / 1000))).toBe(false);
+  });
+});
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import BruteForceService from '../../src/services/bruteForceService.js';
+import emailService from '../../src/services/emailService.js';
+import AuthController from '../../src/controllers/authController.js';
+
+const PASSWORD = 'Correct-Horse-42';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('email change', () => {
+  let user;
+  let res;
+  let next;
+
+  beforeEach(async () => {
+    user = new User({ email: 'jane@example.com', fullName: 'Jane Doe', password: await bcrypt.hash(PASSWORD, 4) });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(emailService, 'sendEmailChangeVerificationEmail').mockResolvedValue(undefined);
+    jest.spyOn(emailService, 'sendEmailChangeNoticeEmail').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestEmailChange', () => {
+    const request = (body) => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      return AuthController.requestEmailChange({ user: { _id: user._id }, body }, res, next);
+    };
+
+    it('sends a code to the new address and a notice to the current one', async () => {
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+      await request({ newEmail: 'jane.new@example.com', password: PASSWORD });
+
+      const [to, , code] = emailService.sendEmailChangeVerificationEmail.mock.calls[0];
+      expect(to).toBe('jane.new@example.com');
+      expect(emailService.sendEmailChangeNoticeEmail).toHaveBeenCalledWith('jane@example.com', 'Jane Doe', 'jane.new@example.com');
+      expect(user.email).toBe('jane@example.com');
+      expect(user.pendingEmail).toBe('jane.new@example.com');
+      expect(user.pendingEmailToken).toBe(crypto.createHash('sha256').update(code).digest('hex'));
+      expect(res.body.success).toBe(true);
+    });
+
+    it('needs the current password', async () => {
+      await request({ newEmail: 'jane.new@example.com', password: 'wrong' });
+
+      expect(res.statusCode).toBe(401);
+      expect(emailService.sendEmailChangeVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('refuses an address another account uses', async () => {
+      jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'someone' });
+
+      await request({ newEmail: 'taken@example.com', password: PASSWORD });
+
+      expect(res.statusCode).toBe(400);
+      expect(user.pendingEmail).toBeFalsy();
+    });
+  });
+
+  describe('confirmEmailChange', () => {
+    const confirm = (code, found) => {
+      jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(found) });
+      return AuthController.confirmEmailChange({ user: { _id: user._id }, body: { code }, ip: '203.0.113.5' }, res, next);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(BruteForceService, 'check').mockResolvedValue({ allowed: true });
+      jest.spyOn(BruteForceService, 'recordFailure').mockResolvedValue({ accountLocked: false });
+      jest.spyOn(BruteForceService, 'recordSuccess').mockResolvedValue(undefined);
+    });
+
+    it('switches to the new address with a valid code', async () => {
+      const code = user.generateEmailChangeToken('jane.new@example.com');
+
+      await confirm(code, user);
+
+      expect(User.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        _id: user._id,
+        pendingEmailToken: crypto.createHash('sha256').update(code).digest('hex')
+      }));
+      expect(user.email).toBe('jane.new@example.com');
+      expect(user.emailVerified).toBe(true);
+      expect(user.pendingEmail).toBeNull();
+      expect(res.body.success).toBe(true);
+    });
+
+    it('counts a wrong or expired code as a failed attempt', async () => {
+      await confirm('123456', null);
+
+      expect(res.statusCode).toBe(400);
+      expect(BruteForceService.recordFailure).toHaveBeenCalledWith('email-change', user._id, '203.0.113.5', expect.anything());
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('stops checking codes while throttled', async () => {
+      BruteForceService.check.mockResolvedValue({ allowed: false, retryAfterSeconds: 60, message: 'Too many' });
+      res.set = jest.fn();
+
+      await confirm('123456', user);
+
+      expect(res.statusCode).toBe(429);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emails', () => {
+    it('escape the name and new address in the HTML', async () => {
+      emailService.sendEmailChangeVerificationEmail.mockRestore();
+      emailService.sendEmailChangeNoticeEmail.mockRestore();
+      jest.spyOn(emailService, 'deliver').mockResolvedValue(undefined);
+
+      await emailService.sendEmailChangeVerificationEmail('new@example.com', '<script>x</script>', '123456');
+      await emailService.sendEmailChangeNoticeEmail('jane@example.com', 'Jane', '"<a href=x>"@example.com');
+
+      const [[verification], [notice]] = emailService.deliver.mock.calls;
+      expect(verification.html).toContain('Hi &lt;script&gt;x&lt;/script&gt;,');
+      expect(notice.html).not.toContain('<a href=x>');
+      expect(notice.html).toContain('&quot;&lt;a href=x&gt;&quot;@example.com');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import emailService from '../../src/services/emailService.js';
+import TokenService from '../../src/services/tokenService.js';
+import AuthController from '../../src/controllers/authController.js';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('password reset', () => {
+  let user;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    user = new User({ email: 'jane@example.com', fullName: 'Jane Doe', password: 'old-Password-1' });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(TokenService, 'revokeAllSessions').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('forgotPassword', () => {
+    it('emails a token and stores only its hash', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+      jest.spyOn(emailService, 'sendPasswordResetEmail').mockResolvedValue(undefined);
+
+      await AuthController.forgotPassword({ body: { email: user.email } }, res, next);
+
+      const [, , token] = emailService.sendPasswordResetEmail.mock.calls[0];
+      expect(user.passwordResetToken).toBe(hash(token));
+      expect(user.passwordResetToken).not.toBe(token);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+      expect(res.body.success).toBe(true);
+    });
+
+    it('answers the same way for unknown emails', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      jest.spyOn(emailService, 'sendPasswordResetEmail');
+
+      await AuthController.forgotPassword({ body: { email: 'nobody@example.com' } }, res, next);
+
+      expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+      expect(res.body.message).toBe('If an account exists for this email, a password reset link has been sent');
+    });
+
+    it('drops the token when the email could not be sent', async () => {
+      jest.spyOn(User, 'findOne').mockResolvedValue(user);
+      jest.spyOn(emailService, 'sendPasswordResetEmail').mockRejectedValue(new Error('SMTP down'));
+
+      await AuthController.forgotPassword({ body: { email: user.email } }, res, next);
+
+      expect(user.passwordResetToken).toBeUndefined();
+      expect(user.passwordResetExpires).toBeUndefined();
+      expect(res.body.success).toBe(true);
+    });
+  });
+
+  describe('resetPassword', () => {
+    const findUser = (result) => jest.spyOn(User, 'findOne')
+      .mockReturnValue({ select: jest.fn().mockResolvedValue(result) });
+
+    it('looks the token up by hash and only while unexpired', async () => {
+      findUser(null);
+
+      await AuthController.resetPassword({ body: { token: 'plain-token', password: 'New-Password-42' } }, res, next);
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        passwordResetToken: hash('plain-token'),
+        passwordResetExpires: { $gt: expect.any(Number) }
+      });
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('sets the password, clears the token and ends every session', async () => {
+      const token = user.generatePasswordResetToken();
+      findUser(user);
+
+      await AuthController.resetPassword({ body: { token, password: 'New-Password-42' } }, res, next);
+
+      expect(res.body.success).toBe(true);
+      expect(user.password).toBe('New-Password-42');
+      expect(user.passwordResetToken).toBeUndefined();
+      expect(user.passwordResetExpires).toBeUndefined();
+      expect(TokenService.revokeAllSessions).toHaveBeenCalledWith(user._id, 'password_reset');
+    });
+
+    it('rejects a new password that breaks the policy', async () => {
+      const token = user.generatePasswordResetToken();
+      findUser(user);
+
+      await AuthController.resetPassword({ body: { token, password: 'short' } }, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(user.save).not.toHaveBeenCalled();
+      expect(TokenService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+  });
+});
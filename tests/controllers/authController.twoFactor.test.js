@@ -0,0 +1,164 @@
+import bcrypt from 'bcryptjs';
+import { jest } from '@jest/globals';
+import User from '../../src/models/User.js';
+import TokenService from '../../src/services/tokenService.js';
+import BruteForceService from '../../src/services/bruteForceService.js';
+import LoginHistoryService from '../../src/services/loginHistoryService.js';
+import AuthController from '../../src/controllers/authController.js';
+import { generateSecret, generateCode } from '../../src/utils/totp.js';
+
+const PASSWORD = 'Correct-Horse-42';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const buildReq = (body) => ({ body, ip: '203.0.113.5', get: () => 'jest' });
+
+describe('two-factor login', () => {
+  let user;
+  let res;
+  let next;
+
+  beforeEach(async () => {
+    user = new User({
+      email: 'jane@example.com',
+      fullName: 'Jane Doe',
+      password: await bcrypt.hash(PASSWORD, 4),
+      twoFactorEnabled: true,
+      twoFactorSecret: generateSecret()
+    });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    res = buildRes();
+    next = jest.fn();
+
+    jest.spyOn(BruteForceService, 'check').mockResolvedValue({ allowed: true });
+    jest.spyOn(BruteForceService, 'recordFailure').mockResolvedValue(undefined);
+    jest.spyOn(BruteForceService, 'recordSuccess').mockResolvedValue(undefined);
+    jest.spyOn(LoginHistoryService, 'recordSuccess').mockResolvedValue(undefined);
+    jest.spyOn(LoginHistoryService, 'recordFailure').mockResolvedValue(undefined);
+    jest.spyOn(TokenService, 'createSession').mockResolvedValue({
+      session: { _id: 'session-1' },
+      tokens: { token: 'access', refreshToken: 'refresh', expiresIn: '15m' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a correct password with a challenge instead of a session', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    await AuthController.login(buildReq({ email: user.email, password: PASSWORD }), res, next);
+
+    expect(res.body.data.requiresTwoFactor).toBe(true);
+    expect(TokenService.verifyTwoFactorChallenge(res.body.data.challengeToken)).toBe(user._id.toString());
+    expect(res.body.data.token).toBeUndefined();
+    expect(TokenService.createSession).not.toHaveBeenCalled();
+  });
+
+  describe('verifyTwoFactorLogin', () => {
+    let challengeToken;
+
+    beforeEach(() => {
+      challengeToken = TokenService.signTwoFactorChallenge(user);
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    });
+
+    it('starts a session for a valid code', async () => {
+      const code = generateCode(user.twoFactorSecret);
+
+      await AuthController.verifyTwoFactorLogin(buildReq({ challengeToken, code }), res, next);
+
+      expect(res.body.data.token).toBe('access');
+      expect(TokenService.createSession).toHaveBeenCalledWith(user, expect.anything());
+      expect(LoginHistoryService.recordSuccess).toHaveBeenCalledWith(expect.anything(), user, { _id: 'session-1' }, 'two_factor');
+    });
+
+    it('rejects a wrong code and counts the failure', async () => {
+      const wrong = generateCode(user.twoFactorSecret) === '000000' ? '111111' : '000000';
+
+      await AuthController.verifyTwoFactorLogin(buildReq({ challengeToken, code: wrong }), res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(BruteForceService.recordFailure).toHaveBeenCalledWith('two-factor', user._id.toString(), '203.0.113.5', user);
+      expect(TokenService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('does not accept the same code twice', async () => {
+      const code = generateCode(user.twoFactorSecret);
+
+      await AuthController.verifyTwoFactorLogin(buildReq({ challengeToken, code }), res, next);
+      res = buildRes();
+      await AuthController.verifyTwoFactorLogin(buildReq({ challengeToken, code }), res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(TokenService.createSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects tokens that are not two-factor challenges', async () => {
+      const code = generateCode(user.twoFactorSecret);
+
+      await AuthController.verifyTwoFactorLogin(buildReq({ challengeToken: 'not-a-jwt', code }), res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+      expect(TokenService.createSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateProfile', () => {
+    let req;
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+      req = { user: { _id: user._id, walletAddress: null }, body: { walletAddress: 'TNewWallet' } };
+    });
+
+    it('needs the password to change the payout wallet', async () => {
+      req.body.password = 'wrong-password';
+
+      await AuthController.updateProfile(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('needs a two-factor code as well when 2FA is on', async () => {
+      req.body.password = PASSWORD;
+
+      await AuthController.updateProfile(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.requiresTwoFactor).toBe(true);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('changes the wallet with the password and a current code', async () => {
+      Object.assign(req.body, { password: PASSWORD, code: generateCode(user.twoFactorSecret) });
+
+      await AuthController.updateProfile(req, res, next);
+
+      expect(res.body.success).toBe(true);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(user._id, expect.objectContaining({ walletAddress: 'TNewWallet' }), expect.anything());
+    });
+
+    it('updates the name without a password', async () => {
+      req.body = { fullName: 'Jane Q. Doe' };
+
+      await AuthController.updateProfile(req, res, next);
+
+      expect(res.body.success).toBe(true);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../src/models/Transaction.js';
+import StripeService from '../../src/services/stripeService.js';
+import PurchaseLimitService from '../../src/services/purchaseLimitService.js';
+import TreasuryService from '../../src/services/treasuryService.js';
+import PaymentController from '../../src/controllers/paymentController.js';
+
+const WALLET = 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('PaymentController.createPaymentIntent', () => {
+  let req;
+  let res;
+  let next;
+
+  const create = () => PaymentController.createPaymentIntent(req, res, next);
+
+  beforeEach(() => {
+    req = {
+      body: { usdAmount: 100, walletAddress: WALLET, network: 'TRC20' },
+      user: { _id: new mongoose.Types.ObjectId() }
+    };
+    res = buildRes();
+    next = jest.fn();
+
+    jest.spyOn(PurchaseLimitService, 'assertWithinLimits').mockResolvedValue({});
+    jest.spyOn(TreasuryService, 'assertCanCover').mockResolvedValue(undefined);
+    jest.spyOn(StripeService, 'createPaymentIntent').mockResolvedValue({ id: 'pi_1', client_secret: 'secret_1' });
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Transaction, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('passes the Idempotency-Key to Stripe scoped to the user', async () => {
+    req.idempotencyKey = 'order-12345678';
+
+    await create();
+
+    expect(res.statusCode).toBe(201);
+    expect(StripeService.createPaymentIntent.mock.calls[0][3]).toBe(`${req.user._id}:order-12345678`);
+  });
+
+  it('sends no Stripe idempotency key without the header', async () => {
+    await create();
+
+    expect(StripeService.createPaymentIntent.mock.calls[0][3]).toBeFalsy();
+    expect(Transaction.findOne).not.toHaveBeenCalled();
+  });
+
+  it('reuses the transaction when a retry gets the same intent back', async () => {
+    req.idempotencyKey = 'order-12345678';
+    const existing = { _id: new mongoose.Types.ObjectId(), paymentIntentId: 'pi_1' };
+    Transaction.findOne.mockResolvedValue(existing);
+
+    await create();
+
+    expect(Transaction.findOne).toHaveBeenCalledWith({ paymentIntentId: 'pi_1' });
+    expect(Transaction.create).not.toHaveBeenCalled();
+    expect(res.body.data.transaction).toBe(existing);
+  });
+
+  it('stops before Stripe when the purchase is over the user limits', async () => {
+    PurchaseLimitService.assertWithinLimits.mockRejectedValue(Object.assign(new Error('limit'), { statusCode: 403 }));
+
+    await create();
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    expect(StripeService.createPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('stops before Stripe when the treasury cannot cover the payout', async () => {
+    TreasuryService.assertCanCover.mockRejectedValue(Object.assign(new Error('paused'), { statusCode: 503 }));
+
+    await create();
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 503 }));
+    expect(StripeService.createPaymentIntent).not.toHaveBeenCalled();
+    expect(Transaction.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../src/models/Transaction.js';
+import User from '../../src/models/User.js';
+import StripeService from '../../src/services/stripeService.js';
+import USDTConversionService from '../../src/services/usdtConversionService.js';
+import AuditService from '../../src/services/auditService.js';
+import TransactionController from '../../src/controllers/transactionController.js';
+
+const buildTransaction = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  paymentProvider: 'stripe',
+  paymentIntentId: 'pi_123',
+  amountUSD: 100,
+  refundedAmount: 0,
+  refundedAt: null,
+  currency: 'usd',
+  status: 'under_review',
+  payoutReference: null,
+  signedPayout: {},
+  transactionHash: null,
+  __v: 3,
+  ...overrides
+});
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('TransactionController.refundTransaction', () => {
+  let transaction;
+  let req;
+  let res;
+  let next;
+
+  const refund = () => TransactionController.refundTransaction(req, res, next);
+
+  beforeEach(() => {
+    transaction = buildTransaction();
+    req = { params: { id: transaction._id.toString() }, body: {}, user: { _id: new mongoose.Types.ObjectId() } };
+    res = buildRes();
+    next = jest.fn();
+
+    jest.spyOn(Transaction, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(transaction) });
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      ...transaction,
+      ...update.$set,
+      __v: transaction.__v + 1
+    }));
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(StripeService, 'createRefund').mockResolvedValue({ id: 're_1', status: 'succeeded' });
+    jest.spyOn(USDTConversionService, 'findExistingTransfer').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds when no payout was started', async () => {
+    await refund();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.refund).toEqual({ id: 're_1', amount: 100, status: 'succeeded' });
+    expect(USDTConversionService.findExistingTransfer).not.toHaveBeenCalled();
+  });
+
+  it('refuses when the payout already reached Binance or the chain', async () => {
+    transaction.payoutReference = `payout_${transaction._id}`;
+    USDTConversionService.findExistingTransfer.mockResolvedValue({ withdrawalId: 'w1' });
+
+    await refund();
+
+    expect(res.statusCode).toBe(409);
+    expect(USDTConversionService.findExistingTransfer).toHaveBeenCalledWith(transaction, { rebroadcast: false });
+    expect(StripeService.createRefund).not.toHaveBeenCalled();
+  });
+
+  it('checks a signed on-chain payout without rebroadcasting it', async () => {
+    transaction.signedPayout = { hash: '0xabc', raw: '0xf8' };
+    USDTConversionService.findExistingTransfer.mockResolvedValue({ transactionHash: '0xabc' });
+
+    await refund();
+
+    expect(res.statusCode).toBe(409);
+    expect(USDTConversionService.findExistingTransfer).toHaveBeenCalledWith(transaction, { rebroadcast: false });
+  });
+
+  it('refuses when the payout cannot be checked', async () => {
+    transaction.payoutReference = `payout_${transaction._id}`;
+    USDTConversionService.findExistingTransfer.mockRejectedValue(new Error('Binance unreachable'));
+
+    await refund();
+
+    expect(res.statusCode).toBe(503);
+    expect(StripeService.createRefund).not.toHaveBeenCalled();
+  });
+
+  it('refunds when Binance rejected the withdrawal', async () => {
+    transaction.payoutReference = `payout_${transaction._id}`;
+    const rejected = new Error('Earlier withdrawal was rejected by Binance');
+    rejected.permanent = true;
+    USDTConversionService.findExistingTransfer.mockRejectedValue(rejected);
+
+    await refund();
+
+    expect(res.statusCode).toBe(200);
+    expect(StripeService.createRefund).toHaveBeenCalled();
+  });
+
+  it('skips the payout check for payout_failed transactions', async () => {
+    transaction.status = 'payout_failed';
+    transaction.payoutReference = `payout_${transaction._id}`;
+    transaction.transactionHash = '0xreverted';
+
+    await refund();
+
+    expect(res.statusCode).toBe(200);
+    expect(USDTConversionService.findExistingTransfer).not.toHaveBeenCalled();
+  });
+
+  it('refuses transactions whose USDT was sent', async () => {
+    transaction.status = 'usdt_sent';
+    transaction.transactionHash = '0xsent';
+
+    await refund();
+
+    expect(res.statusCode).toBe(409);
+    expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('claims the refund on status and version before calling Stripe', async () => {
+    await refund();
+
+    const [filter, update] = Transaction.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: transaction._id, status: 'under_review', __v: 3 });
+    expect(update.$set).toMatchObject({ status: 'refunded', refundedAmount: 100 });
+    expect(update.$push.refunds).toMatchObject({ amount: 100, status: 'pending' });
+    expect(update.$inc).toEqual({ __v: 1 });
+
+    const claimOrder = Transaction.findOneAndUpdate.mock.invocationCallOrder[0];
+    expect(claimOrder).toBeLessThan(StripeService.createRefund.mock.invocationCallOrder[0]);
+  });
+
+  it('refuses when another refund claimed the transaction first', async () => {
+    Transaction.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    await refund();
+
+    expect(res.statusCode).toBe(409);
+    expect(StripeService.createRefund).not.toHaveBeenCalled();
+  });
+
+  it('keys the Stripe refund on the running refunded total', async () => {
+    transaction.status = 'partially_refunded';
+    transaction.refundedAmount = 30;
+    req.body.amount = 20;
+
+    await refund();
+
+    expect(StripeService.createRefund).toHaveBeenCalledWith('pi_123', 20, `refund_${transaction._id}_50.00`);
+    expect(Transaction.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('partially_refunded');
+  });
+
+  it('releases the claim when Stripe fails', async () => {
+    const stripeError = new Error('Failed to create refund: card_declined');
+    StripeService.createRefund.mockRejectedValue(stripeError);
+
+    await refund();
+
+    expect(next).toHaveBeenCalledWith(stripeError);
+    const [filter, update] = Transaction.updateOne.mock.calls[0];
+    const entryId = Transaction.findOneAndUpdate.mock.calls[0][1].$push.refunds._id;
+    expect(filter).toEqual({ _id: transaction._id, 'refunds._id': entryId });
+    expect(update.$set).toEqual({ status: 'under_review', refundedAmount: 0, refundedAt: null });
+    expect(update.$pull).toEqual({ refunds: { _id: entryId } });
+  });
+});
@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../src/models/Transaction.js';
+import PurchaseLimitService from '../../src/services/purchaseLimitService.js';
+import TransakController from '../../src/controllers/transakController.js';
+
+const WALLET = 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('TransakController.createOrder', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    req = {
+      body: { usdAmount: 1000, walletAddress: WALLET, network: 'TRC20' },
+      user: { _id: new mongoose.Types.ObjectId(), kycLevel: 'none' }
+    };
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(Transaction, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks the user limits for the order amount', async () => {
+    jest.spyOn(PurchaseLimitService, 'assertWithinLimits').mockResolvedValue({});
+
+    await TransakController.createOrder(req, res, next);
+
+    expect(PurchaseLimitService.assertWithinLimits).toHaveBeenCalledWith(req.user, 1000);
+    expect(res.statusCode).toBe(201);
+  });
+
+  it('creates no order when the limits are exceeded', async () => {
+    const error = Object.assign(new Error('Amount exceeds your per-transaction limit of $500'), { statusCode: 403 });
+    jest.spyOn(PurchaseLimitService, 'assertWithinLimits').mockRejectedValue(error);
+
+    await TransakController.createOrder(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(Transaction.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,276 @@
+import bcrypt from 'bcryptjs';
+import { Wallet } from 'ethers';
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import WalletAddress from '../../src/models/WalletAddress.js';
+import config from '../../src/config/environment.js';
+import emailService from '../../src/services/emailService.js';
+import WalletController from '../../src/controllers/walletController.js';
+import { schemas } from '../../src/middleware/validation.middleware.js';
+
+const ADDRESS = 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7';
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+describe('WalletController address book', () => {
+  let user;
+  let res;
+  let next;
+
+  const buildWallet = (overrides = {}) => {
+    const wallet = new WalletAddress({
+      userId: user._id,
+      label: 'Ledger',
+      address: ADDRESS,
+      network: 'TRC20',
+      availableAt: new Date(Date.now() - HOUR_MS),
+      confirmedAt: new Date(Date.now() - 2 * HOUR_MS),
+      ...overrides
+    });
+    jest.spyOn(wallet, 'save').mockResolvedValue(wallet);
+    return wallet;
+  };
+
+  beforeEach(() => {
+    user = new User({ email: 'jane@example.com', fullName: 'Jane Doe', password: 'unused' });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(emailService, 'sendWalletConfirmationEmail').mockResolvedValue(true);
+    jest.spyOn(WalletAddress, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('addWallet', () => {
+    const add = (body = { label: 'Ledger', address: ADDRESS, network: 'TRC20' }) =>
+      WalletController.addWallet({ body, user }, res, next);
+
+    beforeEach(() => {
+      jest.spyOn(WalletAddress, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(WalletAddress, 'exists').mockResolvedValue(null);
+      jest.spyOn(WalletAddress.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+    });
+
+    it('saves an unconfirmed wallet behind the cooldown and emails a link', async () => {
+      await add();
+
+      const { wallet } = res.body.data;
+      expect(res.statusCode).toBe(201);
+      expect(wallet.isConfirmed).toBe(false);
+      expect(wallet.isDefault).toBe(false);
+      expect(wallet.availableAt.getTime()).toBeGreaterThan(Date.now() + (config.addressBook.cooldownHours * HOUR_MS) - 1000);
+      expect(wallet.confirmationToken).toBeDefined();
+      expect(emailService.sendWalletConfirmationEmail).toHaveBeenCalledWith(user.email, user.fullName, wallet, expect.any(String));
+    });
+
+    it('never makes a new wallet the default', async () => {
+      await add();
+
+      expect(WalletAddress.updateMany).not.toHaveBeenCalled();
+      expect(user.save).not.toHaveBeenCalled();
+      expect(user.walletAddress).not.toBe(ADDRESS);
+    });
+
+    it('drops isDefault from the request body', () => {
+      const { value } = schemas.addWallet.validate(
+        { label: 'Ledger', address: ADDRESS, network: 'TRC20', isDefault: true },
+        { stripUnknown: true }
+      );
+
+      expect(value.isDefault).toBeUndefined();
+    });
+
+    it('refuses the same address twice', async () => {
+      WalletAddress.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+      await add();
+
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('refuses once the address book is full', async () => {
+      WalletAddress.countDocuments.mockResolvedValue(config.addressBook.maxAddresses);
+
+      await add();
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('rejects an invalid address', async () => {
+      await add({ label: 'Ledger', address: 'TNotARealAddress000000000000000000', network: 'TRC20' });
+
+      expect(res.statusCode).toBe(400);
+      expect(WalletAddress.countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateWallet', () => {
+    const update = (wallet, body) => {
+      jest.spyOn(WalletAddress, 'findOne').mockResolvedValue(wallet);
+      return WalletController.updateWallet({ params: { id: wallet._id.toString() }, body, user }, res, next);
+    };
+
+    it('makes a confirmed wallet past its cooldown the default', async () => {
+      const wallet = buildWallet();
+
+      await update(wallet, { isDefault: true });
+
+      expect(res.statusCode).toBe(200);
+      expect(wallet.isDefault).toBe(true);
+      expect(WalletAddress.updateMany).toHaveBeenCalledWith({ userId: user._id, _id: { $ne: wallet._id } }, { isDefault: false });
+      expect(user.walletAddress).toBe(ADDRESS);
+    });
+
+    it('refuses an unconfirmed wallet as the default', async () => {
+      const wallet = buildWallet({ confirmedAt: null });
+
+      await update(wallet, { isDefault: true });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Confirm this wallet before making it the default');
+      expect(wallet.isDefault).toBe(false);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a wallet still cooling down as the default', async () => {
+      const wallet = buildWallet({ availableAt: new Date(Date.now() + HOUR_MS) });
+
+      await update(wallet, { isDefault: true });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toContain(wallet.availableAt.toISOString());
+      expect(WalletAddress.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('still renames a wallet that cannot be the default yet', async () => {
+      const wallet = buildWallet({ confirmedAt: null });
+
+      await update(wallet, { label: 'Cold storage' });
+
+      expect(res.statusCode).toBe(200);
+      expect(wallet.label).toBe('Cold storage');
+    });
+  });
+
+  describe('confirmWallet', () => {
+    it('confirms the wallet behind a valid link', async () => {
+      const wallet = buildWallet({ confirmedAt: null });
+      const token = wallet.generateConfirmationToken(24);
+      jest.spyOn(WalletAddress, 'findOne').mockResolvedValue(wallet);
+
+      await WalletController.confirmWallet({ body: { token } }, res, next);
+
+      expect(WalletAddress.findOne.mock.calls[0][0].confirmationToken).toBe(WalletAddress.hashToken(token));
+      expect(wallet.isConfirmed).toBe(true);
+      expect(wallet.confirmationToken).toBeUndefined();
+    });
+
+    it('rejects an unknown or expired link', async () => {
+      jest.spyOn(WalletAddress, 'findOne').mockResolvedValue(null);
+
+      await WalletController.confirmWallet({ body: { token: 'a'.repeat(64) } }, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('ownership proof', () => {
+    const signer = Wallet.createRandom();
+
+    const evmWallet = (overrides = {}) => buildWallet({ address: signer.address, network: 'ERC20', ...overrides });
+
+    it('issues a challenge that expires', async () => {
+      const wallet = evmWallet();
+      jest.spyOn(WalletAddress, 'findOne').mockResolvedValue(wallet);
+
+      await WalletController.createOwnershipChallenge({ params: { id: wallet._id.toString() }, user }, res, next);
+
+      expect(res.body.data.message).toContain(`Address: ${signer.address}`);
+      expect(wallet.ownershipChallenge.message).toBe(res.body.data.message);
+      expect(wallet.ownershipChallenge.expiresAt.getTime())
+        .toBeGreaterThan(Date.now() + (config.addressBook.ownershipChallengeMinutes * 60 * 1000) - 1000);
+    });
+
+    const verify = async (wallet, signature) => {
+      jest.spyOn(WalletAddress, 'findOne').mockResolvedValue(wallet);
+      return WalletController.verifyOwnership({ params: { id: wallet._id.toString() }, body: { signature }, user }, res, next);
+    };
+
+    it('verifies the wallet with a signature over the challenge', async () => {
+      const message = 'USDT Payment wallet ownership verification\nNonce: abc';
+      const wallet = evmWallet({ ownershipChallenge: { message, expiresAt: new Date(Date.now() + 60000) } });
+
+      await verify(wallet, (await signer.signMessage(message)).slice(2));
+
+      expect(res.statusCode).toBe(200);
+      expect(wallet.isOwnershipVerified).toBe(true);
+      expect(wallet.ownershipChallenge?.message).toBeUndefined();
+    });
+
+    it('rejects a signature from another key', async () => {
+      const message = 'USDT Payment wallet ownership verification\nNonce: abc';
+      const wallet = evmWallet({ ownershipChallenge: { message, expiresAt: new Date(Date.now() + 60000) } });
+
+      await verify(wallet, await Wallet.createRandom().signMessage(message));
+
+      expect(res.statusCode).toBe(400);
+      expect(wallet.isOwnershipVerified).toBe(false);
+    });
+
+    it('rejects an expired challenge', async () => {
+      const message = 'USDT Payment wallet ownership verification\nNonce: abc';
+      const wallet = evmWallet({ ownershipChallenge: { message, expiresAt: new Date(Date.now() - 1000) } });
+
+      await verify(wallet, await signer.signMessage(message));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('No active challenge. Request a new one.');
+      expect(wallet.isOwnershipVerified).toBe(false);
+    });
+  });
+
+  describe('updateWhitelist', () => {
+    const PASSWORD = 'Correct-Horse-42';
+
+    const toggle = async (body) => {
+      user.password = await bcrypt.hash(PASSWORD, 4);
+      user.walletWhitelistEnabled = true;
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      jest.spyOn(emailService, 'sendWalletWhitelistDisabledEmail').mockResolvedValue(true);
+      return WalletController.updateWhitelist({ body, user, ip: '203.0.113.7' }, res, next);
+    };
+
+    it('needs the password to turn whitelist mode off', async () => {
+      await toggle({ enabled: false, password: 'wrong-password' });
+
+      expect(res.statusCode).toBe(401);
+      expect(user.walletWhitelistEnabled).toBe(true);
+      expect(emailService.sendWalletWhitelistDisabledEmail).not.toHaveBeenCalled();
+    });
+
+    it('turns it off and tells the user', async () => {
+      await toggle({ enabled: false, password: PASSWORD });
+
+      expect(res.statusCode).toBe(200);
+      expect(user.walletWhitelistEnabled).toBe(false);
+      expect(emailService.sendWalletWhitelistDisabledEmail).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import WebhookEvent from '../../src/models/WebhookEvent.js';
+import StripeService from '../../src/services/stripeService.js';
+import WebhookEventService from '../../src/services/webhookEventService.js';
+import AuditService from '../../src/services/auditService.js';
+import PaymentController from '../../src/controllers/paymentController.js';
+import AdminController from '../../src/controllers/adminController.js';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const buildEvent = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  provider: 'stripe',
+  eventId: 'evt_1',
+  type: 'payment_intent.succeeded',
+  payload: { id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } },
+  status: 'received',
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('Stripe webhook deliveries', () => {
+  let res;
+  let next;
+
+  const deliver = () => PaymentController.handleWebhook(
+    { headers: { 'stripe-signature': 'sig' }, body: Buffer.from('{}') },
+    res,
+    next
+  );
+
+  beforeEach(() => {
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(StripeService, 'verifyWebhookSignature').mockReturnValue({ id: 'evt_1', type: 'payment_intent.succeeded' });
+    jest.spyOn(PaymentController, 'handlePaymentSuccess').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('acknowledges a duplicate of a processed event without running it again', async () => {
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(buildEvent({ status: 'processed' })) // record
+      .mockResolvedValueOnce(null); // claim
+
+    await deliver();
+
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(PaymentController.handlePaymentSuccess).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges a delivery while an earlier one is still processing', async () => {
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(buildEvent({ status: 'processing' }))
+      .mockResolvedValueOnce(null);
+
+    await deliver();
+
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(PaymentController.handlePaymentSuccess).not.toHaveBeenCalled();
+  });
+
+  it('runs a new event once', async () => {
+    const claimed = buildEvent({ status: 'processing' });
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(buildEvent())
+      .mockResolvedValueOnce(claimed);
+
+    await deliver();
+
+    expect(res.body).toEqual({ received: true, duplicate: false });
+    expect(PaymentController.handlePaymentSuccess).toHaveBeenCalledTimes(1);
+    expect(claimed.status).toBe('processed');
+  });
+
+  it('answers 500 when processing fails so Stripe retries', async () => {
+    PaymentController.handlePaymentSuccess.mockRejectedValue(new Error('db down'));
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(buildEvent())
+      .mockResolvedValueOnce(buildEvent({ status: 'processing' }));
+
+    await deliver();
+
+    expect(res.statusCode).toBe(500);
+  });
+
+  it('rejects events with a bad signature', async () => {
+    StripeService.verifyWebhookSignature.mockImplementation(() => {
+      throw new Error('No signatures found');
+    });
+    jest.spyOn(WebhookEventService, 'record');
+
+    await deliver();
+
+    expect(res.statusCode).toBe(400);
+    expect(WebhookEventService.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('AdminController.replayWebhookEvent', () => {
+  let req;
+  let res;
+  let next;
+
+  const replay = () => AdminController.replayWebhookEvent(req, res, next);
+
+  beforeEach(() => {
+    req = { params: { id: 'e1' }, user: { _id: new mongoose.Types.ObjectId() } };
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(AuditService, 'record').mockResolvedValue(null);
+    jest.spyOn(PaymentController, 'handlePaymentSuccess').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replays a failed event through the Stripe handler', async () => {
+    const event = buildEvent({ status: 'failed' });
+    const claimed = buildEvent({ _id: event._id, status: 'processing' });
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(event);
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+    await replay();
+
+    expect(PaymentController.handlePaymentSuccess).toHaveBeenCalledWith({ id: 'pi_1' });
+    expect(res.body.success).toBe(true);
+    expect(claimed.status).toBe('processed');
+    expect(AuditService.record).toHaveBeenCalledWith(req, 'webhook.replay', expect.anything(), expect.objectContaining({ outcome: 'processed' }));
+  });
+
+  it('refuses to replay an event that did not fail', async () => {
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(buildEvent({ status: 'processed' }));
+    jest.spyOn(WebhookEventService, 'process');
+
+    await replay();
+
+    expect(res.statusCode).toBe(400);
+    expect(WebhookEventService.process).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when another delivery claimed the event first', async () => {
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(buildEvent({ status: 'failed' }));
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await replay();
+
+    expect(res.statusCode).toBe(409);
+    expect(PaymentController.handlePaymentSuccess).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown event', async () => {
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(null);
+
+    await replay();
+
+    expect(res.statusCode).toBe(404);
+  });
+});
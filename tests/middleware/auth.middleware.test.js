@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import ApiKey from '../../src/models/ApiKey.js';
+import User from '../../src/models/User.js';
+import {
+  authenticateOrApiKey,
+  optionalAuthOrApiKey,
+  authorize,
+  requirePermission
+} from '../../src/middleware/auth.middleware.js';
+
+const PLAIN_KEY = 'usdt_test_key';
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const buildReq = (headers = {}) => ({
+  headers,
+  ip: '203.0.113.5',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const buildApiKey = (overrides = {}) => new ApiKey({
+  userId: new mongoose.Types.ObjectId(),
+  name: 'integration',
+  prefix: 'usdt_test',
+  keyHash: ApiKey.hashKey(PLAIN_KEY),
+  scopes: ['payments:create'],
+  ...overrides
+});
+
+const buildUser = (overrides = {}) => new User({
+  email: 'jane@example.com',
+  fullName: 'Jane Doe',
+  password: 'unused',
+  ...overrides
+});
+
+describe('API key authentication', () => {
+  let res;
+  let next;
+  let apiKey;
+  let user;
+
+  beforeEach(() => {
+    res = buildRes();
+    next = jest.fn();
+    apiKey = buildApiKey();
+    user = buildUser({ _id: apiKey.userId });
+    jest.spyOn(ApiKey, 'findOne').mockResolvedValue(apiKey);
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authenticateOrApiKey', () => {
+    it('accepts a key with every required scope and records its use', async () => {
+      const req = buildReq({ 'x-api-key': PLAIN_KEY });
+
+      await authenticateOrApiKey('payments:create')(req, res, next);
+
+      expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: ApiKey.hashKey(PLAIN_KEY) });
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+      expect(req.apiKey).toBe(apiKey);
+      expect(ApiKey.updateOne.mock.calls[0][1].$set).toMatchObject({ lastUsedIp: '203.0.113.5' });
+    });
+
+    it('refuses a key missing a scope', async () => {
+      await authenticateOrApiKey('transactions:read')(buildReq({ 'x-api-key': PLAIN_KEY }), res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toMatch('transactions:read');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('refuses unknown, revoked and expired keys', async () => {
+      for (const key of [null, buildApiKey({ revokedAt: new Date() }), buildApiKey({ expiresAt: new Date(Date.now() - 1000) })]) {
+        ApiKey.findOne.mockResolvedValue(key);
+        res = buildRes();
+
+        await authenticateOrApiKey('payments:create')(buildReq({ 'x-api-key': PLAIN_KEY }), res, next);
+
+        expect(res.statusCode).toBe(401);
+      }
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('refuses keys of suspended users', async () => {
+      user.status = 'suspended';
+
+      await authenticateOrApiKey('payments:create')(buildReq({ 'x-api-key': PLAIN_KEY }), res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('falls back to JWT authentication without a key', async () => {
+      await authenticateOrApiKey('payments:create')(buildReq(), res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(ApiKey.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('optionalAuthOrApiKey', () => {
+    it('lets anonymous requests through', async () => {
+      const req = buildReq();
+
+      await optionalAuthOrApiKey('quotes:read')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBeUndefined();
+    });
+
+    it('records use of a key with the scope', async () => {
+      apiKey.scopes = ['quotes:read'];
+      const req = buildReq({ 'x-api-key': PLAIN_KEY });
+
+      await optionalAuthOrApiKey('quotes:read')(req, res, next);
+
+      expect(req.apiKey).toBe(apiKey);
+      expect(ApiKey.updateOne).toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('continues anonymously with an invalid or under-scoped key', async () => {
+      const req = buildReq({ 'x-api-key': PLAIN_KEY });
+
+      await optionalAuthOrApiKey('quotes:read')(req, res, next);
+
+      expect(req.apiKey).toBeUndefined();
+      expect(ApiKey.updateOne).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(200);
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('role and permission checks', () => {
+    it('never admit API key requests', () => {
+      const req = { user: buildUser({ role: 'admin' }), apiKey };
+
+      authorize('admin')(req, res, next);
+      expect(res.statusCode).toBe(403);
+
+      res = buildRes();
+      requirePermission('users.read')(req, res, next);
+      expect(res.statusCode).toBe(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
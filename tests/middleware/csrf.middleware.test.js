@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import { csrfProtection } from '../../src/middleware/csrf.middleware.js';
+import { issueSessionTokens, ACCESS_COOKIE, CSRF_COOKIE } from '../../src/utils/authCookies.js';
+
+const CSRF_TOKEN = 'a'.repeat(64);
+
+const buildRes = () => ({
+  statusCode: 200,
+  cookies: {},
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  cookie(name, value, options) {
+    this.cookies[name] = { value, options };
+  }
+});
+
+const buildReq = ({ method = 'POST', headers = {}, cookies = {} } = {}) => ({
+  method,
+  headers,
+  cookies,
+  originalUrl: '/api/payments/create-intent',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const cookieSession = { [ACCESS_COOKIE]: 'jwt', [CSRF_COOKIE]: CSRF_TOKEN };
+
+describe('csrfProtection', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    res = buildRes();
+    next = jest.fn();
+  });
+
+  it('accepts cookie requests that echo the CSRF cookie in the header', () => {
+    csrfProtection(buildReq({ cookies: cookieSession, headers: { 'x-csrf-token': CSRF_TOKEN } }), res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('rejects cookie requests without the header', () => {
+    csrfProtection(buildReq({ cookies: cookieSession }), res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects a header that does not match the cookie', () => {
+    csrfProtection(buildReq({ cookies: cookieSession, headers: { 'x-csrf-token': 'b'.repeat(64) } }), res, next);
+    expect(res.statusCode).toBe(403);
+
+    res = buildRes();
+    csrfProtection(buildReq({ cookies: cookieSession, headers: { 'x-csrf-token': 'a' } }), res, next);
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects a header when the CSRF cookie is missing', () => {
+    csrfProtection(buildReq({ cookies: { [ACCESS_COOKIE]: 'jwt' }, headers: { 'x-csrf-token': '' } }), res, next);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('skips safe methods', () => {
+    csrfProtection(buildReq({ method: 'GET', cookies: cookieSession }), res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('skips Bearer, API key and cookie-less requests', () => {
+    csrfProtection(buildReq({ cookies: cookieSession, headers: { authorization: 'Bearer jwt' } }), res, next);
+    csrfProtection(buildReq({ cookies: cookieSession, headers: { 'x-api-key': 'usdt_key' } }), res, next);
+    csrfProtection(buildReq(), res, next);
+
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(res.statusCode).toBe(200);
+  });
+});
+
+describe('issueSessionTokens', () => {
+  const tokens = { token: 'access', refreshToken: 'refresh', expiresIn: '15m' };
+
+  it('returns tokens in the body by default', () => {
+    const res = buildRes();
+
+    expect(issueSessionTokens({ body: {} }, res, tokens)).toBe(tokens);
+    expect(res.cookies).toEqual({});
+  });
+
+  it('sets httpOnly session cookies and a readable CSRF cookie in cookie mode', () => {
+    const res = buildRes();
+
+    const body = issueSessionTokens({ body: { sessionMode: 'cookie' } }, res, tokens);
+
+    expect(body).toEqual({ sessionMode: 'cookie', csrfToken: expect.stringMatching(/^[a-f0-9]{64}$/), expiresIn: '15m' });
+    expect(body.token).toBeUndefined();
+    expect(res.cookies.token.options.httpOnly).toBe(true);
+    expect(res.cookies.refreshToken.options).toMatchObject({ httpOnly: true, path: '/api/auth' });
+    expect(res.cookies.csrfToken).toMatchObject({ value: body.csrfToken, options: { httpOnly: false } });
+  });
+});
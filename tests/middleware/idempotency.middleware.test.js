@@ -0,0 +1,188 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import IdempotencyKey from '../../src/models/IdempotencyKey.js';
+import { idempotency } from '../../src/middleware/idempotency.middleware.js';
+
+const KEY = 'order-12345678';
+
+const buildReq = (body = { usdAmount: 100, walletAddress: 'TX1' }) => ({
+  method: 'POST',
+  baseUrl: '/api/payments',
+  path: '/create-intent',
+  body,
+  user: { _id: new mongoose.Types.ObjectId() },
+  get: (name) => (name.toLowerCase() === 'idempotency-key' ? KEY : undefined)
+});
+
+const buildRes = () => {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headersSent: false,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.headersSent = true;
+      return this;
+    }
+  });
+  return res;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// Run the middleware once to learn the fingerprint it stores for a request
+const fingerprintOf = async (req) => {
+  jest.spyOn(IdempotencyKey, 'create').mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+  await idempotency(req, buildRes(), jest.fn());
+  return IdempotencyKey.create.mock.calls.at(-1)[0].requestHash;
+};
+
+describe('idempotency middleware', () => {
+  let next;
+
+  beforeEach(() => {
+    next = jest.fn();
+    jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs requests without the header normally', async () => {
+    const req = { ...buildReq(), get: () => undefined };
+
+    await idempotency(req, buildRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.idempotencyKey).toBeUndefined();
+  });
+
+  it('stores a successful response for the first request', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    const req = buildReq();
+    const res = buildRes();
+
+    await idempotency(req, res, next);
+    res.status(201).json({ success: true, data: { id: 'pi_1' } });
+
+    expect(req.idempotencyKey).toBe(KEY);
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith({ _id: record._id }, {
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true, data: { id: 'pi_1' } }
+    });
+  });
+
+  it('releases the key when the request fails', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    const res = buildRes();
+
+    await idempotency(buildReq(), res, next);
+    res.status(500).json({ success: false });
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: record._id });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('stores the response even when the client disconnected first', async () => {
+    const record = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+    const res = buildRes();
+
+    await idempotency(buildReq(), res, next);
+    res.emit('close');
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+
+    res.status(201).json({ success: true });
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.updateOne.mock.calls[0][1]).toMatchObject({ status: 'completed', responseStatus: 201 });
+  });
+
+  it('replays the stored response for a retry', async () => {
+    const req = buildReq();
+    const requestHash = await fingerprintOf(req);
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({
+      requestHash,
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true, data: { id: 'pi_1' } }
+    });
+    const res = buildRes();
+
+    await idempotency(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ success: true, data: { id: 'pi_1' } });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('treats bodies with reordered fields as the same request', async () => {
+    const requestHash = await fingerprintOf(buildReq({ usdAmount: 100, walletAddress: 'TX1' }));
+
+    expect(await fingerprintOf(buildReq({ walletAddress: 'TX1', usdAmount: 100 }))).toBe(requestHash);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const requestHash = await fingerprintOf(buildReq());
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({ requestHash, status: 'completed' });
+    const res = buildRes();
+
+    await idempotency(buildReq({ usdAmount: 500, walletAddress: 'TX1' }), res, next);
+
+    expect(res.statusCode).toBe(422);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses a retry while the first request is still running', async () => {
+    const req = buildReq();
+    const requestHash = await fingerprintOf(req);
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue({ _id: 'k1', requestHash, status: 'processing' });
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+    const res = buildRes();
+
+    await idempotency(req, res, next);
+
+    expect(res.statusCode).toBe(409);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('reclaims a key left processing by a crashed request', async () => {
+    const req = buildReq();
+    const requestHash = await fingerprintOf(req);
+    delete req.idempotencyKey;
+    const record = { _id: new mongoose.Types.ObjectId(), requestHash, status: 'processing' };
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(record);
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(record);
+    const res = buildRes();
+
+    await idempotency(req, res, next);
+
+    const [filter] = IdempotencyKey.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: record._id, status: 'processing', updatedAt: { $lt: expect.any(Date) } });
+    expect(Date.now() - filter.updatedAt.$lt.getTime()).toBeGreaterThanOrEqual(60 * 1000);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.idempotencyKey).toBe(KEY);
+
+    res.status(201).json({ success: true });
+    expect(IdempotencyKey.updateOne.mock.calls.at(-1)[0]).toEqual({ _id: record._id });
+  });
+});
@@ -0,0 +1,339 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import WalletAddress from '../../src/models/WalletAddress.js';
+import config from '../../src/config/environment.js';
+import { requireTwoFactorStepUp, requireVerifiedWallet, resolvePayoutWallet } from '../../src/middleware/payoutPolicy.middleware.js';
+import { generateSecret, generateCode } from '../../src/utils/totp.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const confirmedWallet = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  address: 'TSavedWallet',
+  isConfirmed: true,
+  isCoolingDown: false,
+  ...overrides
+});
+
+describe('requireTwoFactorStepUp', () => {
+  let user;
+  let req;
+  let res;
+  let next;
+
+  const stepUp = () => requireTwoFactorStepUp(req, res, next);
+
+  beforeEach(() => {
+    user = new User({
+      email: 'jane@example.com',
+      fullName: 'Jane Doe',
+      password: 'unused',
+      walletAddress: 'TProfileWallet',
+      twoFactorEnabled: true,
+      twoFactorSecret: generateSecret()
+    });
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    req = {
+      user,
+      body: { usdAmount: 100, walletAddress: 'TSavedWallet' },
+      payoutWallet: confirmedWallet(),
+      get: () => undefined
+    };
+    res = buildRes();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets small purchases to a confirmed saved wallet through', async () => {
+    await stepUp();
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('asks for a code above the step-up amount', async () => {
+    req.body.usdAmount = config.twoFactor.stepUpAmountUSD + 1;
+
+    await stepUp();
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.requiresTwoFactor).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('asks for a code for an address that is not in the address book', async () => {
+    Object.assign(req, { payoutWallet: null, body: { usdAmount: 100, walletAddress: 'TSomewhereElse' } });
+
+    await stepUp();
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('asks for a code for the profile wallet when it is not a confirmed saved wallet', async () => {
+    Object.assign(req, { payoutWallet: null, body: { usdAmount: 100, walletAddress: user.walletAddress } });
+
+    await stepUp();
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('asks for a code for new addresses even without a profile wallet', async () => {
+    user.walletAddress = null;
+    req.payoutWallet = null;
+
+    await stepUp();
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('treats unconfirmed or cooling-down saved wallets as new', async () => {
+    req.payoutWallet = confirmedWallet({ isConfirmed: false });
+    await stepUp();
+    expect(res.statusCode).toBe(401);
+
+    res = buildRes();
+    req.payoutWallet = confirmedWallet({ isCoolingDown: true, availableAt: new Date(Date.now() + HOUR_MS) });
+    await stepUp();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('accepts a current code once and strips it from the body', async () => {
+    req.body.usdAmount = config.twoFactor.stepUpAmountUSD + 1;
+    req.body.totpCode = generateCode(user.twoFactorSecret);
+
+    await stepUp();
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body.totpCode).toBeUndefined();
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('rejects a wrong code', async () => {
+    req.body.usdAmount = config.twoFactor.stepUpAmountUSD + 1;
+    req.body.totpCode = generateCode(user.twoFactorSecret) === '000000' ? '111111' : '000000';
+
+    await stepUp();
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('lets users without 2FA through unless it is required for high value', async () => {
+    user.twoFactorEnabled = false;
+    req.body.usdAmount = config.twoFactor.stepUpAmountUSD + 1;
+
+    await stepUp();
+    expect(next).toHaveBeenCalledWith();
+
+    jest.replaceProperty(config.twoFactor, 'requireForHighValue', true);
+    next = jest.fn();
+    await stepUp();
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('requireTwoFactorStepUp with API keys', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    req = {
+      user: { _id: new mongoose.Types.ObjectId(), twoFactorEnabled: true },
+      apiKey: { _id: new mongoose.Types.ObjectId() },
+      body: { usdAmount: 100, walletAddress: 'TSavedWallet' },
+      payoutWallet: confirmedWallet(),
+      get: () => undefined
+    };
+    res = buildRes();
+    next = jest.fn();
+  });
+
+  it('allows small payments to a confirmed saved wallet', async () => {
+    await requireTwoFactorStepUp(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('refuses payments above the step-up amount instead of asking for a code', async () => {
+    req.body.usdAmount = config.twoFactor.stepUpAmountUSD + 1;
+
+    await requireTwoFactorStepUp(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.requiresTwoFactor).toBeUndefined();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses payments to wallets that are not confirmed saved wallets', async () => {
+    req.payoutWallet = null;
+
+    await requireTwoFactorStepUp(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolvePayoutWallet', () => {
+  const ADDRESS = 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7';
+  let req;
+  let res;
+  let next;
+
+  const resolve = (wallet) => {
+    jest.spyOn(WalletAddress, 'findOne').mockResolvedValue(wallet);
+    return resolvePayoutWallet(req, res, next);
+  };
+
+  beforeEach(() => {
+    req = {
+      user: { _id: new mongoose.Types.ObjectId(), walletWhitelistEnabled: true },
+      body: { usdAmount: 100, walletAddress: ADDRESS, network: 'trc20' }
+    };
+    res = buildRes();
+    next = jest.fn();
+    jest.spyOn(WalletAddress, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches a raw address to the saved wallet', async () => {
+    const wallet = confirmedWallet({ address: ADDRESS, network: 'TRC20' });
+
+    await resolve(wallet);
+
+    expect(WalletAddress.findOne.mock.calls[0][0]).toMatchObject({ userId: req.user._id, network: 'TRC20' });
+    expect(req.payoutWallet).toBe(wallet);
+    expect(WalletAddress.updateOne).toHaveBeenCalledWith({ _id: wallet._id }, { lastUsedAt: expect.any(Date) });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('pays out to the saved wallet picked by walletId', async () => {
+    const wallet = confirmedWallet({ address: ADDRESS, network: 'TRC20' });
+    req.body = { usdAmount: 100, walletId: wallet._id.toString() };
+
+    await resolve(wallet);
+
+    expect(req.body).toEqual({ usdAmount: 100, walletAddress: ADDRESS, network: 'TRC20' });
+  });
+
+  it('returns 404 for another user\'s walletId', async () => {
+    req.body = { usdAmount: 100, walletId: new mongoose.Types.ObjectId().toString() };
+
+    await resolve(null);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('blocks unsaved addresses in whitelist mode', async () => {
+    await resolve(null);
+
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('blocks unconfirmed wallets in whitelist mode', async () => {
+    await resolve(confirmedWallet({ address: ADDRESS, network: 'TRC20', isConfirmed: false }));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toContain('Confirm this wallet');
+  });
+
+  it('blocks wallets still cooling down in whitelist mode', async () => {
+    const availableAt = new Date(Date.now() + HOUR_MS);
+
+    await resolve(confirmedWallet({ address: ADDRESS, network: 'TRC20', isCoolingDown: true, availableAt }));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toContain(availableAt.toISOString());
+  });
+
+  it('lets any valid address through with whitelist mode off', async () => {
+    req.user.walletWhitelistEnabled = false;
+
+    await resolve(null);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.payoutWallet).toBeNull();
+  });
+});
+
+describe('requireVerifiedWallet', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.replaceProperty(config.addressBook, 'ownershipProofAmountUSD', 1000);
+    req = { body: { usdAmount: 1500 }, payoutWallet: confirmedWallet({ isOwnershipVerified: false }) };
+    res = buildRes();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requires a verified wallet above the threshold', () => {
+    requireVerifiedWallet(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.walletVerificationRequired).toBe(true);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('requires a saved wallet at all above the threshold', () => {
+    req.payoutWallet = null;
+
+    requireVerifiedWallet(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('lets a verified wallet through', () => {
+    req.payoutWallet.isOwnershipVerified = true;
+
+    requireVerifiedWallet(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('lets purchases up to the threshold through', () => {
+    req.body.usdAmount = 1000;
+
+    requireVerifiedWallet(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('is off when the threshold is 0', () => {
+    jest.replaceProperty(config.addressBook, 'ownershipProofAmountUSD', 0);
+
+    requireVerifiedWallet(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import AuthThrottle from '../../src/models/AuthThrottle.js';
+import User from '../../src/models/User.js';
+import BruteForceService from '../../src/services/bruteForceService.js';
+import LoginHistoryService from '../../src/services/loginHistoryService.js';
+import emailService from '../../src/services/emailService.js';
+import AuthController from '../../src/controllers/authController.js';
+import config from '../../src/config/environment.js';
+
+const IP = '203.0.113.5';
+
+describe('BruteForceService', () => {
+  const { delayAfterAttempts, baseDelayMs, maxAccountAttempts } = config.bruteForce;
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('check', () => {
+    it('allows attempts with no recorded failures', async () => {
+      jest.spyOn(AuthThrottle, 'find').mockResolvedValue([]);
+
+      expect(await BruteForceService.check('login', 'Jane@Example.com', IP)).toEqual({ allowed: true });
+      expect(AuthThrottle.find).toHaveBeenCalledWith({
+        key: { $in: ['login:account:jane@example.com', `login:ip:${IP}`] }
+      });
+    });
+
+    it('makes repeated failures wait an exponentially growing delay', async () => {
+      jest.spyOn(AuthThrottle, 'find').mockResolvedValue([{
+        kind: 'account',
+        failures: delayAfterAttempts + 1,
+        lastFailureAt: new Date()
+      }]);
+
+      const result = await BruteForceService.check('login', 'jane@example.com', IP);
+
+      expect(result.allowed).toBe(false);
+      expect(result.retryAfterSeconds).toBe(Math.ceil((baseDelayMs * 2) / 1000));
+      expect(result.message).toMatch(/wait/);
+    });
+
+    it('refuses attempts while locked', async () => {
+      jest.spyOn(AuthThrottle, 'find').mockResolvedValue([{
+        kind: 'ip',
+        failures: 0,
+        lockedUntil: new Date(Date.now() + 10 * 60 * 1000)
+      }]);
+
+      const result = await BruteForceService.check('login', 'jane@example.com', IP);
+
+      expect(result.allowed).toBe(false);
+      expect(result.retryAfterSeconds).toBeGreaterThan(9 * 60);
+      expect(result.message).toMatch(/locked/);
+    });
+  });
+
+  describe('recordFailure', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', fullName: 'Jane Doe' };
+
+    it('counts failures per account and IP without locking below the limit', async () => {
+      jest.spyOn(AuthThrottle, 'findOneAndUpdate').mockResolvedValue({ _id: 't1', failures: 1 });
+      jest.spyOn(AuthThrottle, 'updateOne');
+
+      const result = await BruteForceService.recordFailure('login', 'jane@example.com', IP, user);
+
+      expect(AuthThrottle.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(AuthThrottle.findOneAndUpdate.mock.calls[0][1].$inc).toEqual({ failures: 1 });
+      expect(AuthThrottle.updateOne).not.toHaveBeenCalled();
+      expect(result).toEqual({ accountLocked: false });
+    });
+
+    it('locks the account at the limit and emails the owner once', async () => {
+      jest.spyOn(AuthThrottle, 'findOneAndUpdate').mockImplementation(async (filter) => (
+        filter.key.includes(':account:')
+          ? { _id: 'account', failures: maxAccountAttempts }
+          : { _id: 'ip', failures: 1 }
+      ));
+      jest.spyOn(AuthThrottle, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      const first = await BruteForceService.recordFailure('login', 'jane@example.com', IP, user);
+      const second = await BruteForceService.recordFailure('login', 'jane@example.com', IP, user);
+
+      const [filter, update] = AuthThrottle.updateOne.mock.calls[0];
+      expect(filter.$or).toEqual([{ lockedUntil: null }, { lockedUntil: { $lte: expect.any(Date) } }]);
+      expect(update.$set).toMatchObject({ lockedUntil: expect.any(Date), failures: 0 });
+      expect(first).toEqual({ accountLocked: true });
+      expect(second).toEqual({ accountLocked: false });
+      expect(emailService.sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('clears only the account counter', async () => {
+      jest.spyOn(AuthThrottle, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await BruteForceService.recordSuccess('login', 'Jane@Example.com');
+
+      expect(AuthThrottle.deleteOne).toHaveBeenCalledWith({ key: 'login:account:jane@example.com' });
+    });
+  });
+
+  describe('login', () => {
+    it('answers 429 with Retry-After without checking the password', async () => {
+      jest.spyOn(BruteForceService, 'check').mockResolvedValue({ allowed: false, retryAfterSeconds: 30, message: 'Too many' });
+      jest.spyOn(LoginHistoryService, 'recordFailure').mockResolvedValue(undefined);
+      jest.spyOn(User, 'findOne');
+      const headers = {};
+      const res = {
+        set: (name, value) => { headers[name] = value; },
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+
+      await AuthController.login({ body: { email: 'jane@example.com', password: 'x' }, ip: IP }, res, jest.fn());
+
+      expect(res.statusCode).toBe(429);
+      expect(headers['Retry-After']).toBe('30');
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { Transaction as EvmTransaction, parseUnits } from 'ethers';
+
+// A throwaway hot wallet; the provider is stubbed so nothing is sent
+process.env.ERC20_RPC_URL = 'http://127.0.0.1:8545';
+process.env.ERC20_HOT_WALLET_PRIVATE_KEY = `0x${'11'.repeat(32)}`;
+
+const { default: evmCryptoService } = await import('../../src/services/evmCryptoService.js');
+
+const gwei = (value) => parseUnits(String(value), 'gwei');
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('evmCryptoService.resumeTransfer', () => {
+  let chain;
+  let provider;
+  let signedPayout;
+
+  beforeEach(async () => {
+    chain = evmCryptoService.getChain('ERC20');
+    provider = chain.provider;
+
+    const raw = await chain.wallet.signTransaction({
+      to: chain.tokenAddress,
+      data: '0xa9059cbb',
+      nonce: 5,
+      gasLimit: 60000n,
+      chainId: chain.chainId,
+      type: 2,
+      maxFeePerGas: gwei(20),
+      maxPriorityFeePerGas: gwei(1)
+    });
+    signedPayout = { hash: EvmTransaction.from(raw).hash, raw, replacedHashes: [], signedAt: new Date() };
+
+    // Pending by default: not mined, nonce 5 still open, node knows the transaction
+    jest.spyOn(provider, 'getTransactionReceipt').mockResolvedValue(null);
+    jest.spyOn(provider, 'getTransactionCount').mockResolvedValue(5);
+    jest.spyOn(provider, 'getBlockNumber').mockResolvedValue(1000);
+    jest.spyOn(provider, 'getTransaction').mockResolvedValue({ hash: signedPayout.hash });
+    jest.spyOn(provider, 'getFeeData').mockResolvedValue({ maxFeePerGas: gwei(15), maxPriorityFeePerGas: gwei(1), gasPrice: null });
+    jest.spyOn(provider, 'broadcastTransaction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a mined transfer without broadcasting', async () => {
+    provider.getTransactionReceipt.mockResolvedValue({ status: 1 });
+
+    const transfer = await evmCryptoService.resumeTransfer(signedPayout, 'ERC20');
+
+    expect(transfer.transactionHash).toBe(signedPayout.hash);
+    expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+  });
+
+  it('finds an earlier version of a replaced transfer that was mined', async () => {
+    const replaced = { ...signedPayout, hash: '0xreplacement', replacedHashes: [signedPayout.hash] };
+    provider.getTransactionReceipt.mockImplementation(async (hash) => (hash === signedPayout.hash ? { status: 1 } : null));
+    provider.getTransactionCount.mockResolvedValue(6);
+
+    const transfer = await evmCryptoService.resumeTransfer(replaced, 'ERC20');
+
+    expect(transfer.transactionHash).toBe(signedPayout.hash);
+  });
+
+  it('rebroadcasts the same signed transaction when the node dropped it', async () => {
+    provider.getTransaction.mockResolvedValue(null);
+
+    const transfer = await evmCryptoService.resumeTransfer(signedPayout, 'ERC20');
+
+    expect(transfer.transactionHash).toBe(signedPayout.hash);
+    expect(provider.broadcastTransaction).toHaveBeenCalledWith(signedPayout.raw);
+  });
+
+  it('only looks when rebroadcast is off', async () => {
+    await expect(evmCryptoService.resumeTransfer(signedPayout, 'ERC20', { rebroadcast: false }))
+      .resolves.toMatchObject({ transactionHash: signedPayout.hash });
+
+    provider.getTransaction.mockResolvedValue(null);
+    await expect(evmCryptoService.resumeTransfer(signedPayout, 'ERC20', { rebroadcast: false }))
+      .rejects.toThrow(/could still be sent/);
+
+    expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+  });
+
+  it('replaces a stuck transfer at the same nonce with higher fees', async () => {
+    const onSigned = jest.fn();
+    signedPayout.signedAt = minutesAgo(chain.replaceAfterMinutes + 1);
+
+    const transfer = await evmCryptoService.resumeTransfer(signedPayout, 'ERC20', { onSigned });
+
+    const replacement = onSigned.mock.calls[0][0];
+    const parsed = EvmTransaction.from(replacement.raw);
+    expect(parsed.nonce).toBe(5);
+    expect(parsed.to).toBe(chain.tokenAddress);
+    expect(parsed.maxFeePerGas).toBeGreaterThanOrEqual(gwei(20) * 1125n / 1000n);
+    expect(replacement.replacedHashes).toEqual([signedPayout.hash]);
+    expect(transfer.transactionHash).toBe(replacement.hash);
+    expect(provider.broadcastTransaction).toHaveBeenCalledWith(replacement.raw);
+    expect(onSigned.mock.invocationCallOrder[0]).toBeLessThan(provider.broadcastTransaction.mock.invocationCallOrder[0]);
+  });
+
+  it('does not replace above the gas cap', async () => {
+    const onSigned = jest.fn();
+    signedPayout.signedAt = minutesAgo(chain.replaceAfterMinutes + 1);
+    provider.getFeeData.mockResolvedValue({ maxFeePerGas: gwei(chain.maxFeePerGasGwei + 1), maxPriorityFeePerGas: gwei(1), gasPrice: null });
+
+    const transfer = await evmCryptoService.resumeTransfer(signedPayout, 'ERC20', { onSigned });
+
+    expect(onSigned).not.toHaveBeenCalled();
+    expect(transfer.transactionHash).toBe(signedPayout.hash);
+  });
+
+  it('waits while the nonce was only just used by another transaction', async () => {
+    provider.getTransactionCount.mockImplementation(async (address, blockTag) => (blockTag === 'latest' ? 6 : 5));
+
+    await expect(evmCryptoService.resumeTransfer(signedPayout, 'ERC20')).rejects.toThrow(/waiting for it to settle/);
+    expect(provider.getTransactionCount).toHaveBeenCalledWith(chain.wallet.address, 1000 - chain.confirmations);
+  });
+
+  it('reports a dropped transfer once its nonce is settled without our receipt', async () => {
+    provider.getTransactionCount.mockResolvedValue(6);
+
+    await expect(evmCryptoService.resumeTransfer(signedPayout, 'ERC20')).resolves.toBeNull();
+    expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(2);
+    expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+  });
+
+  it('prefers a receipt that shows up while the nonce is checked', async () => {
+    provider.getTransactionCount.mockResolvedValue(6);
+    provider.getTransactionReceipt.mockResolvedValueOnce(null).mockResolvedValue({ status: 1 });
+
+    await expect(evmCryptoService.resumeTransfer(signedPayout, 'ERC20'))
+      .resolves.toMatchObject({ transactionHash: signedPayout.hash });
+  });
+});
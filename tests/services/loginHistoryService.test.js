@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import LoginEvent from '../../src/models/LoginEvent.js';
+import Session from '../../src/models/Session.js';
+import TokenService from '../../src/services/tokenService.js';
+import LoginHistoryService from '../../src/services/loginHistoryService.js';
+import emailService from '../../src/services/emailService.js';
+import AuthController from '../../src/controllers/authController.js';
+
+const buildReq = (userAgent = 'Mozilla/5.0 (X11; Linux)') => ({
+  ip: '203.0.113.5',
+  get: (name) => (name.toLowerCase() === 'user-agent' ? userAgent : undefined)
+});
+
+const buildRes = () => ({
+  statusCode: 200,
+  cleared: [],
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  clearCookie(name) {
+    this.cleared.push(name);
+  }
+});
+
+describe('login history', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', fullName: 'Jane Doe' };
+
+  beforeEach(() => {
+    jest.spyOn(LoginEvent, 'create').mockImplementation(async (data) => ({ ...data, createdAt: new Date() }));
+    jest.spyOn(emailService, 'sendNewDeviceLoginEmail').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordSuccess', () => {
+    const history = (hasHistory, knownDevice) => jest.spyOn(LoginEvent, 'exists')
+      .mockImplementation(async (filter) => (filter.deviceId ? knownDevice : hasHistory));
+
+    it('emails the user about a device not seen before', async () => {
+      history(true, false);
+
+      const event = await LoginHistoryService.recordSuccess(buildReq(), user, { _id: 's1' });
+
+      expect(event).toMatchObject({ success: true, isNewDevice: true, sessionId: 's1', reason: 'password' });
+      expect(emailService.sendNewDeviceLoginEmail).toHaveBeenCalledWith(user.email, user.fullName, expect.objectContaining({
+        ipAddress: '203.0.113.5',
+        userAgent: 'Mozilla/5.0 (X11; Linux)'
+      }));
+    });
+
+    it('does not email for a known device or the first ever login', async () => {
+      history(true, true);
+      await LoginHistoryService.recordSuccess(buildReq(), user, { _id: 's1' });
+
+      history(false, false);
+      await LoginHistoryService.recordSuccess(buildReq(), user, { _id: 's2' });
+
+      expect(emailService.sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+    });
+
+    it('never fails the login when history cannot be stored', async () => {
+      history(true, false);
+      LoginEvent.create.mockRejectedValue(new Error('db down'));
+
+      await expect(LoginHistoryService.recordSuccess(buildReq(), user, null)).resolves.toBeNull();
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('stores the attempted email and reason', async () => {
+      await LoginHistoryService.recordFailure(buildReq(), { email: 'jane@example.com', reason: 'invalid_credentials' });
+
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: null,
+        email: 'jane@example.com',
+        success: false,
+        reason: 'invalid_credentials',
+        deviceId: LoginHistoryService.deviceId(buildReq())
+      }));
+    });
+  });
+
+  describe('revokeSession', () => {
+    const current = { _id: new mongoose.Types.ObjectId() };
+
+    const revoke = async (session) => {
+      jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+      jest.spyOn(TokenService, 'revokeSession').mockResolvedValue(undefined);
+      const res = buildRes();
+      await AuthController.revokeSession({ params: { id: 'x' }, user, authSession: current }, res, jest.fn());
+      return res;
+    };
+
+    it('only looks up the user\'s own active sessions', async () => {
+      const res = await revoke(null);
+
+      expect(Session.findOne).toHaveBeenCalledWith({ _id: 'x', userId: user._id, revokedAt: null });
+      expect(res.statusCode).toBe(404);
+      expect(TokenService.revokeSession).not.toHaveBeenCalled();
+    });
+
+    it('revokes another device without logging this one out', async () => {
+      const other = { _id: new mongoose.Types.ObjectId() };
+
+      const res = await revoke(other);
+
+      expect(TokenService.revokeSession).toHaveBeenCalledWith(other._id, 'revoked_by_user');
+      expect(res.body.message).toBe('Session revoked');
+      expect(res.cleared).toEqual([]);
+    });
+
+    it('clears the cookies when the current session is revoked', async () => {
+      const res = await revoke({ _id: current._id });
+
+      expect(res.cleared).toContain('token');
+      expect(res.body.message).toMatch(/logged out/);
+    });
+  });
+});
+
+describe('new sign-in email', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('escapes the name, IP address and user agent in the HTML', async () => {
+    jest.spyOn(emailService, 'deliver').mockResolvedValue(undefined);
+
+    await emailService.sendNewDeviceLoginEmail('jane@example.com', 'Jane <b>Doe</b>', {
+      ipAddress: '"><img src=x>',
+      userAgent: '<a href="https://evil.example">Reset your password</a>',
+      time: new Date()
+    });
+
+    const [{ html }] = emailService.deliver.mock.calls[0];
+    expect(html).not.toContain('<a href="https://evil.example">');
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('<b>Doe</b>');
+    expect(html).toContain('&lt;a href=&quot;https://evil.example&quot;&gt;Reset your password&lt;/a&gt;');
+    expect(html).toContain('Jane &lt;b&gt;Doe&lt;/b&gt;');
+  });
+});
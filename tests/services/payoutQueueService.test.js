@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import PayoutJob from '../../src/models/PayoutJob.js';
+import PayoutService from '../../src/services/payoutService.js';
+import PayoutQueueService from '../../src/services/payoutQueueService.js';
+import config from '../../src/config/environment.js';
+
+const buildJob = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  transactionId: new mongoose.Types.ObjectId(),
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 5,
+  ...overrides
+});
+
+describe('PayoutQueueService', () => {
+  beforeEach(() => {
+    jest.spyOn(PayoutJob, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(PayoutService, 'executePayout').mockResolvedValue(null);
+    jest.spyOn(PayoutService, 'markForReview').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('claimNext', () => {
+    it('takes due queued jobs and running jobs whose lock expired', async () => {
+      jest.spyOn(PayoutJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await PayoutQueueService.claimNext();
+
+      const [filter, update] = PayoutJob.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or).toEqual([
+        { status: 'queued', runAt: { $lte: expect.any(Date) } },
+        { status: 'running', lockedUntil: { $lt: expect.any(Date) } }
+      ]);
+      expect(update).toMatchObject({ status: 'running', lockedBy: expect.any(String), $inc: { attempts: 1 } });
+    });
+  });
+
+  describe('runJob', () => {
+    it('records success only for the claim this worker holds', async () => {
+      const job = buildJob();
+
+      await PayoutQueueService.runJob(job);
+
+      const [filter, update] = PayoutJob.updateOne.mock.calls[0];
+      expect(filter).toEqual(PayoutQueueService.ownClaim(job));
+      expect(filter).toMatchObject({ _id: job._id, status: 'running', attempts: 1 });
+      expect(update.$set).toMatchObject({ status: 'succeeded', lockedBy: null, lockedUntil: null });
+    });
+
+    it('schedules a retry after a transient error', async () => {
+      PayoutService.executePayout.mockRejectedValue(new Error('Binance timeout'));
+      const job = buildJob();
+
+      await PayoutQueueService.runJob(job);
+
+      const update = PayoutJob.updateOne.mock.calls[0][1];
+      expect(update.$set).toMatchObject({ status: 'queued', runAt: expect.any(Date), lastError: 'Binance timeout' });
+      expect(update.$push.failures).toEqual({ attempt: 1, message: 'Binance timeout', transient: true });
+      expect(PayoutService.markForReview).not.toHaveBeenCalled();
+    });
+
+    it('dead-letters permanent errors and holds the transaction for review', async () => {
+      PayoutService.executePayout.mockRejectedValue(new Error('Invalid TRC20 address: checksum does not match'));
+      const job = buildJob();
+
+      await PayoutQueueService.runJob(job);
+
+      expect(PayoutJob.updateOne.mock.calls[0][1].$set.status).toBe('dead');
+      expect(PayoutService.markForReview).toHaveBeenCalledWith(job.transactionId, expect.stringMatching(/Invalid TRC20/));
+    });
+
+    it('dead-letters once attempts run out', async () => {
+      PayoutService.executePayout.mockRejectedValue(new Error('Binance timeout'));
+
+      await PayoutQueueService.runJob(buildJob({ attempts: 5 }));
+
+      expect(PayoutJob.updateOne.mock.calls[0][1].$set.status).toBe('dead');
+    });
+
+    it('leaves the job alone when another worker took it over', async () => {
+      PayoutService.executePayout.mockRejectedValue(new Error('Invalid wallet address'));
+      PayoutJob.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await PayoutQueueService.runJob(buildJob());
+
+      expect(PayoutService.markForReview).not.toHaveBeenCalled();
+    });
+
+    it('renews the lock while the payout runs and stops afterwards', async () => {
+      jest.useFakeTimers();
+      const job = buildJob();
+      const interval = Math.floor(config.payoutQueue.lockTimeoutMs / 3);
+
+      let finishPayout;
+      PayoutService.executePayout.mockReturnValue(new Promise(resolve => { finishPayout = resolve; }));
+
+      const running = PayoutQueueService.runJob(job);
+
+      await jest.advanceTimersByTimeAsync(interval * 2);
+      expect(PayoutJob.updateOne).toHaveBeenCalledTimes(2);
+      expect(PayoutJob.updateOne.mock.calls[0]).toEqual([
+        PayoutQueueService.ownClaim(job),
+        { lockedUntil: expect.any(Date) }
+      ]);
+
+      finishPayout();
+      await running;
+      const callsAfterFinish = PayoutJob.updateOne.mock.calls.length;
+
+      await jest.advanceTimersByTimeAsync(interval * 3);
+      expect(PayoutJob.updateOne).toHaveBeenCalledTimes(callsAfterFinish);
+    });
+  });
+
+  describe('requeue', () => {
+    it('resets the job so the payout runs again from scratch', async () => {
+      const transactionId = new mongoose.Types.ObjectId();
+      jest.spyOn(PayoutJob, 'findOneAndUpdate').mockResolvedValue(buildJob({ transactionId, status: 'queued' }));
+
+      await PayoutQueueService.requeue(transactionId);
+
+      const [filter, update, options] = PayoutJob.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ transactionId });
+      expect(update.$set).toMatchObject({ status: 'queued', attempts: 0, runAt: expect.any(Date) });
+      expect(options).toMatchObject({ upsert: true });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../src/models/Transaction.js';
+import USDTConversionService from '../../src/services/usdtConversionService.js';
+import PayoutService from '../../src/services/payoutService.js';
+
+const buildTransaction = (overrides = {}) => {
+  const transaction = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    status: 'payment_confirmed',
+    payoutReference: null,
+    walletAddress: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+    usdtAmount: 95,
+    blockchainNetwork: 'TRC20',
+    signedPayout: {},
+    metadata: {},
+    ...overrides
+  };
+  transaction.save = jest.fn().mockResolvedValue(transaction);
+  transaction.markModified = jest.fn();
+  return transaction;
+};
+
+const transfer = {
+  withdrawalId: 'w-1',
+  transactionHash: null,
+  network: 'TRC20',
+  payoutBackend: 'binance',
+  isReal: true
+};
+
+describe('PayoutService.executePayout', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = buildTransaction();
+    jest.spyOn(Transaction, 'findById').mockImplementation(() => ({ select: jest.fn().mockResolvedValue(stored) }));
+    jest.spyOn(USDTConversionService, 'executeUSDTTransfer').mockResolvedValue(transfer);
+    jest.spyOn(USDTConversionService, 'findExistingTransfer').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims a confirmed transaction and sends the USDT once', async () => {
+    const claimed = buildTransaction({ _id: stored._id, status: 'converting_to_usdt', payoutReference: `payout_${stored._id}` });
+    jest.spyOn(PayoutService, 'claimPayout').mockResolvedValue(claimed);
+
+    const result = await PayoutService.executePayout(stored._id);
+
+    expect(USDTConversionService.findExistingTransfer).not.toHaveBeenCalled();
+    expect(USDTConversionService.executeUSDTTransfer).toHaveBeenCalledTimes(1);
+    expect(USDTConversionService.executeUSDTTransfer.mock.calls[0][4]).toBe(`payout_${stored._id}`);
+    expect(result.status).toBe('usdt_sent');
+    expect(result.withdrawalId).toBe('w-1');
+  });
+
+  it('resumes instead of sending again when an earlier attempt reached Binance', async () => {
+    stored = buildTransaction({ status: 'converting_to_usdt', payoutReference: 'payout_x' });
+    USDTConversionService.findExistingTransfer.mockResolvedValue(transfer);
+
+    const result = await PayoutService.executePayout(stored._id);
+
+    expect(USDTConversionService.executeUSDTTransfer).not.toHaveBeenCalled();
+    expect(result.status).toBe('usdt_sent');
+  });
+
+  it('resumes when another worker claimed the payout first', async () => {
+    jest.spyOn(PayoutService, 'claimPayout').mockImplementation(async () => {
+      stored = buildTransaction({ _id: stored._id, status: 'converting_to_usdt', payoutReference: 'payout_x' });
+      return null;
+    });
+    USDTConversionService.findExistingTransfer.mockResolvedValue(transfer);
+
+    await PayoutService.executePayout(stored._id);
+
+    expect(USDTConversionService.findExistingTransfer).toHaveBeenCalledTimes(1);
+    expect(USDTConversionService.executeUSDTTransfer).not.toHaveBeenCalled();
+  });
+
+  it('does nothing for a payout that was already sent', async () => {
+    stored = buildTransaction({ status: 'usdt_sent' });
+
+    await PayoutService.executePayout(stored._id);
+
+    expect(USDTConversionService.findExistingTransfer).not.toHaveBeenCalled();
+    expect(USDTConversionService.executeUSDTTransfer).not.toHaveBeenCalled();
+  });
+
+  it('refuses transactions in other statuses without retrying', async () => {
+    stored = buildTransaction({ status: 'refunded' });
+
+    await expect(PayoutService.executePayout(stored._id)).rejects.toMatchObject({ permanent: true });
+    expect(USDTConversionService.executeUSDTTransfer).not.toHaveBeenCalled();
+  });
+
+  it('saves the signed on-chain transaction before it is broadcast', async () => {
+    stored = buildTransaction({ status: 'converting_to_usdt', payoutReference: 'payout_x' });
+    USDTConversionService.executeUSDTTransfer.mockImplementation(async (...args) => {
+      await args[5]({ hash: '0xabc', raw: '0xf8' });
+      return { ...transfer, payoutBackend: 'onchain', withdrawalId: '0xabc', transactionHash: '0xabc' };
+    });
+
+    await PayoutService.executePayout(stored._id);
+
+    expect(stored.save.mock.calls.length).toBeGreaterThanOrEqual(2);
+    expect(stored.signedPayout).toMatchObject({ hash: '0xabc', raw: '0xf8', signedAt: expect.any(Date) });
+  });
+
+  it('sends a new transfer for a requeued payout whose on-chain transfer was dropped', async () => {
+    stored = buildTransaction({
+      status: 'payout_failed',
+      payoutBackend: 'onchain',
+      payoutReference: 'payout_x',
+      signedPayout: { hash: '0xdropped', raw: '0xf8' }
+    });
+    const reclaimed = buildTransaction({ ...stored, status: 'converting_to_usdt' });
+    const reclaim = jest.spyOn(Transaction, 'findOneAndUpdate').mockReturnValue({ select: jest.fn().mockResolvedValue(reclaimed) });
+
+    await PayoutService.executePayout(stored._id);
+
+    expect(reclaim.mock.calls[0][0]).toMatchObject({ status: 'payout_failed', payoutBackend: 'onchain', refundedAmount: 0 });
+    expect(USDTConversionService.findExistingTransfer).toHaveBeenCalledWith(reclaimed, { onSigned: expect.any(Function) });
+    expect(USDTConversionService.executeUSDTTransfer).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PayoutService.claimPayout', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims only confirmed transactions without a payout reference', async () => {
+    const transactionId = new mongoose.Types.ObjectId();
+    const filter = { _id: transactionId, status: 'payment_confirmed', payoutReference: null };
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(PayoutService.claimPayout(transactionId)).resolves.toBeNull();
+    expect(Transaction.findOneAndUpdate.mock.calls[0][0]).toEqual(filter);
+    expect(Transaction.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('converting_to_usdt');
+  });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Transaction from '../../src/models/Transaction.js';
+import config from '../../src/config/environment.js';
+import PurchaseLimitService from '../../src/services/purchaseLimitService.js';
+
+const buildUser = (overrides = {}) => ({ _id: new mongoose.Types.ObjectId(), kycLevel: 'none', ...overrides });
+
+const mockTotals = (totals) => jest.spyOn(Transaction, 'aggregate').mockResolvedValue(totals ? [totals] : []);
+
+describe('PurchaseLimitService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('KYC levels', () => {
+    it.each(['none', 'basic', 'full'])('uses the %s level limits', (level) => {
+      const { limits } = PurchaseLimitService.getLimits(buildUser({ kycLevel: level }));
+
+      expect(limits.perTransaction).toBe(config.kyc.limits[level].perTransaction);
+      expect(limits.daily).toBe(config.kyc.limits[level].daily);
+      expect(limits.monthly).toBe(config.kyc.limits[level].monthly);
+    });
+
+    it('treats users without a level as unverified', () => {
+      expect(PurchaseLimitService.getLimits(buildUser({ kycLevel: undefined })).level).toBe('none');
+    });
+
+    it('refuses a purchase above the level per-transaction limit', async () => {
+      mockTotals(null);
+      const amount = config.kyc.limits.none.perTransaction + 1;
+
+      await expect(PurchaseLimitService.assertWithinLimits(buildUser(), amount))
+        .rejects.toMatchObject({ statusCode: 403, message: expect.stringContaining('per-transaction limit') });
+    });
+
+    it('allows the same purchase once the user is verified', async () => {
+      mockTotals(null);
+      const amount = config.kyc.limits.none.perTransaction + 1;
+
+      await expect(PurchaseLimitService.assertWithinLimits(buildUser({ kycLevel: 'full' }), amount))
+        .resolves.toMatchObject({ level: 'full' });
+    });
+  });
+
+  describe('counted purchases', () => {
+    it('counts held, failed and partly refunded payouts', async () => {
+      mockTotals(null);
+
+      await PurchaseLimitService.getWindowTotals(new mongoose.Types.ObjectId());
+
+      const [{ $match }] = Transaction.aggregate.mock.calls[0][0];
+      const counted = $match.$or[0].status.$in;
+      expect(counted).toEqual(expect.arrayContaining([
+        'completed', 'under_review', 'payout_failed', 'partially_refunded'
+      ]));
+      expect(counted).not.toContain('refunded');
+      expect(counted).not.toContain('failed');
+    });
+
+    it('sums volume net of refunds', async () => {
+      mockTotals(null);
+
+      await PurchaseLimitService.getWindowTotals(new mongoose.Types.ObjectId());
+
+      const [, { $group }] = Transaction.aggregate.mock.calls[0][0];
+      const [, netAmount] = $group.daily.$sum.$cond;
+      expect(netAmount).toEqual({ $subtract: ['$amountUSD', { $ifNull: ['$refundedAmount', 0] }] });
+      expect($group.dailyCount.$sum.$cond[1]).toBe(1);
+    });
+
+    it('fills in zeros when there are no purchases', async () => {
+      mockTotals(null);
+
+      expect(await PurchaseLimitService.getWindowTotals(new mongoose.Types.ObjectId())).toEqual({
+        daily: 0, weekly: 0, monthly: 0, dailyCount: 0, weeklyCount: 0, monthlyCount: 0
+      });
+    });
+  });
+});
+
+describe('PurchaseLimitService velocity limits', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies admin overrides over the level and velocity defaults', () => {
+    const user = buildUser({ limitOverrides: { daily: 250, dailyCount: 2, weekly: null } });
+
+    const { limits, overridden } = PurchaseLimitService.getLimits(user);
+
+    expect(limits.daily).toBe(250);
+    expect(limits.dailyCount).toBe(2);
+    expect(limits.weekly).toBe(config.kyc.limits.none.weekly);
+    expect(limits.monthlyCount).toBe(config.velocity.maxMonthlyTransactions);
+    expect(overridden).toEqual(['daily', 'dailyCount']);
+  });
+
+  it('keeps an override of 0 as a block', async () => {
+    mockTotals(null);
+
+    await expect(PurchaseLimitService.assertWithinLimits(buildUser({ limitOverrides: { daily: 0 } }), 50))
+      .rejects.toMatchObject({ statusCode: 403, message: expect.stringContaining('daily limit of $0') });
+  });
+
+  it('says how much volume is left in the window', async () => {
+    mockTotals({ daily: 400, weekly: 400, monthly: 400, dailyCount: 1, weeklyCount: 1, monthlyCount: 1 });
+
+    await expect(PurchaseLimitService.assertWithinLimits(buildUser(), 150))
+      .rejects.toThrow(`Amount exceeds your daily limit of $${config.kyc.limits.none.daily}. Remaining today: $100.00`);
+  });
+
+  it('checks the longer windows too', async () => {
+    const user = buildUser({ kycLevel: 'basic' });
+    const { monthly } = config.kyc.limits.basic;
+    mockTotals({ daily: 0, weekly: 0, monthly: monthly - 100, dailyCount: 0, weeklyCount: 0, monthlyCount: 3 });
+
+    await expect(PurchaseLimitService.assertWithinLimits(user, 200))
+      .rejects.toThrow('Amount exceeds your monthly limit');
+  });
+
+  it('refuses once the purchase count is reached, whatever the amount', async () => {
+    const user = buildUser({ limitOverrides: { dailyCount: 3 } });
+    mockTotals({ daily: 90, weekly: 90, monthly: 90, dailyCount: 3, weeklyCount: 3, monthlyCount: 3 });
+
+    await expect(PurchaseLimitService.assertWithinLimits(user, 30))
+      .rejects.toMatchObject({ message: expect.stringContaining('daily limit of 3 purchases'), details: expect.any(Object) });
+  });
+
+  it('reports usage and what is left', async () => {
+    mockTotals({ daily: 100, weekly: 300, monthly: 600, dailyCount: 1, weeklyCount: 2, monthlyCount: 4 });
+
+    const usage = await PurchaseLimitService.getUsage(buildUser({ kycLevel: 'basic' }));
+
+    expect(usage.remaining.daily).toBe(config.kyc.limits.basic.daily - 100);
+    expect(usage.remaining.monthlyCount).toBe(Math.max(config.velocity.maxMonthlyTransactions - 4, 0));
+  });
+});
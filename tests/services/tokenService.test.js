@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import Session from '../../src/models/Session.js';
+import User from '../../src/models/User.js';
+import TokenService from '../../src/services/tokenService.js';
+
+/**
+ * In-memory stand-in for the Session queries rotateRefreshToken makes
+ */
+const useSessionStore = (sessions) => {
+  const isActive = (session) => !session.revokedAt && session.expiresAt > new Date();
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = sessions.find(s => s.refreshTokenHash === filter.refreshTokenHash && isActive(s));
+    if (!session) return null;
+
+    Object.assign(session, update.$set);
+    session.previousTokenHashes.push(update.$push.previousTokenHashes);
+    return session;
+  });
+
+  jest.spyOn(Session, 'findOne').mockImplementation(async (filter) =>
+    sessions.find(s => s.previousTokenHashes.includes(filter.previousTokenHashes)) || null
+  );
+
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    const session = sessions.find(s => s._id === filter._id && !s.revokedAt);
+    if (session) Object.assign(session, update.$set);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+};
+
+describe('TokenService.rotateRefreshToken', () => {
+  let sessions;
+  let user;
+
+  beforeEach(() => {
+    user = { _id: 'user-1', isSuspended: () => false };
+    sessions = [{
+      _id: 'session-1',
+      userId: user._id,
+      refreshTokenHash: TokenService.hashToken('first-token'),
+      previousTokenHashes: [],
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    }];
+
+    useSessionStore(sessions);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a new refresh token and retires the old one', async () => {
+    const { tokens, session } = await TokenService.rotateRefreshToken('first-token');
+
+    expect(tokens.refreshToken).not.toBe('first-token');
+    expect(tokens.token).toEqual(expect.any(String));
+    expect(session.refreshTokenHash).toBe(TokenService.hashToken(tokens.refreshToken));
+    expect(session.previousTokenHashes).toEqual([TokenService.hashToken('first-token')]);
+  });
+
+  it('keeps rotating with each new token', async () => {
+    const first = await TokenService.rotateRefreshToken('first-token');
+    const second = await TokenService.rotateRefreshToken(first.tokens.refreshToken);
+
+    expect(second.session._id).toBe('session-1');
+    expect(sessions[0].previousTokenHashes).toHaveLength(2);
+    expect(sessions[0].revokedAt).toBeNull();
+  });
+
+  it('revokes the session when a rotated token is presented again', async () => {
+    const { tokens } = await TokenService.rotateRefreshToken('first-token');
+
+    await expect(TokenService.rotateRefreshToken('first-token'))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(sessions[0].revokedReason).toBe('refresh_token_reuse');
+
+    // The token issued by the legitimate rotation dies with the session
+    await expect(TokenService.rotateRefreshToken(tokens.refreshToken))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects unknown tokens without revoking anything', async () => {
+    await expect(TokenService.rotateRefreshToken('never-issued'))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session of a suspended user', async () => {
+    user.isSuspended = () => true;
+
+    await expect(TokenService.rotateRefreshToken('first-token'))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    expect(sessions[0].revokedReason).toBe('account_suspended');
+  });
+});
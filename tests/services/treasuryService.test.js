@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import TreasurySnapshot from '../../src/models/TreasurySnapshot.js';
+import binanceCryptoService from '../../src/services/binanceCryptoService.js';
+import emailService from '../../src/services/emailService.js';
+import config, { envNumber } from '../../src/config/environment.js';
+import TreasuryService from '../../src/services/treasuryService.js';
+
+describe('TreasuryService', () => {
+  beforeEach(() => {
+    jest.replaceProperty(config, 'treasury', { ...config.treasury, lowBalanceUSDT: 1000, pauseBalanceUSDT: 200 });
+    jest.spyOn(binanceCryptoService, 'isReady').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.TREASURY_TEST_NUMBER;
+  });
+
+  describe('classify', () => {
+    it('grades headroom against the thresholds', () => {
+      expect(TreasuryService.classify(5000)).toBe('healthy');
+      expect(TreasuryService.classify(999)).toBe('low');
+      expect(TreasuryService.classify(199)).toBe('critical');
+    });
+
+    it('with a pause threshold of 0, only a shortfall is critical', () => {
+      config.treasury.pauseBalanceUSDT = 0;
+
+      expect(TreasuryService.classify(0)).toBe('low');
+      expect(TreasuryService.classify(-1)).toBe('critical');
+    });
+  });
+
+  describe('thresholds from the environment', () => {
+    it('keeps an explicit 0', () => {
+      process.env.TREASURY_TEST_NUMBER = '0';
+
+      expect(envNumber('TREASURY_TEST_NUMBER', 200)).toBe(0);
+    });
+
+    it('falls back when unset or not a number', () => {
+      expect(envNumber('TREASURY_TEST_NUMBER', 200)).toBe(200);
+
+      process.env.TREASURY_TEST_NUMBER = 'lots';
+      expect(envNumber('TREASURY_TEST_NUMBER', 200)).toBe(200);
+    });
+  });
+
+  describe('assertCanCover', () => {
+    const withBalance = (free, outflow = { committed: 0, pending: 0 }) => {
+      jest.spyOn(TreasuryService, 'getLatest').mockResolvedValue(free === null ? null : { free });
+      jest.spyOn(TreasuryService, 'getExpectedOutflow').mockResolvedValue(outflow);
+    };
+
+    it('allows payments the balance can cover', async () => {
+      withBalance(5000, { committed: 1000, pending: 500 });
+
+      await expect(TreasuryService.assertCanCover(1000, 'TRC20')).resolves.toBeUndefined();
+    });
+
+    it('refuses a payment that would leave less than the pause threshold', async () => {
+      withBalance(5000, { committed: 3000, pending: 900 });
+
+      await expect(TreasuryService.assertCanCover(1000, 'TRC20')).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('counts what is owed now rather than at the snapshot', async () => {
+      withBalance(2000, { committed: 0, pending: 1500 });
+
+      await expect(TreasuryService.assertCanCover(400, 'TRC20')).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('allows payments without a recent reading', async () => {
+      withBalance(null);
+
+      await expect(TreasuryService.assertCanCover(1000, 'TRC20')).resolves.toBeUndefined();
+      expect(TreasuryService.getExpectedOutflow).not.toHaveBeenCalled();
+    });
+
+    it('skips the check when the backend is not configured', async () => {
+      binanceCryptoService.isReady.mockReturnValue(false);
+      withBalance(0);
+
+      await expect(TreasuryService.assertCanCover(1000, 'TRC20')).resolves.toBeUndefined();
+      expect(TreasuryService.getLatest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkSource', () => {
+    beforeEach(() => {
+      jest.spyOn(TreasuryService, 'getExpectedOutflow').mockResolvedValue({ committed: 4000, pending: 900 });
+      jest.spyOn(TreasurySnapshot, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+      jest.spyOn(TreasurySnapshot, 'create').mockImplementation(async (data) => data);
+      jest.spyOn(emailService, 'sendOpsAlert').mockResolvedValue(true);
+    });
+
+    it('records the headroom and pauses payments when it is critical', async () => {
+      jest.spyOn(binanceCryptoService, 'getUSDTBalance').mockResolvedValue({ free: 5000, locked: 0 });
+
+      const snapshot = await TreasuryService.checkSource('binance');
+
+      expect(snapshot).toMatchObject({ headroom: 100, status: 'critical', acceptingPayments: false, alerted: true });
+      expect(emailService.sendOpsAlert.mock.calls[0][0]).toBe('Treasury Binance: balance critical - new payments paused');
+    });
+
+    it('does not alert on a healthy first reading', async () => {
+      jest.spyOn(binanceCryptoService, 'getUSDTBalance').mockResolvedValue({ free: 50000, locked: 0 });
+
+      const snapshot = await TreasuryService.checkSource('binance');
+
+      expect(snapshot).toMatchObject({ status: 'healthy', acceptingPayments: true, alerted: false });
+      expect(emailService.sendOpsAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shouldAlert', () => {
+    it('alerts on every status change', async () => {
+      expect(await TreasuryService.shouldAlert('binance', 'healthy', null, { status: 'low' })).toBe(true);
+      expect(await TreasuryService.shouldAlert('binance', 'critical', null, { status: 'low' })).toBe(true);
+    });
+
+    it('repeats a low alert only after the cooldown', async () => {
+      jest.spyOn(TreasurySnapshot, 'exists').mockResolvedValue({ _id: 'recent' });
+      expect(await TreasuryService.shouldAlert('binance', 'low', null, { status: 'low' })).toBe(false);
+
+      TreasurySnapshot.exists.mockResolvedValue(null);
+      expect(await TreasuryService.shouldAlert('binance', 'low', null, { status: 'low' })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import { AbiCoder, id, sha256 } from 'ethers';
+
+process.env.TRON_HOT_WALLET_PRIVATE_KEY = '11'.repeat(32);
+
+const { default: tronCryptoService } = await import('../../src/services/tronCryptoService.js');
+const { toTronAddress, tronAddressToHex } = await import('../../src/utils/walletAddress.js');
+const { default: config } = await import('../../src/config/environment.js');
+
+const RECIPIENT = toTronAddress(`0x${'12'.repeat(20)}`);
+const FEE_LIMIT = 50000000;
+
+// Minimal protobuf writer, to build raw_data_hex the way a TRON node does
+const varint = (value) => {
+  let n = BigInt(value);
+  const bytes = [];
+  do {
+    let byte = Number(n & 0x7fn);
+    n >>= 7n;
+    if (n) byte |= 0x80;
+    bytes.push(byte);
+  } while (n);
+  return Buffer.from(bytes);
+};
+const field = (number, value) => (Buffer.isBuffer(value)
+  ? Buffer.concat([varint((number << 3) | 2), varint(value.length), value])
+  : Buffer.concat([varint(number << 3), varint(value)]));
+const addressBytes = (address) => Buffer.from(`41${tronAddressToHex(address).slice(2)}`, 'hex');
+
+const values = [tronAddressToHex(RECIPIENT), 5000000n];
+const transferData = `${id('transfer(address,uint256)').slice(2, 10)}${AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], values).slice(2)}`;
+
+/**
+ * A node-built transfer; overrides change what raw_data_hex encodes
+ */
+const buildTransaction = ({ owner, data = transferData, feeLimit = FEE_LIMIT, callValue = 0 } = {}) => {
+  const tokenAddress = config.onchain.TRC20.tokenAddress;
+  const call = Buffer.concat([
+    field(1, addressBytes(owner || tronCryptoService.address)),
+    field(2, addressBytes(tokenAddress)),
+    ...(callValue ? [field(3, callValue)] : []),
+    field(4, Buffer.from(data, 'hex'))
+  ]);
+  const parameter = Buffer.concat([field(1, Buffer.from('type.googleapis.com/protocol.TriggerSmartContract')), field(2, call)]);
+  const contract = Buffer.concat([field(1, 31), field(2, parameter)]);
+  const expiration = Date.now() + 60 * 1000;
+  const rawHex = Buffer.concat([field(8, expiration), field(11, contract), field(18, feeLimit)]).toString('hex');
+
+  return {
+    txID: sha256(`0x${rawHex}`).slice(2),
+    raw_data_hex: rawHex,
+    raw_data: {
+      contract: [{
+        type: 'TriggerSmartContract',
+        parameter: { value: { owner_address: tronCryptoService.address, contract_address: tokenAddress, data: transferData } }
+      }],
+      expiration,
+      fee_limit: FEE_LIMIT
+    }
+  };
+};
+
+describe('tronCryptoService.verifyBuiltTransfer', () => {
+  const verify = (transaction) => tronCryptoService.verifyBuiltTransfer(transaction, values, FEE_LIMIT);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the transfer we asked for', () => {
+    expect(() => verify(buildTransaction())).not.toThrow();
+  });
+
+  it('refuses a txID that is not the hash of raw_data_hex', () => {
+    const transaction = buildTransaction();
+    transaction.txID = sha256('0x00').slice(2);
+
+    expect(() => verify(transaction)).toThrow(/txID is not the hash/);
+  });
+
+  it.each([
+    ['a different amount', { data: transferData.replace(/4b40$/, '4b41') }],
+    ['a higher fee limit', { feeLimit: FEE_LIMIT * 10 }],
+    ['TRX attached', { callValue: 1 }],
+    ['a different owner', { owner: RECIPIENT }]
+  ])('refuses raw_data_hex with %s', (label, overrides) => {
+    expect(() => verify(buildTransaction(overrides))).toThrow(/USDT transfer refused/);
+  });
+
+  it('refuses raw_data that differs from raw_data_hex', () => {
+    const transaction = buildTransaction();
+    transaction.raw_data.contract[0].parameter.value.contract_address = RECIPIENT;
+
+    expect(() => verify(transaction)).toThrow(/raw_data does not match/);
+  });
+});
+
+describe('tronCryptoService.resumeTransfer', () => {
+  let signedPayout;
+  let node;
+
+  beforeEach(() => {
+    const transaction = buildTransaction();
+    signedPayout = { hash: transaction.txID, raw: JSON.stringify(transaction) };
+    node = { known: false, broadcast: { result: true } };
+
+    jest.spyOn(tronCryptoService, 'post').mockImplementation(async (path) => {
+      if (path === '/wallet/gettransactionbyid') return node.known ? { txID: signedPayout.hash } : {};
+      if (path === '/wallet/gettransactioninfobyid') return {};
+      if (path === '/wallet/broadcasttransaction') return node.broadcast;
+      throw new Error(`Unexpected call ${path}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a transfer the node knows without broadcasting', async () => {
+    node.known = true;
+
+    await expect(tronCryptoService.resumeTransfer(signedPayout)).resolves.toMatchObject({ transactionHash: signedPayout.hash });
+    expect(tronCryptoService.post).not.toHaveBeenCalledWith('/wallet/broadcasttransaction', expect.anything());
+  });
+
+  it('rebroadcasts an unexpired transfer the node lost', async () => {
+    await tronCryptoService.resumeTransfer(signedPayout);
+
+    expect(tronCryptoService.post).toHaveBeenCalledWith('/wallet/broadcasttransaction', JSON.parse(signedPayout.raw));
+  });
+
+  it('only looks when rebroadcast is off', async () => {
+    await expect(tronCryptoService.resumeTransfer(signedPayout, 'TRC20', { rebroadcast: false }))
+      .rejects.toThrow(/has not expired/);
+  });
+
+  it('reports a dropped transfer only well after it expired', async () => {
+    const transaction = JSON.parse(signedPayout.raw);
+
+    transaction.raw_data.expiration = Date.now() - 30 * 1000;
+    await expect(tronCryptoService.resumeTransfer({ ...signedPayout, raw: JSON.stringify(transaction) }, 'TRC20', { rebroadcast: false }))
+      .rejects.toThrow(/has not expired/);
+
+    transaction.raw_data.expiration = Date.now() - 10 * 60 * 1000;
+    await expect(tronCryptoService.resumeTransfer({ ...signedPayout, raw: JSON.stringify(transaction) }))
+      .resolves.toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import WebhookEvent from '../../src/models/WebhookEvent.js';
+import WebhookEventService from '../../src/services/webhookEventService.js';
+
+const buildEvent = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  provider: 'stripe',
+  eventId: 'evt_1',
+  type: 'payment_intent.succeeded',
+  payload: { id: 'evt_1', type: 'payment_intent.succeeded' },
+  status: 'received',
+  attempts: 0,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('WebhookEventService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    it('stores events by provider and id without overwriting a stored copy', async () => {
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(buildEvent());
+
+      await WebhookEventService.record('stripe', { id: 'evt_1', type: 'payment_intent.succeeded' });
+
+      const [filter, update, options] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ provider: 'stripe', eventId: 'evt_1' });
+      expect(Object.keys(update)).toEqual(['$setOnInsert']);
+      expect(options).toMatchObject({ upsert: true });
+    });
+  });
+
+  describe('claim', () => {
+    it('only claims new or failed events, or ones stuck in processing', async () => {
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+      const event = buildEvent();
+
+      await WebhookEventService.claim(event);
+
+      const [filter, update] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+      expect(filter._id).toBe(event._id);
+      expect(filter.$or).toEqual([
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', processingStartedAt: { $lt: expect.any(Date) } }
+      ]);
+      expect(Date.now() - filter.$or[1].processingStartedAt.$lt.getTime()).toBeGreaterThanOrEqual(10 * 60 * 1000 - 1000);
+      expect(update).toMatchObject({ status: 'processing', $inc: { attempts: 1 } });
+    });
+  });
+
+  describe('process', () => {
+    it('skips a redelivered event that was already processed', async () => {
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+      const handler = jest.fn();
+      const event = buildEvent({ status: 'processed' });
+
+      const result = await WebhookEventService.process(event, handler);
+
+      expect(result).toEqual({ event, skipped: true });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('skips an event another delivery is still processing', async () => {
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+      const handler = jest.fn();
+
+      const result = await WebhookEventService.process(buildEvent({ status: 'processing' }), handler);
+
+      expect(result.skipped).toBe(true);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('runs a claimed event and marks it processed', async () => {
+      const claimed = buildEvent({ status: 'processing', attempts: 1 });
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(claimed);
+      const handler = jest.fn().mockResolvedValue(true);
+
+      const result = await WebhookEventService.process(buildEvent(), handler);
+
+      expect(handler).toHaveBeenCalledWith(claimed.payload);
+      expect(result.skipped).toBe(false);
+      expect(claimed.status).toBe('processed');
+      expect(claimed.processedAt).toBeInstanceOf(Date);
+      expect(claimed.save).toHaveBeenCalled();
+    });
+
+    it('marks unhandled event types as ignored', async () => {
+      const claimed = buildEvent({ status: 'processing' });
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+      await WebhookEventService.process(buildEvent(), jest.fn().mockResolvedValue(false));
+
+      expect(claimed.status).toBe('ignored');
+    });
+
+    it('records a failure so the event can be replayed', async () => {
+      const claimed = buildEvent({ status: 'processing' });
+      jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+      const result = await WebhookEventService.process(buildEvent(), jest.fn().mockRejectedValue(new Error('db down')));
+
+      expect(result.skipped).toBe(false);
+      expect(claimed.status).toBe('failed');
+      expect(claimed.lastError).toBe('db down');
+      expect(claimed.save).toHaveBeenCalled();
+    });
+  });
+});
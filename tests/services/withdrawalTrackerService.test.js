@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import evmCryptoService from '../../src/services/evmCryptoService.js';
+import PayoutService from '../../src/services/payoutService.js';
+import PayoutQueueService from '../../src/services/payoutQueueService.js';
+import WithdrawalTrackerService from '../../src/services/withdrawalTrackerService.js';
+import emailService from '../../src/services/emailService.js';
+
+const buildTransaction = (overrides = {}) => {
+  const transaction = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    status: 'usdt_sent',
+    payoutBackend: 'onchain',
+    blockchainNetwork: 'ERC20',
+    withdrawalId: '0xfirst',
+    transactionHash: '0xfirst',
+    signedPayout: { hash: '0xfirst', raw: '0xf8', signedAt: new Date() },
+    metadata: {},
+    ...overrides
+  };
+  transaction.save = jest.fn().mockResolvedValue(transaction);
+  transaction.markModified = jest.fn();
+  return transaction;
+};
+
+describe('WithdrawalTrackerService.checkTransaction (on-chain)', () => {
+  beforeEach(() => {
+    jest.spyOn(evmCryptoService, 'resumeTransfer').mockImplementation(async (signedPayout) => ({ transactionHash: signedPayout.hash }));
+    jest.spyOn(evmCryptoService, 'verifyWithdrawal').mockResolvedValue({ status: 'processing', transactionHash: '0xfirst' });
+    jest.spyOn(PayoutQueueService, 'requeue').mockResolvedValue(null);
+    jest.spyOn(PayoutService, 'completeTransaction').mockImplementation(async (transaction) => transaction);
+    jest.spyOn(emailService, 'sendOpsAlert').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a pending transfer moving before checking it', async () => {
+    const transaction = buildTransaction();
+
+    await WithdrawalTrackerService.checkTransaction(transaction);
+
+    expect(evmCryptoService.resumeTransfer).toHaveBeenCalledWith(transaction.signedPayout, 'ERC20', { onSigned: expect.any(Function) });
+    expect(evmCryptoService.verifyWithdrawal).toHaveBeenCalledWith('0xfirst', 'ERC20');
+    expect(transaction.status).toBe('usdt_sent');
+  });
+
+  it('follows a fee-bumped replacement', async () => {
+    const transaction = buildTransaction();
+    evmCryptoService.resumeTransfer.mockImplementation(async (signedPayout, network, { onSigned }) => {
+      await onSigned({ hash: '0xbumped', raw: '0xf9', replacedHashes: ['0xfirst'] });
+      return { transactionHash: '0xbumped' };
+    });
+    evmCryptoService.verifyWithdrawal.mockResolvedValue({ status: 'completed', transactionHash: '0xbumped' });
+
+    await WithdrawalTrackerService.checkTransaction(transaction);
+
+    expect(transaction.signedPayout).toMatchObject({ hash: '0xbumped', replacedHashes: ['0xfirst'] });
+    expect(evmCryptoService.verifyWithdrawal).toHaveBeenCalledWith('0xbumped', 'ERC20');
+    expect(transaction.transactionHash).toBe('0xbumped');
+    expect(PayoutService.completeTransaction).toHaveBeenCalledWith(transaction);
+  });
+
+  it('fails, alerts and requeues a transfer that can never be mined', async () => {
+    const transaction = buildTransaction();
+    evmCryptoService.resumeTransfer.mockResolvedValue(null);
+
+    await WithdrawalTrackerService.checkTransaction(transaction);
+
+    expect(transaction.status).toBe('payout_failed');
+    expect(transaction.errorMessage).toBe('On-chain transfer dropped');
+    expect(emailService.sendOpsAlert).toHaveBeenCalledWith('USDT withdrawal dropped', expect.any(Object));
+    expect(PayoutQueueService.requeue).toHaveBeenCalledWith(transaction._id);
+    expect(evmCryptoService.verifyWithdrawal).not.toHaveBeenCalled();
+  });
+
+  it('fails a reverted transfer without requeueing it', async () => {
+    const transaction = buildTransaction();
+    evmCryptoService.verifyWithdrawal.mockResolvedValue({ status: 'failed', transactionHash: '0xfirst' });
+
+    await WithdrawalTrackerService.checkTransaction(transaction);
+
+    expect(transaction.status).toBe('payout_failed');
+    expect(PayoutQueueService.requeue).not.toHaveBeenCalled();
+  });
+});
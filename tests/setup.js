@@ -0,0 +1,3 @@
+// Keep test runs quiet and away from any real services
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
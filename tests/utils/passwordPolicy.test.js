@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import config from '../../src/config/environment.js';
+import { checkPassword, isBreachedPassword } from '../../src/utils/passwordPolicy.js';
+import { enforcePasswordPolicy } from '../../src/middleware/validation.middleware.js';
+
+describe('password policy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a long mixed password', () => {
+    expect(checkPassword('Lantern-Orbit-58')).toEqual([]);
+  });
+
+  it('lists every rule a password breaks', () => {
+    expect(checkPassword('short')).toEqual([
+      `Password must be at least ${config.passwordPolicy.minLength} characters long`,
+      'Password must contain an uppercase letter',
+      'Password must contain a number'
+    ]);
+    expect(checkPassword('')).toEqual(['Password is required']);
+    expect(checkPassword(undefined)).toEqual(['Password is required']);
+  });
+
+  it('follows the configured rules', () => {
+    jest.replaceProperty(config.passwordPolicy, 'requireSymbol', true);
+    expect(checkPassword('Lantern0rbit58')).toContain('Password must contain a symbol');
+
+    jest.replaceProperty(config.passwordPolicy, 'requireUppercase', false);
+    expect(checkPassword('lantern-orbit-58')).toEqual([]);
+  });
+
+  it('rejects passwords containing the name or email', () => {
+    const identity = { email: 'marguerite.smith@example.com', fullName: 'Marguerite Smith' };
+
+    expect(checkPassword('Marguerite-2024!', identity)).toContain('Password must not contain your name or email');
+    expect(checkPassword('$m1th-Lantern-58', identity)).toContain('Password must not contain your name or email');
+    expect(checkPassword('Lantern-Orbit-58', identity)).toEqual([]);
+  });
+
+  it('catches breached passwords, with substitutions and suffixes', () => {
+    expect(isBreachedPassword('password')).toBe(true);
+    expect(isBreachedPassword('P@ssw0rd')).toBe(true);
+    expect(isBreachedPassword('Password123!')).toBe(true);
+    expect(isBreachedPassword('Lantern-Orbit-58')).toBe(false);
+    expect(checkPassword('Password1234')).toContain('This password has appeared in a data breach. Please choose a different one');
+  });
+
+  it('can turn the breached check off', () => {
+    jest.replaceProperty(config.passwordPolicy, 'checkBreached', false);
+
+    expect(checkPassword('Password1234')).toEqual([]);
+  });
+
+  describe('enforcePasswordPolicy', () => {
+    const run = (req) => {
+      const res = {
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          this.body = body;
+          return this;
+        }
+      };
+      const next = jest.fn();
+      enforcePasswordPolicy('newPassword')(req, res, next);
+      return { res, next };
+    };
+
+    it('reports broken rules against the named field', () => {
+      const { res, next } = run({ body: { newPassword: 'short' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors[0]).toEqual({ field: 'newPassword', message: expect.stringContaining('at least') });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('checks personal info against the signed-in user', () => {
+      const { res } = run({
+        body: { newPassword: 'Marguerite-2024!' },
+        user: { email: 'marguerite@example.com', fullName: 'Marguerite Smith' }
+      });
+
+      expect(res.body.errors.map(error => error.message)).toContain('Password must not contain your name or email');
+    });
+
+    it('passes valid passwords on', () => {
+      const { next } = run({ body: { newPassword: 'Lantern-Orbit-58' } });
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  currentStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+} from '../../src/utils/totp.js';
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890" (last 6 of the 8-digit codes)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('encodes the RFC seed as base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('round-trips arbitrary bytes through base32', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(() => base32Decode('not-base32!')).toThrow('Invalid base32 character');
+  });
+
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, currentStep(seconds * 1000))).toBe(code);
+  });
+
+  it('accepts codes within one step of clock drift and no further', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111111 * 1000);
+    const now = currentStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now))).toBe(now);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 1))).toBe(now - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 1))).toBe(now + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 2))).toBeNull();
+  });
+
+  it('rejects malformed codes and missing secrets', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 287082)).toBeNull();
+    expect(verifyCode(null, '287082')).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri(RFC_SECRET, 'user@example.com', 'USDT Pay');
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/USDT%20Pay%3Auser%40example\.com\?/);
+    expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(new URL(uri).searchParams.get('digits')).toBe('6');
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  normalizeNetwork,
+  validateWalletAddress,
+  toTronAddress,
+  tronAddressToHex
+} from '../../src/utils/walletAddress.js';
+
+// USDT contract addresses, known-good on each network
+const TRON_ADDRESS = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const TRON_HEX = '0xa614f803b6fd780986a42c78ec9c7f77e6ded13c';
+const EVM_ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+describe('normalizeNetwork', () => {
+  it.each([
+    ['TRC20', 'TRC20'],
+    [' tron ', 'TRC20'],
+    ['ETH', 'ERC20'],
+    ['bsc', 'BEP20'],
+    ['bnb', 'BEP20']
+  ])('maps %p to %p', (input, expected) => {
+    expect(normalizeNetwork(input)).toBe(expected);
+  });
+
+  it.each(['solana', '', 'constructor', 'toString', '__proto__', 'hasOwnProperty', null, 42])(
+    'rejects %p',
+    (input) => {
+      expect(normalizeNetwork(input)).toBeNull();
+    }
+  );
+});
+
+describe('validateWalletAddress', () => {
+  describe('TRC20', () => {
+    it('accepts a valid address', () => {
+      expect(validateWalletAddress(` ${TRON_ADDRESS} `, 'tron')).toEqual({
+        valid: true,
+        address: TRON_ADDRESS,
+        network: 'TRC20'
+      });
+    });
+
+    it('rejects a checksum typo', () => {
+      const result = validateWalletAddress(`${TRON_ADDRESS.slice(0, -1)}u`, 'TRC20');
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/checksum does not match/);
+    });
+
+    it('rejects characters outside base58', () => {
+      const result = validateWalletAddress(`${TRON_ADDRESS.slice(0, -1)}0`, 'TRC20');
+      expect(result.error).toMatch(/not used in TRON addresses/);
+    });
+
+    it('rejects addresses of the wrong length or prefix', () => {
+      expect(validateWalletAddress(TRON_ADDRESS.slice(1), 'TRC20').valid).toBe(false);
+      expect(validateWalletAddress(EVM_ADDRESS, 'TRC20').valid).toBe(false);
+    });
+  });
+
+  describe.each(['ERC20', 'BEP20'])('%s', (network) => {
+    it('accepts a checksummed address', () => {
+      expect(validateWalletAddress(EVM_ADDRESS, network)).toEqual({
+        valid: true,
+        address: EVM_ADDRESS,
+        network
+      });
+    });
+
+    it('accepts an all-lowercase address and returns it checksummed', () => {
+      expect(validateWalletAddress(EVM_ADDRESS.toLowerCase(), network).address).toBe(EVM_ADDRESS);
+    });
+
+    it('rejects a mixed-case address with a bad EIP-55 checksum', () => {
+      const typo = `0xD${EVM_ADDRESS.slice(3)}`;
+      const result = validateWalletAddress(typo, network);
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/EIP-55 checksum does not match/);
+    });
+
+    it('rejects the zero address', () => {
+      const result = validateWalletAddress(`0x${'0'.repeat(40)}`, network);
+      expect(result.error).toMatch(/zero address/);
+    });
+
+    it('rejects malformed addresses', () => {
+      expect(validateWalletAddress(EVM_ADDRESS.slice(0, -1), network).valid).toBe(false);
+      expect(validateWalletAddress(TRON_ADDRESS, network).valid).toBe(false);
+    });
+  });
+
+  it('requires an address', () => {
+    expect(validateWalletAddress('  ', 'TRC20')).toEqual({ valid: false, error: 'Wallet address is required' });
+  });
+
+  it('rejects unsupported networks, including prototype keys', () => {
+    expect(validateWalletAddress(EVM_ADDRESS, 'solana').error).toMatch(/Unsupported network/);
+    expect(validateWalletAddress(EVM_ADDRESS, 'constructor').error).toMatch(/Unsupported network/);
+  });
+});
+
+describe('TRON address conversion', () => {
+  it('converts between base58 and hex', () => {
+    expect(tronAddressToHex(TRON_ADDRESS)).toBe(TRON_HEX);
+    expect(toTronAddress(TRON_HEX)).toBe(TRON_ADDRESS);
+  });
+
+  it('refuses to convert an invalid address', () => {
+    expect(() => tronAddressToHex(`${TRON_ADDRESS.slice(0, -1)}u`)).toThrow(/Invalid TRC20 address/);
+  });
+});
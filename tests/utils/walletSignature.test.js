@@ -0,0 +1,67 @@
+import { Wallet, keccak256, toUtf8Bytes, concat } from 'ethers';
+import { buildOwnershipMessage, isValidOwnershipSignature, recoverSigner } from '../../src/utils/walletSignature.js';
+import { toTronAddress } from '../../src/utils/walletAddress.js';
+
+// What TronWeb's signMessageV2 produces for a message
+const signTron = (wallet, message) => {
+  const bytes = toUtf8Bytes(message);
+  const digest = keccak256(concat([toUtf8Bytes(`\x19TRON Signed Message:\n${bytes.length}`), bytes]));
+  return wallet.signingKey.sign(digest).serialized;
+};
+
+describe('wallet ownership signatures', () => {
+  const signer = Wallet.createRandom();
+  const other = Wallet.createRandom();
+  const evmWallet = { address: signer.address, network: 'ERC20' };
+  const tronWallet = { address: toTronAddress(signer.address), network: 'TRC20' };
+
+  it('puts the address, nonce and time in the message', () => {
+    const issuedAt = new Date('2026-01-01T00:00:00Z');
+
+    const message = buildOwnershipMessage(evmWallet, 'abc123', issuedAt);
+
+    expect(message).toContain(`Address: ${signer.address}`);
+    expect(message).toContain('Network: ERC20');
+    expect(message).toContain('Nonce: abc123');
+    expect(message).toContain('Issued: 2026-01-01T00:00:00.000Z');
+  });
+
+  it('accepts a personal_sign signature from the EVM address, in any case', async () => {
+    const message = buildOwnershipMessage(evmWallet, 'abc123', new Date());
+    const signature = await signer.signMessage(message);
+
+    expect(isValidOwnershipSignature(evmWallet, message, signature)).toBe(true);
+    expect(isValidOwnershipSignature({ ...evmWallet, address: signer.address.toLowerCase() }, message, signature)).toBe(true);
+  });
+
+  it('accepts a signMessageV2 signature from the TRON address', () => {
+    const message = buildOwnershipMessage(tronWallet, 'abc123', new Date());
+
+    expect(isValidOwnershipSignature(tronWallet, message, signTron(signer, message))).toBe(true);
+  });
+
+  it('rejects a signature from another key', async () => {
+    const message = buildOwnershipMessage(evmWallet, 'abc123', new Date());
+
+    expect(isValidOwnershipSignature(evmWallet, message, await other.signMessage(message))).toBe(false);
+    expect(isValidOwnershipSignature(tronWallet, message, signTron(other, message))).toBe(false);
+  });
+
+  it('rejects a signature over a different message', async () => {
+    const message = buildOwnershipMessage(evmWallet, 'abc123', new Date());
+    const signature = await signer.signMessage(buildOwnershipMessage(evmWallet, 'other-nonce', new Date()));
+
+    expect(isValidOwnershipSignature(evmWallet, message, signature)).toBe(false);
+  });
+
+  it('does not accept an EVM-style signature for a TRON address', async () => {
+    const message = buildOwnershipMessage(tronWallet, 'abc123', new Date());
+
+    expect(isValidOwnershipSignature(tronWallet, message, await signer.signMessage(message))).toBe(false);
+  });
+
+  it('treats malformed signatures as invalid', () => {
+    expect(recoverSigner('ERC20', 'message', '0x1234')).toBeNull();
+    expect(isValidOwnershipSignature(tronWallet, 'message', 'not-a-signature')).toBe(false);
+  });
+});